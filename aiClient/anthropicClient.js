@@ -0,0 +1,205 @@
+import Anthropic from '@anthropic-ai/sdk';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { createHttpError } from '../utils/httpError.js';
+import { classifyAnthropicError } from './errors.js';
+import { normalizeChatResponse, splitSystemMessages } from './normalize.js';
+import { CircuitBreaker, callWithResilience } from './resilience.js';
+import { formatInstruction, normalizeResponseFormat, parseStructuredOutput } from './structuredOutput.js';
+
+const log = logger.child({ component: 'ai', provider: 'anthropic' });
+
+const DEFAULT_MODEL = 'claude-sonnet-4-5';
+const DEFAULT_MAX_TOKENS = 1024;
+
+/**
+ * Anthropic Client Class
+ * Implements the provider-agnostic chat/stream/embed interface on the Messages API
+ */
+class AnthropicClient {
+  constructor(config = {}) {
+    const { apiKey, baseURL } = config;
+
+    if (!apiKey) {
+      throw new Error('Anthropic API key is required');
+    }
+
+    // Retries go through _request so they share the circuit breaker
+    this.client = new Anthropic({ apiKey, baseURL, maxRetries: 0 });
+    this.config = config;
+    this.provider = 'anthropic';
+    // Tool calls are not mapped onto the Messages API; runs reject tools for this provider
+    this.capabilities = { embeddings: false, tools: false };
+    this.resilience = {
+      timeoutMs: config.timeoutMs ?? 60000,
+      maxRetries: config.maxRetries ?? 2,
+      baseDelayMs: config.retryBaseDelayMs ?? 500,
+      maxDelayMs: config.retryMaxDelayMs ?? 20000,
+    };
+    this.circuitBreaker = new CircuitBreaker({
+      name: this.provider,
+      failureThreshold: config.circuitBreaker?.failureThreshold ?? 5,
+      resetTimeoutMs: config.circuitBreaker?.resetTimeoutMs ?? 30000,
+    });
+
+    log.info('Anthropic client initialized');
+  }
+
+  /**
+   * Run an SDK request through the circuit breaker, retrying retryable errors
+   * @private
+   * @param {Function} send - Makes the SDK request
+   * @param {Object} options - { signal, retry }; streams pass retry false so deltas aren't sent twice
+   * @returns {any} SDK response
+   */
+  _request(send, { signal, retry = true } = {}) {
+    return callWithResilience(send, {
+      circuitBreaker: this.circuitBreaker,
+      classify: classifyAnthropicError,
+      maxRetries: retry ? this.resilience.maxRetries : 0,
+      baseDelayMs: this.resilience.baseDelayMs,
+      maxDelayMs: this.resilience.maxDelayMs,
+      signal,
+      onRetry: (error, delayMs, attempt) => log.warn('AI request failed, retrying', {
+        type: error.type,
+        delayMs,
+        attempt: attempt + 1,
+      }),
+    });
+  }
+
+  _buildParams(messages, options, format) {
+    if (!messages || !Array.isArray(messages) || messages.length === 0) {
+      throw new Error('Messages array is required and cannot be empty');
+    }
+    if (options.tools?.length) {
+      throw createHttpError(400, 'The anthropic provider does not support tool calling');
+    }
+
+    const split = splitSystemMessages(messages);
+    const { turns } = split;
+    // The Messages API has no JSON mode, so the schema goes into the system prompt
+    const system = format ? [split.system, formatInstruction(format)].filter(Boolean).join('\n\n') : split.system;
+    const params = {
+      model: options.model || DEFAULT_MODEL,
+      max_tokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+      messages: turns.map(({ role, content }) => ({ role, content })),
+    };
+
+    if (system) params.system = system;
+    if (options.temperature !== undefined) params.temperature = options.temperature;
+    if (options.topP !== undefined) params.top_p = options.topP;
+    if (options.stop) params.stop_sequences = [].concat(options.stop);
+
+    return params;
+  }
+
+  _normalize(message, format) {
+    const content = message.content
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('');
+    const parsed = format
+      ? parseStructuredOutput(content, format, { provider: this.provider, truncated: message.stop_reason === 'max_tokens' })
+      : null;
+
+    return normalizeChatResponse({
+      id: message.id,
+      provider: this.provider,
+      model: message.model,
+      content,
+      parsed,
+      finishReason: message.stop_reason,
+      usage: {
+        promptTokens: message.usage?.input_tokens,
+        completionTokens: message.usage?.output_tokens,
+      },
+      raw: message,
+    });
+  }
+
+  /**
+   * Chat completion
+   * @param {Array} messages - Array of { role, content } messages
+   * @param {Object} options - { model, maxTokens, temperature, topP, stop, responseFormat, signal };
+   *   frequencyPenalty and presencePenalty have no Anthropic equivalent and are ignored
+   * @returns {Object} Normalized chat response, with the validated value in parsed when responseFormat is set
+   */
+  async chat(messages, options = {}) {
+    const startedAt = Date.now();
+    try {
+      const format = normalizeResponseFormat(options.responseFormat);
+      const params = this._buildParams(messages, options, format);
+      const requestOptions = { signal: options.signal, timeout: this.resilience.timeoutMs };
+      const message = await this._request(() => this.client.messages.create(params, requestOptions), {
+        signal: options.signal,
+      });
+      log.timing('AI request completed', Date.now() - startedAt, config.logging.slowAiCallMs, {
+        operation: 'chat',
+        model: message.model,
+        totalTokens: message.usage.input_tokens + message.usage.output_tokens,
+      }, 'info');
+      return this._normalize(message, format);
+    } catch (error) {
+      log.error('Anthropic chat failed', { durationMs: Date.now() - startedAt, err: error });
+      throw error;
+    }
+  }
+
+  /**
+   * Streaming chat completion
+   * @param {Array} messages - Array of { role, content } messages
+   * @param {Object} options - Same as chat
+   * @param {Function} onChunk - Called with each content delta
+   * @returns {Object} Normalized chat response
+   */
+  async stream(messages, options = {}, onChunk) {
+    const startedAt = Date.now();
+    try {
+      const format = normalizeResponseFormat(options.responseFormat);
+      const params = this._buildParams(messages, options, format);
+      const message = await this._request(() => {
+        const stream = this.client.messages.stream(params, { signal: options.signal, timeout: this.resilience.timeoutMs });
+        if (onChunk) {
+          stream.on('text', (delta) => onChunk(delta));
+        }
+        return stream.finalMessage();
+      }, { signal: options.signal, retry: false });
+      log.timing('AI stream completed', Date.now() - startedAt, config.logging.slowAiCallMs, {
+        operation: 'stream',
+        model: message.model,
+        totalTokens: message.usage.input_tokens + message.usage.output_tokens,
+      }, 'info');
+      return this._normalize(message, format);
+    } catch (error) {
+      log.error('Anthropic stream failed', { durationMs: Date.now() - startedAt, err: error });
+      throw error;
+    }
+  }
+
+  /**
+   * Test connection to the Anthropic API
+   * @param {Object} options - { signal, timeout }
+   * @returns {boolean} Connection status
+   */
+  async testConnection(options = {}) {
+    try {
+      await this.client.models.list({ limit: 1 }, { signal: options.signal, timeout: options.timeout });
+      log.debug('Connection test succeeded');
+      return true;
+    } catch (error) {
+      log.error('Connection test failed', { err: error });
+      return false;
+    }
+  }
+
+  /**
+   * Embeddings are not offered by Anthropic
+   */
+  async embed() {
+    throw createHttpError(400, 'The anthropic provider does not offer embeddings');
+  }
+}
+
+export { AnthropicClient };
+export default AnthropicClient;
@@ -0,0 +1,291 @@
+import crypto from 'crypto';
+import { createHttpError } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'cache' });
+
+const CACHE_MODES = ['use', 'bypass', 'refresh'];
+
+/**
+ * Serialize a value with object keys sorted so equal payloads hash equally
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Build a cache key from the request kind and its API parameters
+ * @param {string} kind - Request kind, e.g. "chat" or "embeddings"
+ * @param {Object} params - Request parameters sent to the provider
+ * @returns {string} Hex SHA-256 key
+ */
+export function buildCacheKey(kind, params) {
+  return crypto.createHash('sha256').update(`${kind}:${stableStringify(params)}`).digest('hex');
+}
+
+/**
+ * In-process LRU tier
+ * Relies on Map insertion order: a hit is re-inserted to become most recent
+ */
+export class LruCacheTier {
+  constructor({ maxEntries = 500 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      return null;
+    }
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, value, { ttlMs, storedAt = new Date() }) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, storedAt, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Postgres-backed tier, shared between processes
+ * Hit counts are kept in memory and written in one statement per flush, so
+ * reads don't cost a write; counts not yet flushed are lost if the process dies.
+ */
+export class PostgresCacheTier {
+  /**
+   * @param {PostgresDAO} dao - Database access
+   * @param {Object} options - Tier options
+   * @param {number} options.pruneIntervalMs - How often expired rows are deleted
+   * @param {number} options.hitFlushIntervalMs - How often hit counts are written
+   */
+  constructor(dao, { pruneIntervalMs = 60 * 60 * 1000, hitFlushIntervalMs = 30 * 1000 } = {}) {
+    this.name = 'postgres';
+    this.dao = dao;
+    this.pruneIntervalMs = pruneIntervalMs;
+    this.hitFlushIntervalMs = hitFlushIntervalMs;
+    this.pendingHits = new Map();
+    this.pruneTimer = null;
+    this.flushTimer = null;
+  }
+
+  async get(key) {
+    const result = await this.dao.runQuery(
+      'SELECT value, created_at, expires_at FROM ai_cache WHERE key = $1 AND expires_at > NOW()',
+      [key]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+    this.pendingHits.set(key, (this.pendingHits.get(key) || 0) + 1);
+    return { value: row.value, storedAt: row.created_at, expiresAt: new Date(row.expires_at).getTime() };
+  }
+
+  async set(key, value, { ttlMs, kind }) {
+    await this.dao.runQuery(
+      `INSERT INTO ai_cache (key, kind, value, expires_at)
+       VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 millisecond')
+       ON CONFLICT (key) DO UPDATE
+       SET value = EXCLUDED.value, created_at = NOW(), expires_at = EXCLUDED.expires_at, hits = 0`,
+      [key, kind, JSON.stringify(value), ttlMs]
+    );
+    this.pendingHits.delete(key);
+  }
+
+  async delete(key) {
+    await this.dao.runQuery('DELETE FROM ai_cache WHERE key = $1', [key]);
+    this.pendingHits.delete(key);
+  }
+
+  /**
+   * Remove expired rows
+   * @returns {number} Rows removed
+   */
+  async prune() {
+    const result = await this.dao.runQuery('DELETE FROM ai_cache WHERE expires_at <= NOW()');
+    return result.rowCount;
+  }
+
+  /**
+   * Add the hits counted since the last flush to their rows
+   * Hit counts are statistics, so a failed flush drops them rather than retrying.
+   * @returns {number} Rows updated
+   */
+  async flushHits() {
+    if (this.pendingHits.size === 0) {
+      return 0;
+    }
+    const hits = this.pendingHits;
+    this.pendingHits = new Map();
+    const result = await this.dao.runQuery(
+      `UPDATE ai_cache SET hits = ai_cache.hits + pending.count
+       FROM unnest($1::text[], $2::int[]) AS pending(key, count)
+       WHERE ai_cache.key = pending.key`,
+      [[...hits.keys()], [...hits.values()]]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Prune expired rows now and then every pruneIntervalMs, and flush hit counts
+   * every hitFlushIntervalMs. The timers don't keep the process alive.
+   */
+  startMaintenance() {
+    if (this.pruneTimer) {
+      return;
+    }
+    const prune = () => this.prune()
+      .then((deleted) => deleted > 0 && log.info('Pruned expired cache entries', { deleted }))
+      .catch((error) => log.error('Pruning the cache failed', { err: error }));
+    const flush = () => this.flushHits().catch((error) => log.warn('Recording cache hits failed', { err: error }));
+
+    prune();
+    this.pruneTimer = setInterval(prune, this.pruneIntervalMs);
+    this.pruneTimer.unref();
+    this.flushTimer = setInterval(flush, this.hitFlushIntervalMs);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Stop the timers and write the hits counted so far
+   */
+  async stopMaintenance() {
+    clearInterval(this.pruneTimer);
+    clearInterval(this.flushTimer);
+    this.pruneTimer = null;
+    this.flushTimer = null;
+    try {
+      await this.flushHits();
+    } catch (error) {
+      log.warn('Recording cache hits failed', { err: error });
+    }
+  }
+}
+
+/**
+ * Completion Cache
+ * Looks up tiers in order (memory first) and back-fills faster tiers on a hit.
+ * Tier failures are logged and treated as misses so the cache never breaks a call.
+ */
+export class CompletionCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {Array} options.tiers - Cache tiers, fastest first
+   * @param {number} options.ttlMs - Default entry lifetime
+   * @param {boolean} options.enabled - Use the cache when a call doesn't choose a mode
+   */
+  constructor({ tiers = [], ttlMs = 24 * 60 * 60 * 1000, enabled = false } = {}) {
+    this.tiers = tiers;
+    this.ttlMs = ttlMs;
+    this.enabled = enabled;
+  }
+
+  /**
+   * Resolve the cache mode of a call
+   * @param {string|boolean} mode - Per-request mode: 'use', 'bypass', 'refresh', true or false
+   * @returns {string} 'use', 'bypass' or 'refresh'
+   */
+  resolveMode(mode) {
+    if (mode === undefined || mode === null) return this.enabled ? 'use' : 'bypass';
+    if (mode === true) return 'use';
+    if (mode === false) return 'bypass';
+    if (!CACHE_MODES.includes(mode)) {
+      throw createHttpError(400, `cache must be one of ${CACHE_MODES.join(', ')}`);
+    }
+    return mode;
+  }
+
+  /**
+   * Start the background work of tiers that have any (pruning, hit counts)
+   */
+  startMaintenance() {
+    for (const tier of this.tiers) {
+      tier.startMaintenance?.();
+    }
+  }
+
+  async stopMaintenance() {
+    await Promise.all(this.tiers.map((tier) => tier.stopMaintenance?.()));
+  }
+
+  async _get(key) {
+    for (let index = 0; index < this.tiers.length; index++) {
+      const tier = this.tiers[index];
+      try {
+        const entry = await tier.get(key);
+        if (entry) {
+          const ttlMs = entry.expiresAt - Date.now();
+          await Promise.all(this.tiers.slice(0, index).map((faster) => faster.set(key, entry.value, {
+            ttlMs,
+            storedAt: entry.storedAt,
+          })));
+          return { ...entry, tier: tier.name };
+        }
+      } catch (error) {
+        log.warn('Cache read failed', { tier: tier.name, err: error });
+      }
+    }
+    return null;
+  }
+
+  async _set(key, value, options) {
+    await Promise.all(this.tiers.map(async (tier) => {
+      try {
+        await tier.set(key, value, options);
+      } catch (error) {
+        log.warn('Cache write failed', { tier: tier.name, err: error });
+      }
+    }));
+  }
+
+  /**
+   * Return a cached response or compute and store it
+   * @param {string} kind - Request kind
+   * @param {Object} params - Provider request parameters (the cache key)
+   * @param {Object} options - { mode, ttlMs }
+   * @param {Function} compute - Performs the real request
+   * @returns {Object} { value, meta } where meta is { status, key, tier, storedAt }
+   */
+  async wrap(kind, params, { mode, ttlMs = this.ttlMs } = {}, compute) {
+    const resolvedMode = this.resolveMode(mode);
+    if (resolvedMode === 'bypass' || this.tiers.length === 0) {
+      return { value: await compute(), meta: { status: 'bypass' } };
+    }
+
+    const key = buildCacheKey(kind, params);
+
+    if (resolvedMode === 'use') {
+      const entry = await this._get(key);
+      if (entry) {
+        return { value: entry.value, meta: { status: 'hit', key, tier: entry.tier, storedAt: entry.storedAt } };
+      }
+    }
+
+    const value = await compute();
+    const storedAt = new Date();
+    await this._set(key, value, { ttlMs, kind, storedAt });
+    return { value, meta: { status: resolvedMode === 'refresh' ? 'refresh' : 'miss', key, tier: null, storedAt } };
+  }
+}
@@ -0,0 +1,245 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { ApiError as GeminiApiError } from '@google/genai';
+import {
+  APIConnectionError,
+  APIConnectionTimeoutError,
+  APIError,
+  APIUserAbortError,
+} from 'openai';
+import { AppError } from '../utils/httpError.js';
+
+/**
+ * Base class for classified AI provider errors
+ * status is the HTTP status our API responds with, not the upstream one;
+ * code is "ai_<type>", e.g. ai_rate_limit
+ */
+class AIProviderError extends AppError {
+  constructor(message, { type, status = 502, retryable = false, retryAfterMs = null, provider = 'openai', upstreamStatus = null, details, cause } = {}) {
+    super(message, { status, code: `ai_${type}`, expose: true, details, cause });
+    this.type = type;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.provider = provider;
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+class AIRateLimitError extends AIProviderError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: 'rate_limit', status: 429, retryable: true });
+  }
+}
+
+// The server's own provider key was rejected: clients get a generic message,
+// the upstream error stays on cause for the logs
+class AIAuthenticationError extends AIProviderError {
+  constructor(options = {}) {
+    super('AI provider authentication failed', { ...options, type: 'auth', status: 502 });
+  }
+}
+
+class AIInvalidRequestError extends AIProviderError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: 'invalid_request', status: 400 });
+  }
+}
+
+class AITimeoutError extends AIProviderError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: 'timeout', status: 504, retryable: true });
+  }
+}
+
+class AIServerError extends AIProviderError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: 'server', status: 502, retryable: true });
+  }
+}
+
+class AIAbortError extends AIProviderError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: 'aborted', status: 499 });
+  }
+}
+
+class AICircuitOpenError extends AIProviderError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: 'circuit_open', status: 503 });
+  }
+}
+
+/**
+ * The model answered, but not in the shape the request asked for: structured
+ * output that isn't valid JSON or doesn't match the schema, a refusal, or a
+ * tool-call loop that never produced a final answer
+ */
+class AIInvalidOutputError extends AIProviderError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: 'invalid_output', status: 502 });
+  }
+}
+
+function parseRetryAfter(headers) {
+  const retryAfterMs = headers?.get?.('retry-after-ms');
+  if (retryAfterMs && !Number.isNaN(Number(retryAfterMs))) {
+    return Number(retryAfterMs);
+  }
+
+  const retryAfter = headers?.get?.('retry-after');
+  if (!retryAfter) {
+    return null;
+  }
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Convert an OpenAI SDK error into a classified AIProviderError
+ * @param {Error} error - Error thrown by the SDK
+ * @param {string} provider - Provider name recorded on the error
+ * @returns {Error} Classified error, or the original error if it isn't from the SDK
+ */
+function classifyOpenAIError(error, provider = 'openai') {
+  if (error instanceof AIProviderError) {
+    return error;
+  }
+
+  const options = { provider, cause: error };
+
+  if (error instanceof APIUserAbortError) {
+    return new AIAbortError('AI request was aborted', options);
+  }
+  if (error instanceof APIConnectionTimeoutError) {
+    return new AITimeoutError('AI request timed out', options);
+  }
+  if (error instanceof APIConnectionError) {
+    return new AIServerError(`Could not reach AI provider: ${error.message}`, options);
+  }
+  if (!(error instanceof APIError)) {
+    return error;
+  }
+
+  const message = `OpenAI API Error: ${error.error?.message || error.message}`;
+  const upstream = { ...options, upstreamStatus: error.status };
+
+  if (error.status === 429) {
+    return new AIRateLimitError(message, { ...upstream, retryAfterMs: parseRetryAfter(error.headers) });
+  }
+  if (error.status === 401 || error.status === 403) {
+    return new AIAuthenticationError(upstream);
+  }
+  if (error.status === 408) {
+    return new AITimeoutError(message, upstream);
+  }
+  if (error.status >= 500) {
+    return new AIServerError(message, { ...upstream, retryAfterMs: parseRetryAfter(error.headers) });
+  }
+  return new AIInvalidRequestError(message, upstream);
+}
+
+/**
+ * Classify an upstream HTTP error by status, with messages that don't repeat
+ * the provider's text: only invalid request errors, which describe the caller's
+ * own request, carry it
+ */
+function classifyUpstreamStatus(status, upstreamMessage, { label, headers, ...options }) {
+  const upstream = { ...options, upstreamStatus: status };
+
+  if (status === 429) {
+    return new AIRateLimitError(`${label} rate limit reached`, { ...upstream, retryAfterMs: parseRetryAfter(headers) });
+  }
+  if (status === 401 || status === 403) {
+    return new AIAuthenticationError(upstream);
+  }
+  if (status === 408 || status === 504) {
+    return new AITimeoutError(`${label} request timed out`, upstream);
+  }
+  if (status >= 500) {
+    return new AIServerError(`${label} is unavailable (status ${status})`, { ...upstream, retryAfterMs: parseRetryAfter(headers) });
+  }
+  return new AIInvalidRequestError(`${label} rejected the request: ${upstreamMessage}`, upstream);
+}
+
+/**
+ * Convert an Anthropic SDK error into a classified AIProviderError
+ * @param {Error} error - Error thrown by the SDK
+ * @returns {Error} Classified error, or the original error if it isn't from the SDK
+ */
+function classifyAnthropicError(error) {
+  if (error instanceof AIProviderError) {
+    return error;
+  }
+
+  const options = { provider: 'anthropic', cause: error };
+
+  if (error instanceof Anthropic.APIUserAbortError) {
+    return new AIAbortError('AI request was aborted', options);
+  }
+  if (error instanceof Anthropic.APIConnectionTimeoutError) {
+    return new AITimeoutError('AI request timed out', options);
+  }
+  if (error instanceof Anthropic.APIConnectionError) {
+    return new AIServerError('Could not reach the Anthropic API', options);
+  }
+  if (!(error instanceof Anthropic.APIError)) {
+    return error;
+  }
+  return classifyUpstreamStatus(error.status, error.error?.error?.message || error.message, {
+    ...options,
+    label: 'Anthropic API',
+    headers: error.headers,
+  });
+}
+
+// Gemini errors carry the upstream JSON body as their message
+function geminiErrorMessage(error) {
+  try {
+    return JSON.parse(error.message).error?.message || error.message;
+  } catch {
+    return error.message;
+  }
+}
+
+/**
+ * Convert a Google Gen AI SDK error into a classified AIProviderError
+ * @param {Error} error - Error thrown by the SDK
+ * @returns {Error} Classified error, or the original error if it isn't from the SDK
+ */
+function classifyGeminiError(error) {
+  if (error instanceof AIProviderError) {
+    return error;
+  }
+
+  const options = { provider: 'gemini', cause: error };
+
+  if (error?.name === 'AbortError') {
+    return new AIAbortError('AI request was aborted', options);
+  }
+  // fetch() rejects with a TypeError when the API can't be reached
+  if (error instanceof TypeError && error.message === 'fetch failed') {
+    return new AIServerError('Could not reach the Gemini API', options);
+  }
+  if (!(error instanceof GeminiApiError)) {
+    return error;
+  }
+  return classifyUpstreamStatus(error.status, geminiErrorMessage(error), { ...options, label: 'Gemini API' });
+}
+
+export {
+  AIProviderError,
+  AIRateLimitError,
+  AIAuthenticationError,
+  AIInvalidRequestError,
+  AITimeoutError,
+  AIServerError,
+  AIAbortError,
+  AICircuitOpenError,
+  AIInvalidOutputError,
+  classifyOpenAIError,
+  classifyAnthropicError,
+  classifyGeminiError,
+};
@@ -0,0 +1,231 @@
+import { GoogleGenAI } from '@google/genai';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { createHttpError } from '../utils/httpError.js';
+import { classifyGeminiError } from './errors.js';
+import { normalizeChatResponse, normalizeUsage, splitSystemMessages } from './normalize.js';
+import { CircuitBreaker, callWithResilience } from './resilience.js';
+import { normalizeResponseFormat, parseStructuredOutput } from './structuredOutput.js';
+
+const log = logger.child({ component: 'ai', provider: 'gemini' });
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-004';
+
+/**
+ * Google Gemini Client Class
+ * Implements the provider-agnostic chat/stream/embed interface on the Gemini API
+ */
+class GeminiClient {
+  constructor(config = {}) {
+    const { apiKey } = config;
+
+    if (!apiKey) {
+      throw new Error('Gemini API key is required');
+    }
+
+    this.config = config;
+    this.provider = 'gemini';
+    // Tool calls are not mapped onto function declarations; runs reject tools for this provider
+    this.capabilities = { embeddings: true, tools: false };
+    this.resilience = {
+      timeoutMs: config.timeoutMs ?? 60000,
+      maxRetries: config.maxRetries ?? 2,
+      baseDelayMs: config.retryBaseDelayMs ?? 500,
+      maxDelayMs: config.retryMaxDelayMs ?? 20000,
+    };
+    this.circuitBreaker = new CircuitBreaker({
+      name: this.provider,
+      failureThreshold: config.circuitBreaker?.failureThreshold ?? 5,
+      resetTimeoutMs: config.circuitBreaker?.resetTimeoutMs ?? 30000,
+    });
+    this.client = new GoogleGenAI({ apiKey, httpOptions: { timeout: this.resilience.timeoutMs } });
+
+    log.info('Gemini client initialized');
+  }
+
+  /**
+   * Run an SDK request through the circuit breaker, retrying retryable errors
+   * @private
+   * @param {Function} send - Makes the SDK request
+   * @param {Object} options - { signal, retry }; streams pass retry false so deltas aren't sent twice
+   * @returns {any} SDK response
+   */
+  _request(send, { signal, retry = true } = {}) {
+    return callWithResilience(send, {
+      circuitBreaker: this.circuitBreaker,
+      classify: classifyGeminiError,
+      maxRetries: retry ? this.resilience.maxRetries : 0,
+      baseDelayMs: this.resilience.baseDelayMs,
+      maxDelayMs: this.resilience.maxDelayMs,
+      signal,
+      onRetry: (error, delayMs, attempt) => log.warn('AI request failed, retrying', {
+        type: error.type,
+        delayMs,
+        attempt: attempt + 1,
+      }),
+    });
+  }
+
+  _buildParams(messages, options, format) {
+    if (!messages || !Array.isArray(messages) || messages.length === 0) {
+      throw new Error('Messages array is required and cannot be empty');
+    }
+    if (options.tools?.length) {
+      throw createHttpError(400, 'The gemini provider does not support tool calling');
+    }
+
+    const { system, turns } = splitSystemMessages(messages);
+    const generationConfig = {};
+
+    if (system) generationConfig.systemInstruction = system;
+    if (options.maxTokens) generationConfig.maxOutputTokens = options.maxTokens;
+    if (options.temperature !== undefined) generationConfig.temperature = options.temperature;
+    if (options.topP !== undefined) generationConfig.topP = options.topP;
+    if (options.frequencyPenalty !== undefined) generationConfig.frequencyPenalty = options.frequencyPenalty;
+    if (options.presencePenalty !== undefined) generationConfig.presencePenalty = options.presencePenalty;
+    if (options.stop) generationConfig.stopSequences = [].concat(options.stop);
+    if (format) {
+      generationConfig.responseMimeType = 'application/json';
+      if (format.schema) generationConfig.responseJsonSchema = format.schema;
+    }
+    if (options.signal) generationConfig.abortSignal = options.signal;
+
+    return {
+      model: options.model || DEFAULT_MODEL,
+      contents: turns.map(({ role, content }) => ({
+        role: role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: content }],
+      })),
+      config: generationConfig,
+    };
+  }
+
+  _normalize(response, model, content, format) {
+    const finishReason = response?.candidates?.[0]?.finishReason ?? null;
+    const parsed = format
+      ? parseStructuredOutput(content, format, { provider: this.provider, truncated: finishReason === 'MAX_TOKENS' })
+      : null;
+
+    return normalizeChatResponse({
+      id: response?.responseId ?? null,
+      provider: this.provider,
+      model: response?.modelVersion || model,
+      content,
+      parsed,
+      finishReason,
+      usage: {
+        promptTokens: response?.usageMetadata?.promptTokenCount,
+        completionTokens: response?.usageMetadata?.candidatesTokenCount,
+      },
+      raw: response,
+    });
+  }
+
+  /**
+   * Chat completion
+   * @param {Array} messages - Array of { role, content } messages
+   * @param {Object} options - { model, maxTokens, temperature, topP, frequencyPenalty, presencePenalty, stop, responseFormat, signal }
+   * @returns {Object} Normalized chat response, with the validated value in parsed when responseFormat is set
+   */
+  async chat(messages, options = {}) {
+    const startedAt = Date.now();
+    try {
+      const format = normalizeResponseFormat(options.responseFormat);
+      const params = this._buildParams(messages, options, format);
+      const response = await this._request(() => this.client.models.generateContent(params), { signal: options.signal });
+      log.timing('AI request completed', Date.now() - startedAt, config.logging.slowAiCallMs, {
+        operation: 'chat',
+        model: params.model,
+        totalTokens: response.usageMetadata?.totalTokenCount,
+      }, 'info');
+      return this._normalize(response, params.model, response.text, format);
+    } catch (error) {
+      log.error('Gemini chat failed', { durationMs: Date.now() - startedAt, err: error });
+      throw error;
+    }
+  }
+
+  /**
+   * Streaming chat completion
+   * @param {Array} messages - Array of { role, content } messages
+   * @param {Object} options - Same as chat
+   * @param {Function} onChunk - Called with each content delta
+   * @returns {Object} Normalized chat response
+   */
+  async stream(messages, options = {}, onChunk) {
+    const startedAt = Date.now();
+    try {
+      const format = normalizeResponseFormat(options.responseFormat);
+      const params = this._buildParams(messages, options, format);
+      let fullContent = '';
+      let lastChunk = null;
+      await this._request(async () => {
+        const stream = await this.client.models.generateContentStream(params);
+        for await (const chunk of stream) {
+          lastChunk = chunk;
+          const content = chunk.text || '';
+          if (content) {
+            fullContent += content;
+            onChunk?.(content);
+          }
+        }
+      }, { signal: options.signal, retry: false });
+
+      log.timing('AI stream completed', Date.now() - startedAt, config.logging.slowAiCallMs, {
+        operation: 'stream',
+        model: params.model,
+        contentLength: fullContent.length,
+      }, 'info');
+      return this._normalize(lastChunk, params.model, fullContent, format);
+    } catch (error) {
+      log.error('Gemini stream failed', { durationMs: Date.now() - startedAt, err: error });
+      throw error;
+    }
+  }
+
+  /**
+   * Embeddings
+   * @param {string|Array} input - Text input(s)
+   * @param {Object} options - { model, signal }
+   * @returns {Object} { provider, model, embeddings, usage }
+   */
+  async embed(input, options = {}) {
+    try {
+      const model = options.model || DEFAULT_EMBEDDING_MODEL;
+      const response = await this._request(() => this.client.models.embedContent({
+        model,
+        contents: [].concat(input),
+        config: options.signal ? { abortSignal: options.signal } : undefined,
+      }), { signal: options.signal });
+      return {
+        provider: this.provider,
+        model,
+        embeddings: response.embeddings.map((embedding) => embedding.values),
+        usage: normalizeUsage(),
+      };
+    } catch (error) {
+      log.error('Gemini embeddings failed', { err: error });
+      throw error;
+    }
+  }
+
+  /**
+   * Test connection to the Gemini API
+   * @param {Object} options - { signal }
+   * @returns {boolean} Connection status
+   */
+  async testConnection(options = {}) {
+    try {
+      await this.client.models.list({ config: { pageSize: 1, abortSignal: options.signal } });
+      log.debug('Connection test succeeded');
+      return true;
+    } catch (error) {
+      log.error('Connection test failed', { err: error });
+      return false;
+    }
+  }
+}
+
+export { GeminiClient };
+export default GeminiClient;
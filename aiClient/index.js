@@ -1,5 +1,37 @@
 import OpenAI from 'openai';
 import config from '../config/index.js';
+import { AnthropicClient } from './anthropicClient.js';
+import { GeminiClient } from './geminiClient.js';
+import { normalizeChatResponse, normalizeUsage } from './normalize.js';
+import { createHttpError } from '../utils/httpError.js';
+import { AIInvalidOutputError, classifyOpenAIError } from './errors.js';
+import { normalizeResponseFormat, parseStructuredOutput, toOpenAIResponseFormat } from './structuredOutput.js';
+import { ToolRegistry, defaultToolRegistry, executeTool, resolveTools } from './tools.js';
+import { CircuitBreaker, callWithResilience } from './resilience.js';
+import { CompletionCache, LruCacheTier, PostgresCacheTier } from './cache.js';
+import { MockOpenAITransport } from './mockClient.js';
+import { defaultPgDao } from '../dao/index.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'ai' });
+
+// Sum token usage across the rounds of a tool-calling conversation
+function addUsage(total, usage) {
+  if (!usage) return total;
+  if (!total) return usage;
+  return {
+    prompt_tokens: (total.prompt_tokens ?? 0) + (usage.prompt_tokens ?? 0),
+    completion_tokens: (total.completion_tokens ?? 0) + (usage.completion_tokens ?? 0),
+    total_tokens: (total.total_tokens ?? 0) + (usage.total_tokens ?? 0),
+  };
+}
+
+function toToolChoice(toolChoice) {
+  if (typeof toolChoice === 'string' && !['auto', 'none', 'required'].includes(toolChoice)) {
+    return { type: 'function', function: { name: toolChoice } };
+  }
+  return toolChoice;
+}
 
 /**
  * OpenAI Client Class
@@ -7,63 +39,140 @@ import config from '../config/index.js';
  */
 class OpenAIClient {
   constructor(config = {}) {
-    const { apiKey, organization } = config;
+    const { apiKey, organization, baseURL, provider = 'openai', sdk } = config;
     
-    if (!apiKey) {
+    if (!apiKey && !sdk) {
       throw new Error('OpenAI API key is required');
     }
 
-    this.client = new OpenAI({
+    // An injected sdk replaces the OpenAI SDK, e.g. the offline mock transport
+    this.client = sdk || new OpenAI({
       apiKey,
       organization,
+      baseURL,
+      maxRetries: 0,
     });
 
     this.config = config;
+    this.provider = provider;
+    this.capabilities = { embeddings: true, tools: true };
+    this.cache = config.cache || null;
+    this.resilience = {
+      timeoutMs: config.timeoutMs ?? 60000,
+      maxRetries: config.maxRetries ?? 2,
+      baseDelayMs: config.retryBaseDelayMs ?? 500,
+      maxDelayMs: config.retryMaxDelayMs ?? 20000,
+    };
+    this.circuitBreaker = new CircuitBreaker({
+      name: provider,
+      failureThreshold: config.circuitBreaker?.failureThreshold ?? 5,
+      resetTimeoutMs: config.circuitBreaker?.resetTimeoutMs ?? 30000,
+    });
     this.isInitialized = true;
     
-    console.log('🤖 OpenAI Client initialized successfully');
-    if (organization) {
-      console.log(`🏢 Organization: ${organization}`);
-    }
+    log.info('OpenAI client initialized', { provider, organization });
   }
 
   /**
    * Chat Completions - For conversational AI (GPT-3.5, GPT-4, etc.)
+   * When the model calls tools that have handlers, the handlers run and their
+   * results are sent back until the model answers (at most maxToolRounds rounds);
+   * calls to tools without a handler are returned to the caller.
+   * @param {Array} messages - Array of message objects
    * @param {Object} options - Chat completion options
-   * @param {Array} options.messages - Array of message objects
-   * @param {string} options.model - Model to use (default: gpt-3.5-turbo)
+   * @param {string} options.model - Model to use (default: gpt-5-nano)
    * @param {number} options.maxTokens - Maximum tokens to generate
    * @param {number} options.temperature - Creativity level (0-2)
    * @param {number} options.topP - Nucleus sampling parameter
    * @param {number} options.frequencyPenalty - Frequency penalty (-2 to 2)
    * @param {number} options.presencePenalty - Presence penalty (-2 to 2)
-   * @param {Array} options.stop - Stop sequences
-   * @param {boolean} options.stream - Enable streaming
-   * @returns {Object} Chat completion response
+   * @param {string|Array} options.stop - Stop sequences
+   * @param {boolean} options.stream - Stream the completion, calling options.onChunk with each delta
+   * @param {Function} options.onChunk - Stream callback (delta, fullContent, chunk)
+   * @param {Array<string|Object>} options.tools - Registered tool names or tool definitions (see tools.js)
+   * @param {string|Object} options.toolChoice - 'auto', 'none', 'required' or a tool name
+   * @param {boolean} options.parallelToolCalls - Let the model call several tools at once
+   * @param {number} options.maxToolRounds - Tool round limit (default config.ai.maxToolRounds)
+   * @param {ToolRegistry} options.toolRegistry - Registry for tool names (default defaultToolRegistry)
+   * @param {Object} options.responseFormat - { type: 'json_object' } or { type: 'json_schema', schema, name, strict }
+   * @param {AbortSignal} options.signal - Cancels the request (and pending retries)
+   * @param {number} options.timeout - Per-attempt timeout in ms (default config.openai.timeoutMs)
+   * @param {string} options.cache - 'use', 'bypass' or 'refresh' (default depends on config.cache.enabled)
+   * @param {number} options.cacheTtlMs - Lifetime of a stored response
+   * @returns {Object} Chat completion response, with cache metadata in response.cache, the
+   *   validated value in response.parsed when a response format is set, and executed
+   *   tool calls in response.toolCalls; usage covers every round
    */
-  async chatCompletion(messages , options = {}) {
+  async chatCompletion(messages, options = {}) {
     try {
+      const tools = resolveTools(options.tools, options.toolRegistry);
+      const format = normalizeResponseFormat(options.responseFormat);
 
-      if (!messages || !Array.isArray(messages) || messages.length === 0) {
-        throw new Error('Messages array is required and cannot be empty');
+      if (options.stream) {
+        if (tools.length > 0) {
+          throw createHttpError(400, 'tools cannot be combined with streaming');
+        }
+        const streamed = await this.streamChatCompletion({ ...options, messages }, options.onChunk);
+        return this._finishChat({
+          id: streamed.id,
+          object: 'chat.completion',
+          model: streamed.model,
+          choices: [{ index: 0, message: { role: 'assistant', content: streamed.content }, finish_reason: streamed.finishReason }],
+          usage: streamed.usage,
+          cache: { status: 'bypass' },
+        }, { format });
       }
 
-    const requestParams = {
-      model: options.model || 'gpt-5-nano',
-      messages,
-    };
-
-    if (options.maxTokens) {
-      requestParams.max_completion_tokens = options.maxTokens;
-    }
-
-      const response = await this.client.chat.completions.create(requestParams);
+      const toolsByName = new Map(tools.map((tool) => [tool.name, tool]));
+      const maxToolRounds = options.maxToolRounds ?? config.ai.maxToolRounds;
+      const conversation = [...messages];
+      const toolCalls = [];
+      let usage = null;
+
+      for (let round = 0; ; round++) {
+        const requestParams = this._buildChatParams(conversation, options, { tools, format });
+        const response = await this._cached('chat', requestParams, options,
+          () => this._request((requestOptions) => this.client.chat.completions.create(requestParams, requestOptions), options,
+            { operation: 'chat', model: requestParams.model, round }));
+        usage = addUsage(usage, response.usage);
+
+        const message = response.choices[0]?.message;
+        const calls = message?.tool_calls || [];
+        const runnable = calls.length > 0
+          && calls.every((call) => !toolsByName.has(call.function?.name) || toolsByName.get(call.function.name).handler);
+        if (!runnable) {
+          log.debug('Chat completion succeeded', { provider: this.provider, model: response.model, rounds: round + 1, totalTokens: usage?.total_tokens });
+          return this._finishChat({ ...response, usage }, { format, toolCalls });
+        }
+        if (round >= maxToolRounds) {
+          throw new AIInvalidOutputError(`Model was still calling tools after ${maxToolRounds} rounds`, {
+            provider: this.provider,
+            details: { toolCalls },
+          });
+        }
 
-      console.log(`✅ Chat Completion Success - Tokens used: ${response.usage?.total_tokens || 'N/A'}`);
-      return response;
+        conversation.push({ role: 'assistant', content: message.content ?? null, tool_calls: calls });
+        for (const call of calls) {
+          const tool = toolsByName.get(call.function.name);
+          const outcome = tool
+            ? await executeTool(tool, call.function.arguments, { signal: options.signal })
+            : { arguments: call.function.arguments, error: `unknown tool "${call.function.name}"`, durationMs: 0 };
+          const content = outcome.content ?? JSON.stringify({ error: outcome.error });
+
+          toolCalls.push({
+            id: call.id,
+            name: call.function.name,
+            round: round + 1,
+            arguments: outcome.arguments,
+            ...(outcome.error !== undefined ? { error: outcome.error } : { result: outcome.result }),
+            durationMs: outcome.durationMs,
+          });
+          conversation.push({ role: 'tool', tool_call_id: call.id, content });
+        }
+      }
 
     } catch (error) {
-      console.error('❌ Chat Completion Error:', error.message);
+      log.error('Chat completion failed', { provider: this.provider, err: error });
       throw this._handleError(error);
     }
   }
@@ -95,7 +204,7 @@ class OpenAIClient {
         throw new Error('Prompt is required for text completion');
       }
 
-      console.log(`📝 Text Completion Request - Model: ${model}, Prompt length: ${prompt.length}`);
+      log.debug('Text completion request', { provider: this.provider, model, promptLength: prompt.length });
 
       const requestParams = {
         model,
@@ -110,13 +219,14 @@ class OpenAIClient {
 
       if (stop) requestParams.stop = stop;
 
-      const response = await this.client.completions.create(requestParams);
+      const response = await this._request((requestOptions) => this.client.completions.create(requestParams, requestOptions), options,
+        { operation: 'completion', model });
 
-      console.log(`✅ Text Completion Success - Tokens used: ${response.usage?.total_tokens || 'N/A'}`);
+      log.debug('Text completion succeeded', { provider: this.provider, model, totalTokens: response.usage?.total_tokens });
       return response;
 
     } catch (error) {
-      console.error('❌ Text Completion Error:', error.message);
+      log.error('Text completion failed', { provider: this.provider, err: error });
       throw this._handleError(error);
     }
   }
@@ -148,7 +258,7 @@ class OpenAIClient {
         throw new Error('Prompt is required for image generation');
       }
 
-      console.log(`🎨 Image Generation Request - Model: ${model}, Prompt: "${prompt.substring(0, 50)}..."`);
+      log.debug('Image generation request', { provider: this.provider, model, n });
 
       const requestParams = {
         prompt,
@@ -164,13 +274,14 @@ class OpenAIClient {
         requestParams.style = style;
       }
 
-      const response = await this.client.images.generate(requestParams);
+      const response = await this._request((requestOptions) => this.client.images.generate(requestParams, requestOptions), options,
+        { operation: 'image', model });
 
-      console.log(`✅ Image Generation Success - Generated ${response.data.length} image(s)`);
+      log.debug('Image generation succeeded', { provider: this.provider, model, images: response.data.length });
       return response;
 
     } catch (error) {
-      console.error('❌ Image Generation Error:', error.message);
+      log.error('Image generation failed', { provider: this.provider, err: error });
       throw this._handleError(error);
     }
   }
@@ -199,7 +310,7 @@ class OpenAIClient {
         throw new Error('Audio file is required for transcription');
       }
 
-      console.log(`🎵 Audio Transcription Request - Model: ${model}`);
+      log.debug('Audio transcription request', { provider: this.provider, model });
 
       const requestParams = {
         file,
@@ -211,13 +322,14 @@ class OpenAIClient {
       if (language) requestParams.language = language;
       if (prompt) requestParams.prompt = prompt;
 
-      const response = await this.client.audio.transcriptions.create(requestParams);
+      const response = await this._request((requestOptions) => this.client.audio.transcriptions.create(requestParams, requestOptions), options,
+        { operation: 'transcription', model });
 
-      console.log(`✅ Audio Transcription Success`);
+      log.debug('Audio transcription succeeded', { provider: this.provider, model });
       return response;
 
     } catch (error) {
-      console.error('❌ Audio Transcription Error:', error.message);
+      log.error('Audio transcription failed', { provider: this.provider, err: error });
       throw this._handleError(error);
     }
   }
@@ -243,7 +355,7 @@ class OpenAIClient {
         throw new Error('Audio file is required for translation');
       }
 
-      console.log(`🌐 Audio Translation Request - Model: ${model}`);
+      log.debug('Audio translation request', { provider: this.provider, model });
 
       const requestParams = {
         file,
@@ -254,13 +366,14 @@ class OpenAIClient {
 
       if (prompt) requestParams.prompt = prompt;
 
-      const response = await this.client.audio.translations.create(requestParams);
+      const response = await this._request((requestOptions) => this.client.audio.translations.create(requestParams, requestOptions), options,
+        { operation: 'translation', model });
 
-      console.log(`✅ Audio Translation Success`);
+      log.debug('Audio translation succeeded', { provider: this.provider, model });
       return response;
 
     } catch (error) {
-      console.error('❌ Audio Translation Error:', error.message);
+      log.error('Audio translation failed', { provider: this.provider, err: error });
       throw this._handleError(error);
     }
   }
@@ -288,21 +401,21 @@ class OpenAIClient {
         throw new Error('Input text is required for text-to-speech');
       }
 
-      console.log(`🔊 Text-to-Speech Request - Model: ${model}, Voice: ${voice}`);
+      log.debug('Text-to-speech request', { provider: this.provider, model, voice });
 
-      const response = await this.client.audio.speech.create({
+      const response = await this._request((requestOptions) => this.client.audio.speech.create({
         model,
         voice,
         input,
         response_format: responseFormat,
         speed
-      });
+      }, requestOptions), options, { operation: 'speech', model });
 
-      console.log(`✅ Text-to-Speech Success`);
+      log.debug('Text-to-speech succeeded', { provider: this.provider, model });
       return response;
 
     } catch (error) {
-      console.error('❌ Text-to-Speech Error:', error.message);
+      log.error('Text-to-speech failed', { provider: this.provider, err: error });
       throw this._handleError(error);
     }
   }
@@ -312,7 +425,8 @@ class OpenAIClient {
    * @param {Object} options - Embedding options
    * @param {string|Array} options.input - Text input(s)
    * @param {string} options.model - Model to use
-   * @returns {Object} Embeddings response
+   * @param {string} options.cache - 'use', 'bypass' or 'refresh' (default depends on config.cache.enabled)
+   * @returns {Object} Embeddings response, with cache metadata in response.cache
    */
   async createEmbeddings(options = {}) {
     try {
@@ -326,35 +440,40 @@ class OpenAIClient {
         throw new Error('Input is required for embeddings');
       }
 
-      console.log(`🔢 Embeddings Request - Model: ${model}, Input type: ${Array.isArray(input) ? 'array' : 'string'}`);
+      log.debug('Embeddings request', { provider: this.provider, model, inputs: Array.isArray(input) ? input.length : 1 });
 
-      const response = await this.client.embeddings.create({
+      const requestParams = {
         model,
         input,
         encoding_format: encodingFormat
-      });
+      };
+      const response = await this._cached('embeddings', requestParams, options,
+        () => this._request((requestOptions) => this.client.embeddings.create(requestParams, requestOptions), options,
+          { operation: 'embeddings', model }));
 
-      console.log(`✅ Embeddings Success - Generated ${response.data.length} embedding(s)`);
+      log.debug('Embeddings succeeded', { provider: this.provider, model, embeddings: response.data.length });
       return response;
 
     } catch (error) {
-      console.error('❌ Embeddings Error:', error.message);
+      log.error('Embeddings failed', { provider: this.provider, err: error });
       throw this._handleError(error);
     }
   }
 
   /**
    * List Available Models
+   * @param {Object} options - Request options (signal, timeout)
    * @returns {Object} Available models response
    */
-  async listModels() {
+  async listModels(options = {}) {
     try {
-      console.log('📋 Fetching available models...');
-      const response = await this.client.models.list();
-      console.log(`✅ Found ${response.data.length} available models`);
+      log.debug('Fetching available models', { provider: this.provider });
+      const response = await this._request((requestOptions) => this.client.models.list({}, requestOptions), options,
+        { operation: 'models.list' });
+      log.debug('Fetched available models', { provider: this.provider, models: response.data.length });
       return response;
     } catch (error) {
-      console.error('❌ List Models Error:', error.message);
+      log.error('List models failed', { provider: this.provider, err: error });
       throw this._handleError(error);
     }
   }
@@ -362,39 +481,64 @@ class OpenAIClient {
   /**
    * Get Model Details
    * @param {string} modelId - Model ID to retrieve
+   * @param {Object} options - Request options (signal, timeout)
    * @returns {Object} Model details
    */
-  async getModel(modelId) {
+  async getModel(modelId, options = {}) {
     try {
       if (!modelId) {
         throw new Error('Model ID is required');
       }
 
-      console.log(`🔍 Fetching model details for: ${modelId}`);
-      const response = await this.client.models.retrieve(modelId);
-      console.log(`✅ Retrieved model details for: ${modelId}`);
+      log.debug('Fetching model details', { provider: this.provider, model: modelId });
+      const response = await this._request((requestOptions) => this.client.models.retrieve(modelId, {}, requestOptions), options,
+        { operation: 'models.retrieve', model: modelId });
+      log.debug('Fetched model details', { provider: this.provider, model: modelId });
       return response;
     } catch (error) {
-      console.error('❌ Get Model Error:', error.message);
+      log.error('Get model failed', { provider: this.provider, err: error });
       throw this._handleError(error);
     }
   }
 
   /**
    * Streaming Chat Completion
-   * @param {Object} options - Same as chatCompletion but with stream: true
+   * @param {Object} options - Same as chatCompletion, plus options.messages; tools are not supported
+   * @param {AbortSignal} options.signal - Aborts the upstream request when signalled
    * @param {Function} onChunk - Callback for each chunk
-   * @returns {Promise} Resolves when stream completes
+   * @returns {Promise} Resolves with { id, model, content, finishReason, usage } when the stream completes
    */
   async streamChatCompletion(options = {}, onChunk) {
     try {
-      const streamOptions = { ...options, stream: true };
-      console.log(`🌊 Starting streaming chat completion - Model: ${options.model || 'gpt-3.5-turbo'}`);
+      const { messages, signal, timeout } = options;
+      const format = normalizeResponseFormat(options.responseFormat);
+      const streamParams = {
+        ...this._buildChatParams(messages, options, { format }),
+        stream: true,
+        stream_options: { include_usage: true },
+      };
+      const start = Date.now();
+      log.debug('Streaming chat completion request', { provider: this.provider, model: streamParams.model });
 
-      const stream = await this.client.chat.completions.create(streamOptions);
+      // Only opening the stream is retried; once tokens flow a failure is final
+      const stream = await this._request(
+        (requestOptions) => this.client.chat.completions.create(streamParams, requestOptions),
+        { signal, timeout },
+        { operation: 'stream.open', model: streamParams.model }
+      );
 
       let fullContent = '';
+      let usage = null;
+      let finishReason = null;
+      let id = null;
+      let model = streamParams.model;
       for await (const chunk of stream) {
+        id = chunk.id ?? id;
+        model = chunk.model || model;
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+        finishReason = chunk.choices[0]?.finish_reason || finishReason;
         const content = chunk.choices[0]?.delta?.content || '';
         if (content) {
           fullContent += content;
@@ -404,15 +548,70 @@ class OpenAIClient {
         }
       }
 
-      console.log(`✅ Streaming completed - Total content length: ${fullContent.length}`);
-      return { content: fullContent };
+      log.timing('AI stream completed', Date.now() - start, config.logging.slowAiCallMs, {
+        provider: this.provider,
+        operation: 'stream',
+        model,
+        contentLength: fullContent.length,
+        totalTokens: usage?.total_tokens,
+      }, 'info');
+      return { id, model, content: fullContent, finishReason, usage };
 
     } catch (error) {
-      console.error('❌ Streaming Chat Error:', error.message);
+      log.error('Streaming chat failed', { provider: this.provider, err: error });
       throw this._handleError(error);
     }
   }
 
+  /**
+   * Provider-agnostic chat
+   * @param {Array} messages - Array of { role, content } messages
+   * @param {Object} options - Any chatCompletion option
+   * @returns {Object} Normalized chat response (see normalizeChatResponse)
+   */
+  async chat(messages, options = {}) {
+    const response = await this.chatCompletion(messages, { ...options, stream: false });
+    return this._normalize(response);
+  }
+
+  /**
+   * Provider-agnostic streaming chat
+   * @param {Array} messages - Array of { role, content } messages
+   * @param {Object} options - Any chatCompletion option except tools
+   * @param {Function} onChunk - Called with each content delta
+   * @returns {Object} Normalized chat response
+   */
+  async stream(messages, options = {}, onChunk) {
+    const response = await this.chatCompletion(messages, {
+      ...options,
+      stream: true,
+      onChunk: (delta) => onChunk?.(delta),
+    });
+    return this._normalize(response);
+  }
+
+  /**
+   * Provider-agnostic embeddings
+   * @param {string|Array} input - Text input(s)
+   * @param {Object} options - { model }
+   * @returns {Object} { provider, model, embeddings, usage }
+   */
+  async embed(input, options = {}) {
+    const response = await this.createEmbeddings({
+      input,
+      model: options.model,
+      signal: options.signal,
+      cache: options.cache,
+    });
+    return {
+      provider: this.provider,
+      model: response.model,
+      embeddings: response.data.map((item) => item.embedding),
+      usage: normalizeUsage({ promptTokens: response.usage?.prompt_tokens, completionTokens: 0 }),
+      cache: response.cache,
+    };
+  }
+
   /**
    * Get client configuration
    * @returns {Object} Current configuration
@@ -420,35 +619,182 @@ class OpenAIClient {
   getConfig() {
     return {
       organization: this.config.organization,
-      isInitialized: this.isInitialized
+      isInitialized: this.isInitialized,
+      circuitBreaker: this.circuitBreaker.getStatus(),
     };
   }
 
   /**
    * Test connection to OpenAI API
+   * @param {Object} options - Request options (signal, timeout)
    * @returns {boolean} Connection status
    */
-  async testConnection() {
+  async testConnection(options = {}) {
     try {
-      console.log('🧪 Testing OpenAI connection...');
-      await this.listModels();
-      console.log('✅ OpenAI connection test successful');
+      await this.listModels(options);
+      log.debug('Connection test succeeded', { provider: this.provider });
       return true;
     } catch (error) {
-      console.error('❌ OpenAI connection test failed:', error.message);
+      log.error('Connection test failed', { provider: this.provider, err: error });
       return false;
     }
   }
 
+  /**
+   * Build Chat Completions parameters from camelCase options
+   * @private
+   * @param {Array} messages - Messages
+   * @param {Object} options - chatCompletion options
+   * @param {Object} resolved - { tools, format } already checked by the caller
+   * @returns {Object} SDK request parameters
+   */
+  _buildChatParams(messages, options, { tools = [], format = null } = {}) {
+    if (!messages || !Array.isArray(messages) || messages.length === 0) {
+      throw new Error('Messages array is required and cannot be empty');
+    }
+
+    const params = {
+      model: options.model || 'gpt-5-nano',
+      messages,
+    };
+
+    if (options.maxTokens) params.max_completion_tokens = options.maxTokens;
+    if (options.temperature !== undefined) params.temperature = options.temperature;
+    if (options.topP !== undefined) params.top_p = options.topP;
+    if (options.frequencyPenalty !== undefined) params.frequency_penalty = options.frequencyPenalty;
+    if (options.presencePenalty !== undefined) params.presence_penalty = options.presencePenalty;
+    if (options.stop) params.stop = options.stop;
+    if (format) params.response_format = toOpenAIResponseFormat(format);
+
+    if (tools.length > 0) {
+      params.tools = tools.map(({ name, description, parameters }) => ({
+        type: 'function',
+        function: { name, description, parameters },
+      }));
+      if (options.toolChoice) params.tool_choice = toToolChoice(options.toolChoice);
+      if (options.parallelToolCalls !== undefined) params.parallel_tool_calls = options.parallelToolCalls;
+    }
+
+    return params;
+  }
+
+  /**
+   * Attach the parsed structured output and the tool call trace to a completion
+   * @private
+   */
+  _finishChat(response, { format = null, toolCalls = [] } = {}) {
+    const result = { ...response, toolCalls };
+    const choice = response.choices[0];
+    if (format && choice?.finish_reason !== 'tool_calls') {
+      result.parsed = parseStructuredOutput(choice?.message?.content, format, {
+        provider: this.provider,
+        refusal: choice?.message?.refusal,
+        truncated: choice?.finish_reason === 'length',
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Convert a Chat Completions response to the provider-agnostic shape
+   * @private
+   */
+  _normalize(response) {
+    const choice = response.choices[0];
+    return normalizeChatResponse({
+      id: response.id,
+      provider: this.provider,
+      model: response.model,
+      content: choice?.message?.content ?? '',
+      finishReason: choice?.finish_reason,
+      usage: {
+        promptTokens: response.usage?.prompt_tokens,
+        completionTokens: response.usage?.completion_tokens,
+      },
+      parsed: response.parsed,
+      toolCalls: response.toolCalls,
+      pendingToolCalls: choice?.message?.tool_calls?.map((call) => ({
+        id: call.id,
+        name: call.function?.name,
+        arguments: call.function?.arguments,
+      })),
+      cache: response.cache,
+      raw: response,
+    });
+  }
+
+  /**
+   * Serve a request from the completion cache when one is configured
+   * @private
+   * @param {string} kind - Request kind used in the cache key
+   * @param {Object} requestParams - Provider parameters; the cache key is their hash
+   * @param {Object} options - Per-call options: cache mode and cacheTtlMs
+   * @param {Function} send - Performs the real request
+   * @returns {Object} Response with a cache property describing the lookup
+   */
+  async _cached(kind, requestParams, options, send) {
+    if (!this.cache) {
+      return { ...(await send()), cache: { status: 'bypass' } };
+    }
+
+    const { value, meta } = await this.cache.wrap(kind, { provider: this.provider, ...requestParams }, {
+      mode: options.cache,
+      ttlMs: options.cacheTtlMs,
+    }, send);
+
+    if (meta.status === 'hit') {
+      log.info('Cache hit', { provider: this.provider, kind, tier: meta.tier });
+    }
+    return { ...value, cache: meta };
+  }
+
+  /**
+   * Run an SDK request through the circuit breaker with retries
+   * @private
+   * @param {Function} send - Receives SDK request options and returns the request promise
+   * @param {Object} options - Per-call options: signal (AbortSignal), timeout (ms), maxRetries
+   * @param {Object} fields - Log fields describing the call, e.g. { operation, model }
+   * @returns {any} SDK response
+   */
+  async _request(send, options = {}, fields = {}) {
+    const { signal, timeout = this.resilience.timeoutMs, maxRetries = this.resilience.maxRetries } = options;
+    const start = Date.now();
+    let attempts = 0;
+
+    const response = await callWithResilience(() => {
+      attempts++;
+      return send({ signal, timeout, maxRetries: 0 });
+    }, {
+      circuitBreaker: this.circuitBreaker,
+      classify: (error) => classifyOpenAIError(error, this.provider),
+      maxRetries,
+      baseDelayMs: this.resilience.baseDelayMs,
+      maxDelayMs: this.resilience.maxDelayMs,
+      signal,
+      onRetry: (error, delay, attempt) => log.warn('AI request failed, retrying', {
+        provider: this.provider,
+        ...fields,
+        type: error.type,
+        delayMs: delay,
+        attempt: attempt + 1,
+        maxRetries,
+      }),
+    });
+
+    log.timing('AI request completed', Date.now() - start, config.logging.slowAiCallMs, {
+      provider: this.provider,
+      ...fields,
+      attempts,
+    }, 'info');
+    return response;
+  }
+
   /**
    * Handle and format errors
    * @private
    */
   _handleError(error) {
-    if (error.response?.data) {
-      return new Error(`OpenAI API Error: ${error.response.data.error?.message || 'Unknown error'}`);
-    }
-    return error;
+    return classifyOpenAIError(error, this.provider);
   }
 }
 
@@ -465,31 +811,192 @@ class AIClientFactory {
     return new OpenAIClient(config);
   }
 
-  // Future: Add other AI providers
-  // static createAnthropicClient(config) { ... }
-  // static createGoogleClient(config) { ... }
+  /**
+   * Create Anthropic client instance
+   * @param {Object} config - Anthropic configuration
+   * @returns {AnthropicClient} Anthropic client instance
+   */
+  static createAnthropicClient(config) {
+    return new AnthropicClient(config);
+  }
+
+  /**
+   * Create Google Gemini client instance
+   * @param {Object} config - Gemini configuration
+   * @returns {GeminiClient} Gemini client instance
+   */
+  static createGoogleClient(config) {
+    return new GeminiClient(config);
+  }
+
+  /**
+   * Create a client for an OpenAI-compatible local server such as Ollama
+   * @param {Object} config - { baseURL, apiKey }
+   * @returns {OpenAIClient} OpenAI client pointed at the local server
+   */
+  static createOllamaClient(config) {
+    return new OpenAIClient({ apiKey: 'ollama', ...config, provider: 'ollama' });
+  }
+
+  /**
+   * Create an offline client with deterministic, rule-driven responses
+   * @param {Object} config - Mock options (see MockOpenAITransport) plus OpenAIClient options
+   * @returns {OpenAIClient} OpenAI client backed by the mock transport
+   */
+  static createMockClient(config = {}) {
+    return new OpenAIClient({ ...config, provider: 'mock', sdk: new MockOpenAITransport(config) });
+  }
+}
+
+const KNOWN_PROVIDERS = ['openai', 'anthropic', 'gemini', 'google', 'ollama', 'mock'];
+
+/**
+ * AI Provider Registry - Resolves "provider:model" strings to a client
+ * Model strings without a prefix use the default provider
+ */
+class AIProviderRegistry {
+  constructor(defaultProvider = 'openai') {
+    this.providers = new Map();
+    this.aliases = new Map([['google', 'gemini']]);
+    this.defaultProvider = defaultProvider;
+  }
+
+  /**
+   * Register a client under a provider name
+   * @param {string} name - Provider name used as the model prefix
+   * @param {Object} client - Client implementing chat, stream and embed
+   */
+  register(name, client) {
+    this.providers.set(name, client);
+    return this;
+  }
+
+  /**
+   * Get the client registered under a provider name
+   * @param {string} name - Provider name or alias
+   * @returns {Object|null} Client, or null when the provider isn't configured
+   */
+  get(name) {
+    return this.providers.get(this.aliases.get(name) || name) || null;
+  }
+
+  /**
+   * List registered provider names
+   * @returns {Array<string>} Provider names
+   */
+  list() {
+    return [...this.providers.keys()];
+  }
+
+  /**
+   * Resolve a model string to its provider client
+   * @param {string} modelString - e.g. "anthropic:claude-sonnet-4-5", "ollama:llama3" or "gpt-5-nano"
+   * @returns {Object} { client, provider, model }
+   */
+  resolve(modelString) {
+    let provider = this.defaultProvider;
+    let model = modelString;
+
+    // Only split on a known provider prefix so "llama3:8b" style model tags survive
+    const separator = modelString ? modelString.indexOf(':') : -1;
+    if (separator > 0) {
+      const prefix = modelString.slice(0, separator);
+      if (KNOWN_PROVIDERS.includes(prefix) || this.providers.has(prefix)) {
+        provider = prefix;
+        model = modelString.slice(separator + 1);
+      }
+    }
+
+    provider = this.aliases.get(provider) || provider;
+    const client = this.providers.get(provider);
+    if (!client) {
+      throw createHttpError(503, `AI provider "${provider}" is not configured`);
+    }
+
+    return { client, provider, model: model || undefined };
+  }
 }
 
 // Create and initialize the default OpenAI client instance
 let defaultOpenAIClient = null;
 
+// Shared completion cache; each call opts in or out through its cache option
+const cacheTiers = [new LruCacheTier({ maxEntries: config.cache.lruMaxEntries })];
+if (config.cache.postgres) {
+  cacheTiers.push(new PostgresCacheTier(defaultPgDao, {
+    pruneIntervalMs: config.cache.pruneIntervalMs,
+    hitFlushIntervalMs: config.cache.hitFlushIntervalMs,
+  }));
+}
+const defaultCompletionCache = new CompletionCache({
+  tiers: cacheTiers,
+  ttlMs: config.cache.ttlMs,
+  enabled: config.cache.enabled,
+});
+
 // Initialize the default client only if API key is available
-if (config.openai.apiKey) {
+if (config.mock.enabled) {
+  defaultOpenAIClient = AIClientFactory.createMockClient({ ...config.openai, ...config.mock, cache: defaultCompletionCache });
+  log.info('AI mock mode enabled: every provider is served by the offline mock client');
+} else if (config.openai.apiKey) {
   try {
-    defaultOpenAIClient = AIClientFactory.createOpenAIClient({
-      apiKey: config.openai.apiKey,
-      organization: config.openai.organization,
-    });
-    console.log('🤖 Default OpenAI client initialized successfully');
+    defaultOpenAIClient = AIClientFactory.createOpenAIClient({ ...config.openai, cache: defaultCompletionCache });
   } catch (error) {
-    console.warn('⚠️ Failed to initialize default OpenAI client:', error.message);
-    console.warn('💡 Make sure OPENAI_API_KEY is set in your environment variables');
+    log.warn('Failed to initialize default OpenAI client; make sure OPENAI_API_KEY is set', { err: error });
   }
 } else {
-  console.warn('⚠️ OpenAI API key not found in configuration');
-  console.warn('💡 Set OPENAI_API_KEY in your .env file to use the default client');
+  log.warn('OpenAI API key not found in configuration; set OPENAI_API_KEY or AI_MOCK=true to use the default client');
+}
+
+// Register every configured provider
+const defaultAIRegistry = new AIProviderRegistry(config.ai.defaultProvider);
+
+if (config.mock.enabled) {
+  // Keep "provider:model" strings working offline by answering for every provider
+  for (const name of ['mock', 'openai', 'anthropic', 'gemini', 'ollama']) {
+    defaultAIRegistry.register(name, defaultOpenAIClient);
+  }
+} else if (defaultOpenAIClient) {
+  defaultAIRegistry.register('openai', defaultOpenAIClient);
+}
+
+const optionalProviders = config.mock.enabled ? [] : [
+  ['anthropic', config.anthropic.apiKey, () => AIClientFactory.createAnthropicClient(config.anthropic)],
+  ['gemini', config.gemini.apiKey, () => AIClientFactory.createGoogleClient(config.gemini)],
+  ['ollama', config.ollama.baseURL, () => AIClientFactory.createOllamaClient(config.ollama)],
+];
+
+for (const [name, enabled, create] of optionalProviders) {
+  if (!enabled) continue;
+  try {
+    defaultAIRegistry.register(name, create());
+  } catch (error) {
+    log.warn('Failed to initialize AI client', { provider: name, err: error });
+  }
+}
+
+// Embeddings always go through EMBEDDING_MODEL, so report a provider that can't serve them now
+try {
+  const { client, provider } = defaultAIRegistry.resolve(config.embeddings.model);
+  if (!client.capabilities.embeddings) {
+    log.error('EMBEDDING_MODEL uses a provider without embeddings; semantic search is unavailable', { provider });
+  }
+} catch (error) {
+  log.warn('EMBEDDING_MODEL provider is not configured; semantic search is unavailable', { err: error });
 }
 
 // Export classes and default instance
-export { OpenAIClient, AIClientFactory, defaultOpenAIClient };
+export {
+  OpenAIClient,
+  AnthropicClient,
+  GeminiClient,
+  AIClientFactory,
+  AIProviderRegistry,
+  CompletionCache,
+  ToolRegistry,
+  defaultOpenAIClient,
+  defaultAIRegistry,
+  defaultCompletionCache,
+  defaultToolRegistry,
+};
 export default defaultOpenAIClient;
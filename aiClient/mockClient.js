@@ -0,0 +1,356 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import {
+  APIConnectionTimeoutError,
+  APIError,
+  APIUserAbortError,
+} from 'openai';
+import { estimateTokens } from '../utils/contextWindow.js';
+import { sleep } from './resilience.js';
+
+const DEFAULT_EMBEDDING_DIMENSIONS = 1536;
+const DEFAULT_TRANSCRIPTION = 'This is a mock transcription.';
+const MOCK_MODELS = ['mock-chat', 'gpt-5-nano', 'text-embedding-3-small', 'dall-e-2', 'whisper-1', 'tts-1'];
+
+// 1x1 transparent PNG
+const PLACEHOLDER_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+function hash(value) {
+  return crypto.createHash('sha256').update(typeof value === 'string' ? value : JSON.stringify(value)).digest('hex');
+}
+
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map((part) => part.text || '').join('');
+  }
+  return '';
+}
+
+/**
+ * Deterministic bag-of-words embedding
+ * Each word is hashed to a signed dimension, so texts sharing words get similar vectors
+ * @param {string} text - Input text
+ * @param {number} dimensions - Vector length
+ * @returns {Array<number>} Unit-length vector (all zeros for text without words)
+ */
+function embedWords(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    const digest = crypto.createHash('sha256').update(word).digest();
+    const index = digest.readUInt32BE(0) % dimensions;
+    vector[index] += digest[4] & 1 ? 1 : -1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm ? vector.map((value) => value / norm) : vector;
+}
+
+/**
+ * Smallest value that satisfies a JSON schema's types, enums and required properties
+ * @param {Object} schema - JSON schema
+ * @returns {any} Sample value
+ */
+function sampleFromSchema(schema = {}) {
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum)) return schema.enum[0];
+  if (schema.default !== undefined) return schema.default;
+  const branch = schema.anyOf?.[0] || schema.oneOf?.[0];
+  if (branch) return sampleFromSchema(branch);
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  switch (type) {
+    case 'object':
+      return Object.fromEntries((schema.required || []).map((key) => [key, sampleFromSchema(schema.properties?.[key])]));
+    case 'array':
+      return Array.from({ length: schema.minItems || 0 }, () => sampleFromSchema(schema.items));
+    case 'string':
+      return 'mock'.padEnd(schema.minLength || 0, '-');
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? (schema.exclusiveMinimum !== undefined ? schema.exclusiveMinimum + 1 : 0);
+    case 'boolean':
+      return false;
+    case 'null':
+      return null;
+    default:
+      return schema.properties ? sampleFromSchema({ ...schema, type: 'object' }) : null;
+  }
+}
+
+/**
+ * Load fixture rules from a JSON file
+ * The file holds an array of rules, or an object with a "rules" array
+ * @param {string} path - Fixture file path
+ * @returns {Array<Object>} Rules
+ */
+function loadFixtures(path) {
+  try {
+    const fixtures = JSON.parse(fs.readFileSync(path, 'utf8'));
+    return Array.isArray(fixtures) ? fixtures : fixtures.rules || [];
+  } catch (error) {
+    throw new Error(`Failed to load mock AI fixtures from ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Mock OpenAI Transport
+ * Stands in for the OpenAI SDK inside OpenAIClient so the client's retries, circuit
+ * breaker, cache and error classification behave exactly as they do against the API.
+ *
+ * Chat and text completions are answered by the first matching rule:
+ *   { contains, pattern, response, toolCalls: [{ name, arguments }], error: { status, message }, latencyMs }
+ * A rule without contains/pattern matches everything. Without a match the reply
+ * echoes the last user message, or is a minimal value matching the requested JSON
+ * schema. A rule's toolCalls are made when the request offers tools and the
+ * conversation doesn't end with tool results yet. Every failEvery-th request fails
+ * with errorStatus.
+ */
+class MockOpenAITransport {
+  /**
+   * @param {Object} config - Mock configuration
+   * @param {Array<Object>} config.rules - Response rules, checked before fixtures
+   * @param {string} config.fixturesPath - JSON file with more rules
+   * @param {number} config.latencyMs - Delay before every response
+   * @param {number} config.streamChunkDelayMs - Delay between streamed chunks
+   * @param {number} config.failEvery - Fail every Nth request (0 disables)
+   * @param {number} config.errorStatus - HTTP status of injected failures
+   * @param {string} config.transcription - Text returned by transcriptions and translations
+   */
+  constructor(config = {}) {
+    this.rules = [...(config.rules || []), ...(config.fixturesPath ? loadFixtures(config.fixturesPath) : [])];
+    this.latencyMs = config.latencyMs || 0;
+    this.streamChunkDelayMs = config.streamChunkDelayMs || 0;
+    this.failEvery = config.failEvery || 0;
+    this.errorStatus = config.errorStatus || 500;
+    this.transcription = config.transcription || DEFAULT_TRANSCRIPTION;
+    this.requestCount = 0;
+
+    this.chat = { completions: { create: (params, options) => this._createChatCompletion(params, options) } };
+    this.completions = { create: (params, options) => this._createTextCompletion(params, options) };
+    this.embeddings = { create: (params, options) => this._createEmbeddings(params, options) };
+    this.images = { generate: (params, options) => this._generateImage(params, options) };
+    this.audio = {
+      transcriptions: { create: (params, options) => this._transcribe(params, options) },
+      translations: { create: (params, options) => this._transcribe(params, options) },
+      speech: { create: (params, options) => this._speech(params, options) },
+    };
+    this.models = {
+      list: (query, options) => this._listModels(options),
+      retrieve: (modelId, query, options) => this._retrieveModel(modelId, options),
+    };
+  }
+
+  _findRule(text) {
+    return this.rules.find((rule) => {
+      if (rule.contains !== undefined) return text.includes(rule.contains);
+      if (rule.pattern !== undefined) return new RegExp(rule.pattern, rule.flags).test(text);
+      return true;
+    }) || null;
+  }
+
+  async _delay(ms, { signal, timeout } = {}) {
+    if (signal?.aborted) {
+      throw new APIUserAbortError();
+    }
+    if (!ms) return;
+
+    try {
+      await sleep(timeout && ms > timeout ? timeout : ms, signal);
+    } catch {
+      throw new APIUserAbortError();
+    }
+    if (timeout && ms > timeout) {
+      throw new APIConnectionTimeoutError();
+    }
+  }
+
+  /**
+   * Count the request, wait the configured latency and raise injected failures
+   */
+  async _begin(options, rule = null) {
+    this.requestCount += 1;
+    await this._delay(rule?.latencyMs ?? this.latencyMs, options);
+
+    const error = rule?.error
+      || (this.failEvery && this.requestCount % this.failEvery === 0 ? { status: this.errorStatus } : null);
+    if (error) {
+      const status = error.status || this.errorStatus;
+      const message = error.message || `Mock AI provider error (${status})`;
+      throw APIError.generate(status, { error: { message } }, message, new Headers());
+    }
+  }
+
+  _reply(prompt, rule, maxTokens, responseFormat) {
+    let content = rule?.response ?? this._defaultReply(prompt, responseFormat);
+    let finishReason = 'stop';
+
+    if (maxTokens && estimateTokens(content) > maxTokens) {
+      content = content.slice(0, maxTokens * 4);
+      finishReason = 'length';
+    }
+    return { content, finishReason };
+  }
+
+  _defaultReply(prompt, responseFormat) {
+    if (responseFormat?.type === 'json_schema') {
+      return JSON.stringify(sampleFromSchema(responseFormat.json_schema?.schema));
+    }
+    if (responseFormat?.type === 'json_object') {
+      return JSON.stringify({ response: `Mock response to: ${prompt.slice(0, 200)}` });
+    }
+    return `Mock response to: ${prompt.slice(0, 200)}`;
+  }
+
+  _toolCalls(rule, params) {
+    const offered = new Set((params.tools || []).map((tool) => tool.function?.name));
+    const messages = params.messages || [];
+    if (!rule?.toolCalls || offered.size === 0 || messages[messages.length - 1]?.role === 'tool') {
+      return null;
+    }
+
+    const calls = rule.toolCalls.filter((call) => offered.has(call.name));
+    return calls.length === 0 ? null : calls.map((call, index) => ({
+      id: `call_mock_${hash([params.messages.length, index, call]).slice(0, 16)}`,
+      type: 'function',
+      function: {
+        name: call.name,
+        arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments ?? {}),
+      },
+    }));
+  }
+
+  async _createChatCompletion(params, options = {}) {
+    const messages = params.messages || [];
+    const lastUser = [...messages].reverse().find((message) => message.role === 'user');
+    const prompt = messageText(lastUser?.content);
+    const rule = this._findRule(prompt);
+    await this._begin(options, rule);
+
+    const toolCalls = params.stream ? null : this._toolCalls(rule, params);
+    const { content, finishReason } = toolCalls
+      ? { content: null, finishReason: 'tool_calls' }
+      : this._reply(prompt, rule, params.max_completion_tokens || params.max_tokens, params.response_format);
+    const promptTokens = messages.reduce((sum, message) => sum + 4 + estimateTokens(messageText(message.content)), 0);
+    const completionTokens = toolCalls ? estimateTokens(JSON.stringify(toolCalls)) : estimateTokens(content);
+    const id = `chatcmpl-mock-${hash(params).slice(0, 24)}`;
+    const created = Math.floor(Date.now() / 1000);
+    const usage = {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+    };
+
+    if (params.stream) {
+      return this._streamChunks({ id, created, model: params.model, content, finishReason, usage, params, options });
+    }
+
+    return {
+      id,
+      object: 'chat.completion',
+      created,
+      model: params.model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content, refusal: null, ...(toolCalls ? { tool_calls: toolCalls } : {}) },
+        finish_reason: finishReason,
+      }],
+      usage,
+    };
+  }
+
+  async *_streamChunks({ id, created, model, content, finishReason, usage, params, options }) {
+    const chunk = (choices, extra = {}) => ({ id, object: 'chat.completion.chunk', created, model, choices, ...extra });
+
+    for (const piece of content.match(/\S+\s*|\s+/g) || []) {
+      await this._delay(this.streamChunkDelayMs, { signal: options.signal });
+      yield chunk([{ index: 0, delta: { content: piece }, finish_reason: null }]);
+    }
+    yield chunk([{ index: 0, delta: {}, finish_reason: finishReason }]);
+
+    if (params.stream_options?.include_usage) {
+      yield chunk([], { usage });
+    }
+  }
+
+  async _createTextCompletion(params, options = {}) {
+    const prompt = String(params.prompt);
+    const rule = this._findRule(prompt);
+    await this._begin(options, rule);
+
+    const { content, finishReason } = this._reply(prompt, rule, params.max_tokens);
+    const promptTokens = estimateTokens(prompt);
+    const completionTokens = estimateTokens(content);
+
+    return {
+      id: `cmpl-mock-${hash(params).slice(0, 24)}`,
+      object: 'text_completion',
+      created: Math.floor(Date.now() / 1000),
+      model: params.model,
+      choices: [{ index: 0, text: content, finish_reason: finishReason, logprobs: null }],
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+    };
+  }
+
+  async _createEmbeddings(params, options = {}) {
+    await this._begin(options);
+
+    const inputs = Array.isArray(params.input) ? params.input : [params.input];
+    const dimensions = params.dimensions || DEFAULT_EMBEDDING_DIMENSIONS;
+    const promptTokens = inputs.reduce((sum, input) => sum + estimateTokens(String(input)), 0);
+
+    return {
+      object: 'list',
+      model: params.model,
+      data: inputs.map((input, index) => ({
+        object: 'embedding',
+        index,
+        embedding: embedWords(String(input), dimensions),
+      })),
+      usage: { prompt_tokens: promptTokens, total_tokens: promptTokens },
+    };
+  }
+
+  async _generateImage(params, options = {}) {
+    await this._begin(options);
+
+    const key = hash(params).slice(0, 24);
+    return {
+      created: Math.floor(Date.now() / 1000),
+      data: Array.from({ length: params.n || 1 }, (_, index) => (
+        params.response_format === 'b64_json'
+          ? { b64_json: PLACEHOLDER_PNG, revised_prompt: params.prompt }
+          : { url: `https://mock-ai.invalid/images/${key}-${index}.png`, revised_prompt: params.prompt }
+      )),
+    };
+  }
+
+  async _transcribe(params, options = {}) {
+    await this._begin(options);
+    const text = this.transcription;
+    return params.response_format === 'text' ? text : { text };
+  }
+
+  async _speech(params, options = {}) {
+    await this._begin(options);
+    const audio = Buffer.from(`MOCK-AUDIO ${params.voice} ${hash(params.input)}`);
+    return new Response(audio, { headers: { 'content-type': `audio/${params.response_format || 'mpeg'}` } });
+  }
+
+  async _listModels(options = {}) {
+    await this._begin(options);
+    return {
+      object: 'list',
+      data: MOCK_MODELS.map((id) => ({ id, object: 'model', created: 0, owned_by: 'mock' })),
+    };
+  }
+
+  async _retrieveModel(modelId, options = {}) {
+    await this._begin(options, MOCK_MODELS.includes(modelId)
+      ? null
+      : { error: { status: 404, message: `The model '${modelId}' does not exist` } });
+    return { id: modelId, object: 'model', created: 0, owned_by: 'mock' };
+  }
+}
+
+export { MockOpenAITransport };
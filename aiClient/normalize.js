@@ -0,0 +1,64 @@
+/**
+ * Normalize token usage across providers
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @returns {Object} { promptTokens, completionTokens, totalTokens }
+ */
+export function normalizeUsage({ promptTokens, completionTokens } = {}) {
+  const prompt = promptTokens ?? 0;
+  const completion = completionTokens ?? 0;
+  return {
+    promptTokens: prompt,
+    completionTokens: completion,
+    totalTokens: prompt + completion,
+  };
+}
+
+/**
+ * Build the provider-agnostic chat response shape
+ * @param {Object} response - Provider response fields
+ * parsed is the validated structured output (null without a response format),
+ * toolCalls the tool calls that were run, and pendingToolCalls the calls to
+ * tools without a handler, left for the caller
+ * @returns {Object} { id, provider, model, content, parsed, finishReason, usage, toolCalls, pendingToolCalls, cache, raw }
+ */
+export function normalizeChatResponse({
+  id = null,
+  provider,
+  model,
+  content,
+  parsed = null,
+  finishReason = null,
+  usage,
+  toolCalls = [],
+  pendingToolCalls = [],
+  cache = null,
+  raw = null,
+}) {
+  return {
+    id,
+    provider,
+    model,
+    content: content ?? '',
+    parsed,
+    finishReason,
+    usage: normalizeUsage(usage),
+    toolCalls,
+    pendingToolCalls,
+    cache,
+    raw,
+  };
+}
+
+/**
+ * Split OpenAI-style messages into a system prompt and conversation turns
+ * @param {Array} messages - Array of { role, content } messages
+ * @returns {Object} { system, turns }
+ */
+export function splitSystemMessages(messages) {
+  const system = messages
+    .filter((message) => message.role === 'system' || message.role === 'developer')
+    .map((message) => message.content)
+    .join('\n\n');
+  const turns = messages.filter((message) => message.role !== 'system' && message.role !== 'developer');
+  return { system: system || undefined, turns };
+}
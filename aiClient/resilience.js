@@ -0,0 +1,158 @@
+import logger from '../utils/logger.js';
+import { AICircuitOpenError } from './errors.js';
+
+const log = logger.child({ component: 'ai' });
+
+/**
+ * Circuit Breaker
+ * Opens after consecutive failures and fails fast until resetTimeoutMs has
+ * passed, then lets a single trial request through (half-open)
+ */
+class CircuitBreaker {
+  constructor({ name = 'ai', failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Throw if the circuit is open; otherwise admit the request
+   */
+  assertCanRequest() {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+        throw new AICircuitOpenError(`${this.name} circuit is open, failing fast`, { provider: this.name });
+      }
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) {
+        throw new AICircuitOpenError(`${this.name} circuit is half-open, trial request in flight`, { provider: this.name });
+      }
+      this.trialInFlight = true;
+    }
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      log.info('Circuit closed', { circuit: this.name });
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        log.warn('Circuit opened', { circuit: this.name, failures: this.failures });
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Release a half-open trial slot without counting a success or failure
+   */
+  recordNeutral() {
+    this.trialInFlight = false;
+  }
+
+  getStatus() {
+    return { state: this.state, failures: this.failures, openedAt: this.openedAt };
+  }
+}
+
+/**
+ * Compute a backoff delay using exponential backoff with full jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} options - { baseDelayMs, maxDelayMs, retryAfterMs }
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs, retryAfterMs }) {
+  if (retryAfterMs !== null && retryAfterMs !== undefined) {
+    return Math.min(retryAfterMs, maxDelayMs);
+  }
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+/**
+ * Sleep for a delay, rejecting early if the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(signal.reason);
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run a provider call through a circuit breaker, retrying retryable errors
+ * Server errors and timeouts count against the circuit; other failures don't
+ * @param {Function} send - Makes the call; receives the zero-based attempt
+ * @param {Object} options - Call options
+ * @param {CircuitBreaker} options.circuitBreaker - Breaker of the provider
+ * @param {Function} options.classify - Turns an SDK error into an AIProviderError
+ * @param {number} options.maxRetries - Retries after the first attempt (default 0)
+ * @param {number} options.baseDelayMs - Backoff base delay
+ * @param {number} options.maxDelayMs - Backoff cap
+ * @param {AbortSignal} options.signal - Stops retrying once aborted
+ * @param {Function} options.onRetry - Called with (error, delayMs, attempt) before each retry
+ * @returns {any} Result of send
+ */
+async function callWithResilience(send, {
+  circuitBreaker,
+  classify,
+  maxRetries = 0,
+  baseDelayMs = 500,
+  maxDelayMs = 20000,
+  signal,
+  onRetry,
+}) {
+  for (let attempt = 0; ; attempt++) {
+    circuitBreaker.assertCanRequest();
+
+    try {
+      const response = await send(attempt);
+      circuitBreaker.recordSuccess();
+      return response;
+    } catch (rawError) {
+      const error = classify(rawError);
+
+      if (['server', 'timeout'].includes(error.type)) {
+        circuitBreaker.recordFailure();
+      } else {
+        circuitBreaker.recordNeutral();
+      }
+
+      if (!error.retryable || attempt >= maxRetries || signal?.aborted) {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, { baseDelayMs, maxDelayMs, retryAfterMs: error.retryAfterMs });
+      onRetry?.(error, delay, attempt);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+export { CircuitBreaker, backoffDelay, sleep, callWithResilience };
@@ -0,0 +1,135 @@
+/**
+ * Structured output
+ * A response format asks the model for JSON, optionally matching a JSON schema;
+ * the reply is parsed and validated so callers get a ready-to-use value.
+ *
+ * Response format syntax:
+ *   { type: 'text' }                                     plain text (the default)
+ *   { type: 'json_object' }                              any JSON object
+ *   { type: 'json_schema', schema, name, strict }        JSON matching the schema
+ */
+
+import { createHttpError } from '../utils/httpError.js';
+import { defaultSchemaCompiler } from '../utils/jsonSchema.js';
+import { AIInvalidOutputError } from './errors.js';
+
+export const RESPONSE_FORMAT_TYPES = ['text', 'json_object', 'json_schema'];
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Compile a JSON schema, reporting an unusable schema as a 400
+ * @param {Object} schema - JSON schema
+ * @param {string} label - Name used in the error message, e.g. 'outputSchema'
+ * @returns {Function} Ajv validate function
+ */
+export function compileSchema(schema, label = 'schema') {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw createHttpError(400, `${label} must be a JSON schema object`);
+  }
+  try {
+    return defaultSchemaCompiler.compile(schema);
+  } catch (error) {
+    throw createHttpError(400, `${label} is not a valid JSON schema: ${error.message}`);
+  }
+}
+
+/**
+ * Check a response format and compile its schema
+ * @param {Object} responseFormat - See the syntax above
+ * @returns {Object|null} { type, name, schema, strict, validate }, or null for plain text
+ */
+export function normalizeResponseFormat(responseFormat) {
+  if (!responseFormat || responseFormat.type === 'text') {
+    return null;
+  }
+  if (!RESPONSE_FORMAT_TYPES.includes(responseFormat.type)) {
+    throw createHttpError(400, `responseFormat.type must be one of ${RESPONSE_FORMAT_TYPES.join(', ')}`);
+  }
+  if (responseFormat.type === 'json_object') {
+    return { type: 'json_object', name: null, schema: null, strict: false, validate: null };
+  }
+
+  const name = responseFormat.name || 'output';
+  if (!NAME_PATTERN.test(name)) {
+    throw createHttpError(400, 'responseFormat.name may only contain letters, digits, "_" and "-" (max 64)');
+  }
+  return {
+    type: 'json_schema',
+    name,
+    schema: responseFormat.schema,
+    strict: responseFormat.strict ?? false,
+    validate: compileSchema(responseFormat.schema, 'responseFormat.schema'),
+  };
+}
+
+/**
+ * Build the OpenAI response_format parameter
+ * @param {Object} format - Normalized response format
+ * @returns {Object} response_format value
+ */
+export function toOpenAIResponseFormat(format) {
+  if (format.type === 'json_object') {
+    return { type: 'json_object' };
+  }
+  return {
+    type: 'json_schema',
+    json_schema: { name: format.name, schema: format.schema, strict: format.strict },
+  };
+}
+
+/**
+ * Instruction for providers without a native JSON mode
+ * @param {Object} format - Normalized response format
+ * @returns {string} System prompt text
+ */
+export function formatInstruction(format) {
+  if (format.type === 'json_object') {
+    return 'Respond with a single JSON object and nothing else.';
+  }
+  return `Respond with a single JSON value that matches this JSON schema and nothing else:\n${JSON.stringify(format.schema)}`;
+}
+
+// Models without a native JSON mode sometimes wrap the answer in a code fence
+function stripCodeFence(text) {
+  const match = text.trim().match(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/);
+  return match ? match[1] : text;
+}
+
+/**
+ * Parse and validate a structured reply
+ * @param {string} content - Model output
+ * @param {Object} format - Normalized response format
+ * @param {Object} options - { provider, refusal, truncated }
+ * @returns {any} Parsed value
+ * @throws {AIInvalidOutputError} When the model refused, or the output isn't valid JSON or doesn't match the schema
+ */
+export function parseStructuredOutput(content, format, { provider, refusal, truncated = false } = {}) {
+  if (refusal) {
+    throw new AIInvalidOutputError(`Model refused to answer: ${refusal}`, { provider });
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(stripCodeFence(content ?? ''));
+  } catch {
+    const message = truncated
+      ? 'Model output was cut off at maxTokens before the JSON was complete'
+      : 'Model output is not valid JSON';
+    throw new AIInvalidOutputError(message, { provider, details: { output: content } });
+  }
+
+  if (format.type === 'json_object' && (!parsed || typeof parsed !== 'object' || Array.isArray(parsed))) {
+    throw new AIInvalidOutputError('Model output is not a JSON object', { provider, details: { output: content } });
+  }
+  if (format.validate && !format.validate(parsed)) {
+    throw new AIInvalidOutputError('Model output does not match the response schema', {
+      provider,
+      details: {
+        output: content,
+        errors: format.validate.errors.map((error) => ({ path: error.instancePath, message: error.message })),
+      },
+    });
+  }
+  return parsed;
+}
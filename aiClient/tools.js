@@ -0,0 +1,186 @@
+/**
+ * Tool calling
+ * Tools are JavaScript functions the model may call during a chat completion.
+ * Handlers receive the parsed, schema-checked arguments and return any
+ * JSON-serializable value, which is sent back to the model as the tool result.
+ *
+ * Tool definition:
+ *   {
+ *     name: 'get_weather',                       letters, digits, "_" and "-" (max 64)
+ *     description: 'Current weather for a city',
+ *     parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] },
+ *     handler: async ({ city }, { signal }) => ({ temperature: 21 }),
+ *     timeoutMs: 10000,                          optional, default 30s
+ *   }
+ * A definition without a handler is passed to the model as-is and its calls are
+ * returned to the caller instead of being run.
+ */
+
+import { createHttpError } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+import { compileSchema } from './structuredOutput.js';
+
+const log = logger.child({ component: 'tools' });
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DEFAULT_TIMEOUT_MS = 30000;
+const EMPTY_PARAMETERS = { type: 'object', properties: {} };
+
+function defineTool({ name, description = '', parameters = EMPTY_PARAMETERS, handler, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw createHttpError(400, `Tool name "${name}" may only contain letters, digits, "_" and "-" (max 64)`);
+  }
+  if (handler !== undefined && typeof handler !== 'function') {
+    throw createHttpError(400, `Tool "${name}" handler must be a function`);
+  }
+  return {
+    name,
+    description,
+    parameters,
+    handler,
+    timeoutMs,
+    validate: compileSchema(parameters, `Tool "${name}" parameters`),
+  };
+}
+
+/**
+ * Tool Registry
+ * Named tools that requests can refer to by name
+ */
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool, replacing any tool with the same name
+   * @param {Object} definition - Tool definition (see above)
+   */
+  register(definition) {
+    const tool = defineTool(definition);
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  /**
+   * Get a registered tool
+   * @param {string} name - Tool name
+   * @returns {Object|null} Tool, or null when it isn't registered
+   */
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  /**
+   * List registered tools
+   * @returns {Array<Object>} { name, description, parameters }
+   */
+  list() {
+    return [...this.tools.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+}
+
+/**
+ * Resolve the tools option of a chat request
+ * @param {Array<string|Object>} tools - Registered tool names or tool definitions
+ * @param {ToolRegistry} registry - Registry used for names
+ * @returns {Array<Object>} Tools with compiled argument validators
+ */
+function resolveTools(tools, registry = defaultToolRegistry) {
+  if (!tools) {
+    return [];
+  }
+  if (!Array.isArray(tools)) {
+    throw createHttpError(400, 'tools must be an array');
+  }
+
+  const resolved = tools.map((tool) => {
+    if (typeof tool !== 'string') {
+      return defineTool(tool);
+    }
+    const registered = registry.get(tool);
+    if (!registered) {
+      throw createHttpError(400, `Unknown tool "${tool}"`);
+    }
+    return registered;
+  });
+
+  const names = resolved.map((tool) => tool.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw createHttpError(400, `Tool "${duplicate}" is listed more than once`);
+  }
+  return resolved;
+}
+
+function withTimeout(promise, timeoutMs, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Tool "${name}" timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run one tool call requested by the model
+ * Bad arguments and handler failures don't throw: they are reported back to the
+ * model as { error } so it can correct itself
+ * @param {Object} tool - Resolved tool with a handler
+ * @param {string} rawArguments - JSON arguments produced by the model
+ * @param {Object} context - { signal }
+ * @returns {Object} { arguments, result, error, content, durationMs }; content is the tool message text
+ */
+async function executeTool(tool, rawArguments, { signal } = {}) {
+  const startedAt = Date.now();
+  const finish = (fields) => {
+    const durationMs = Date.now() - startedAt;
+    const content = fields.error !== undefined
+      ? JSON.stringify({ error: fields.error })
+      : typeof fields.result === 'string' ? fields.result : JSON.stringify(fields.result ?? null);
+    return { ...fields, content, durationMs };
+  };
+
+  let args;
+  try {
+    args = rawArguments ? JSON.parse(rawArguments) : {};
+  } catch {
+    return finish({ arguments: rawArguments, error: 'arguments are not valid JSON' });
+  }
+  if (!tool.validate(args)) {
+    const message = tool.validate.errors.map((error) => `${error.instancePath || 'arguments'} ${error.message}`).join(', ');
+    return finish({ arguments: args, error: `invalid arguments: ${message}` });
+  }
+
+  try {
+    const result = await withTimeout(Promise.resolve(tool.handler(args, { signal })), tool.timeoutMs, tool.name);
+    log.debug('Tool call completed', { tool: tool.name, durationMs: Date.now() - startedAt });
+    return finish({ arguments: args, result });
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    log.warn('Tool call failed', { tool: tool.name, durationMs: Date.now() - startedAt, err: error });
+    return finish({ arguments: args, error: error.message });
+  }
+}
+
+// Shared registry; services register their tools at import time
+const defaultToolRegistry = new ToolRegistry();
+
+defaultToolRegistry.register({
+  name: 'get_current_time',
+  description: 'Current date and time as an ISO 8601 string, optionally in an IANA time zone',
+  parameters: {
+    type: 'object',
+    properties: { timeZone: { type: 'string', description: 'IANA time zone, e.g. Europe/Paris' } },
+  },
+  handler: ({ timeZone }) => {
+    const now = new Date();
+    if (!timeZone) {
+      return { now: now.toISOString(), timeZone: 'UTC' };
+    }
+    return { now: now.toLocaleString('sv-SE', { timeZone }).replace(' ', 'T'), timeZone };
+  },
+});
+
+export { ToolRegistry, resolveTools, executeTool, defaultToolRegistry };
@@ -0,0 +1,261 @@
+import Ajv from 'ajv';
+
+/**
+ * Environment variable schema
+ * Every variable the server reads is declared here with its type and default.
+ * Values arrive as strings and are coerced to the declared type; "array"
+ * variables are comma-separated lists and "object" variables hold JSON.
+ * Empty values count as unset.
+ */
+
+const string = (defaultValue) => (defaultValue === undefined ? { type: 'string' } : { type: 'string', default: defaultValue });
+const url = (defaultValue) => ({ ...string(defaultValue), pattern: '^https?://' });
+const integer = (defaultValue, minimum = 0, maximum) => ({
+  type: 'integer',
+  minimum,
+  ...(maximum !== undefined ? { maximum } : {}),
+  ...(defaultValue !== undefined ? { default: defaultValue } : {}),
+});
+const port = (defaultValue) => integer(defaultValue, 1, 65535);
+const boolean = (defaultValue) => ({ type: 'boolean', default: defaultValue });
+const oneOf = (values, defaultValue) => ({ type: 'string', enum: values, default: defaultValue });
+const list = () => ({ type: 'array', items: { type: 'string', minLength: 1 }, default: [] });
+
+export const PROFILES = ['development', 'test', 'production'];
+
+export const ENV_SCHEMA = {
+  NODE_ENV: oneOf(PROFILES, 'development'),
+  PORT: port(5000),
+  FRONTEND_URL: url('http://localhost:3000'),
+  ADMIN_EMAILS: list(),
+
+  GOOGLE_CLIENT_ID: string(),
+  GOOGLE_CLIENT_SECRET: string(),
+  GOOGLE_REDIRECT_URI: url(),
+  JWT_SECRET: string(),
+  JWT_EXPIRES_IN: string('15m'),
+  REFRESH_TOKEN_TTL_DAYS: integer(30, 1),
+  API_KEY_DEFAULT_TTL_DAYS: integer(90),
+  API_KEY_MAX_PER_USER: integer(20, 1),
+
+  DB_HOST: string('localhost'),
+  DB_PORT: port(5432),
+  DB_NAME: string('promptdeck'),
+  DB_USER: string('postgres'),
+  DB_PASSWORD: string(),
+  DB_MAX_CONNECTIONS: integer(20, 1),
+  DB_IDLE_TIMEOUT: integer(30000),
+  DB_CONNECTION_TIMEOUT: integer(2000),
+  DB_MIGRATE_ON_START: boolean(true),
+  DB_CONNECT_RETRIES: integer(10),
+  DB_CONNECT_RETRY_DELAY_MS: integer(500, 1),
+  DB_CONNECT_RETRY_MAX_DELAY_MS: integer(10000, 1),
+
+  SHUTDOWN_TIMEOUT_MS: integer(25000, 1),
+  HEALTH_CHECK_TIMEOUT_MS: integer(5000, 1),
+  HEALTH_AI_CHECK_TTL_MS: integer(30000),
+
+  LOG_LEVEL: oneOf(['debug', 'info', 'warn', 'error', 'silent'], 'info'),
+  LOG_FORMAT: oneOf(['json', 'pretty'], 'json'),
+  LOG_REDACT_PARAMS: oneOf(['strings', 'all', 'none'], 'strings'),
+  LOG_REDACT_KEYS: list(),
+  LOG_SLOW_QUERY_MS: integer(500),
+  LOG_SLOW_AI_CALL_MS: integer(10000),
+
+  OPENAI_API_KEY: string(),
+  OPENAI_ORGANIZATION: string(),
+  // Timeout, retry and circuit breaker settings apply to every AI provider
+  OPENAI_TIMEOUT_MS: integer(60000, 1),
+  OPENAI_MAX_RETRIES: integer(2),
+  OPENAI_RETRY_BASE_DELAY_MS: integer(500, 1),
+  OPENAI_RETRY_MAX_DELAY_MS: integer(20000, 1),
+  OPENAI_CIRCUIT_FAILURE_THRESHOLD: integer(5, 1),
+  OPENAI_CIRCUIT_RESET_MS: integer(30000, 1),
+  ANTHROPIC_API_KEY: string(),
+  GEMINI_API_KEY: string(),
+  OLLAMA_BASE_URL: url(),
+  AI_DEFAULT_PROVIDER: oneOf(['openai', 'anthropic', 'gemini', 'google', 'ollama', 'mock'], 'openai'),
+  AI_MAX_TOOL_ROUNDS: integer(5, 1),
+
+  AI_MOCK: boolean(false),
+  AI_MOCK_FIXTURES: string(),
+  AI_MOCK_LATENCY_MS: integer(0),
+  AI_MOCK_STREAM_CHUNK_DELAY_MS: integer(0),
+  AI_MOCK_FAIL_EVERY: integer(0),
+  AI_MOCK_ERROR_STATUS: integer(500, 400, 599),
+
+  COMPARISON_MAX_TARGETS: integer(10, 1),
+  COMPARISON_CONCURRENCY: integer(3, 1),
+  EVAL_JUDGE_MODEL: string(),
+  EVAL_CONCURRENCY: integer(3, 1),
+  EVAL_MAX_CASES: integer(100, 1),
+  EMBEDDING_MODEL: string('text-embedding-3-small'),
+  EMBEDDING_BACKFILL_ON_START: boolean(true),
+
+  CONVERSATION_MAX_CONTEXT_TOKENS: integer(32000, 256),
+  CONVERSATION_DEFAULT_CONTEXT_WINDOW: integer(8192, 256),
+  CONVERSATION_REPLY_TOKENS: integer(1024, 1),
+  CONVERSATION_SUMMARIZE: boolean(true),
+  CONVERSATION_SUMMARY_MAX_TOKENS: integer(512, 1),
+
+  RUN_RETENTION_DAYS: integer(30),
+  RUN_PRUNE_INTERVAL_MS: integer(60 * 60 * 1000, 60000),
+
+  AI_CACHE_ENABLED: boolean(false),
+  AI_CACHE_TTL_MS: integer(24 * 60 * 60 * 1000, 1),
+  AI_CACHE_LRU_MAX_ENTRIES: integer(500, 1),
+  AI_CACHE_POSTGRES: boolean(true),
+  AI_CACHE_PRUNE_INTERVAL_MS: integer(60 * 60 * 1000, 60000),
+  AI_CACHE_HIT_FLUSH_INTERVAL_MS: integer(30 * 1000, 1000),
+
+  AI_PRICE_TABLE: {
+    type: 'object',
+    additionalProperties: {
+      type: 'object',
+      properties: { input: { type: 'number', minimum: 0 }, output: { type: 'number', minimum: 0 } },
+      required: ['input', 'output'],
+    },
+    default: {},
+  },
+  USAGE_MONTHLY_TOKEN_LIMIT: integer(undefined, 1),
+  USAGE_MONTHLY_COST_LIMIT_USD: { type: 'number', exclusiveMinimum: 0 },
+};
+
+/**
+ * Per-profile changes to the schema: defaults that differ from the base
+ * schema, extra constraints and variables that must be set
+ */
+const PROFILE_OVERRIDES = {
+  development: {
+    defaults: { LOG_FORMAT: 'pretty', JWT_SECRET: 'supersecret', DB_PASSWORD: 'password' },
+  },
+  test: {
+    defaults: {
+      LOG_LEVEL: 'warn',
+      AI_MOCK: true,
+      DB_NAME: 'promptdeck_test',
+      JWT_SECRET: 'test-secret',
+      DB_PASSWORD: 'password',
+      DB_CONNECT_RETRIES: 0,
+    },
+  },
+  production: {
+    constraints: { JWT_SECRET: { minLength: 32 } },
+    required: [
+      'JWT_SECRET', 'DB_PASSWORD', 'FRONTEND_URL',
+      'GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET', 'GOOGLE_REDIRECT_URI',
+    ],
+  },
+};
+
+// Well-known placeholder values that must never reach production
+const INSECURE_VALUES = {
+  JWT_SECRET: ['supersecret', 'secret', 'changeme', 'test-secret'],
+  DB_PASSWORD: ['password', 'postgres', 'changeme'],
+  GOOGLE_CLIENT_SECRET: ['changeme'],
+};
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true, coerceTypes: true, strict: false });
+const validators = new Map();
+
+/**
+ * Thrown when the environment doesn't satisfy the schema; lists every problem
+ */
+export class ConfigError extends Error {
+  constructor(errors, profile) {
+    super(`Invalid configuration for the "${profile}" profile:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+    this.profile = profile;
+  }
+}
+
+function profileSchema(profile) {
+  const { defaults = {}, constraints = {}, required = [] } = PROFILE_OVERRIDES[profile];
+  const properties = Object.fromEntries(Object.entries(ENV_SCHEMA).map(([name, schema]) => {
+    const property = { ...schema, ...constraints[name] };
+    if (name in defaults) property.default = defaults[name];
+    // Required variables must come from the environment, not from a default
+    if (required.includes(name)) delete property.default;
+    return [name, property];
+  }));
+  return { type: 'object', properties, required };
+}
+
+function getValidator(profile) {
+  if (!validators.has(profile)) {
+    validators.set(profile, ajv.compile(profileSchema(profile)));
+  }
+  return validators.get(profile);
+}
+
+/**
+ * Pick the declared variables out of the environment and pre-parse lists and JSON
+ */
+function readRaw(env, errors) {
+  const raw = {};
+  for (const [name, schema] of Object.entries(ENV_SCHEMA)) {
+    const value = env[name]?.trim();
+    if (value === undefined || value === '') continue;
+
+    if (schema.type === 'array') {
+      raw[name] = value.split(',').map((item) => item.trim()).filter(Boolean);
+    } else if (schema.type === 'object') {
+      try {
+        raw[name] = JSON.parse(value);
+      } catch {
+        errors.push(`${name}: must be valid JSON`);
+      }
+    } else {
+      raw[name] = value;
+    }
+  }
+  return raw;
+}
+
+function formatError(error, profile) {
+  if (error.keyword === 'required' && !error.instancePath) {
+    return `${error.params.missingProperty}: is required in ${profile}`;
+  }
+
+  // Ajv reports nested paths like /AI_PRICE_TABLE/gpt-5/input
+  const [name, ...rest] = error.instancePath.slice(1).split('/');
+  if (error.keyword === 'required') rest.push(error.params.missingProperty);
+  let message = error.message;
+  if (error.keyword === 'required') message = 'is required';
+  if (error.keyword === 'enum') message = `must be one of ${error.params.allowedValues.join(', ')}`;
+  return `${name}${rest.length ? ` (${rest.join('.')})` : ''}: ${message}`;
+}
+
+/**
+ * Parse and validate environment variables for a profile
+ * @param {Object} env - Environment, usually process.env
+ * @returns {Object} Typed values keyed by variable name, including defaults
+ * @throws {ConfigError} When any variable is missing or invalid
+ */
+export function loadEnv(env = process.env) {
+  const profile = env.NODE_ENV?.trim() || 'development';
+  if (!PROFILES.includes(profile)) {
+    throw new ConfigError([`NODE_ENV: must be one of ${PROFILES.join(', ')}`], profile);
+  }
+
+  const errors = [];
+  const values = readRaw(env, errors);
+  const validate = getValidator(profile);
+  if (!validate(values)) {
+    errors.push(...validate.errors.map((error) => formatError(error, profile)));
+  }
+
+  if (profile === 'production') {
+    for (const [name, insecure] of Object.entries(INSECURE_VALUES)) {
+      if (insecure.includes(values[name])) {
+        errors.push(`${name}: uses a well-known default value, set a real secret`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors, profile);
+  }
+  return values;
+}
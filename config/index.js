@@ -1,28 +1,184 @@
 import dotenv from 'dotenv';
+import defaultPrices from './prices.js';
+import { ConfigError, loadEnv } from './env.js';
 
 dotenv.config();
 
+let env;
+try {
+  env = loadEnv(process.env);
+} catch (error) {
+  // Fail fast before anything connects or listens; the error lists every bad variable
+  if (error instanceof ConfigError) {
+    process.stderr.write(`${error.message}\n`);
+    process.exit(1);
+  }
+  throw error;
+}
+
+// Every AI provider client shares the OPENAI_* timeout, retry and circuit breaker settings
+const aiResilience = {
+  timeoutMs: env.OPENAI_TIMEOUT_MS,
+  maxRetries: env.OPENAI_MAX_RETRIES,
+  retryBaseDelayMs: env.OPENAI_RETRY_BASE_DELAY_MS,
+  retryMaxDelayMs: env.OPENAI_RETRY_MAX_DELAY_MS,
+  circuitBreaker: {
+    failureThreshold: env.OPENAI_CIRCUIT_FAILURE_THRESHOLD,
+    resetTimeoutMs: env.OPENAI_CIRCUIT_RESET_MS,
+  },
+};
+
 const config = {
-  port: process.env.PORT || 5000,
-  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
-  googleClientId: process.env.GOOGLE_CLIENT_ID,
-  googleClientSecret: process.env.GOOGLE_CLIENT_SECRET,
-  googleRedirectUri: process.env.GOOGLE_REDIRECT_URI,
-  jwtSecret: process.env.JWT_SECRET || 'supersecret',
+  env: env.NODE_ENV,
+  port: env.PORT,
+  frontendUrl: env.FRONTEND_URL,
+  // Signed-in users with these emails can use the /api/admin endpoints
+  adminEmails: env.ADMIN_EMAILS.map((email) => email.toLowerCase()),
+  googleClientId: env.GOOGLE_CLIENT_ID,
+  googleClientSecret: env.GOOGLE_CLIENT_SECRET,
+  googleRedirectUri: env.GOOGLE_REDIRECT_URI,
+  jwtSecret: env.JWT_SECRET,
+  jwtExpiresIn: env.JWT_EXPIRES_IN,
+  refreshTokenTtlDays: env.REFRESH_TOKEN_TTL_DAYS,
+  apiKeys: {
+    // Lifetime of keys created without expiresAt; 0 means they never expire
+    defaultTtlDays: env.API_KEY_DEFAULT_TTL_DAYS,
+    // Active (unrevoked, unexpired) keys a user may hold at once
+    maxPerUser: env.API_KEY_MAX_PER_USER,
+  },
   database: {
-    host: process.env.DB_HOST || 'localhost',
-    port: process.env.DB_PORT || 5432,
-    database: process.env.DB_NAME || 'promptdeck',
-    user: process.env.DB_USER || 'postgres',
-    password: process.env.DB_PASSWORD || 'password',
-    max: parseInt(process.env.DB_MAX_CONNECTIONS) || 20,
-    idleTimeoutMillis: parseInt(process.env.DB_IDLE_TIMEOUT) || 30000,
-    connectionTimeoutMillis: parseInt(process.env.DB_CONNECTION_TIMEOUT) || 2000,
+    host: env.DB_HOST,
+    port: env.DB_PORT,
+    database: env.DB_NAME,
+    user: env.DB_USER,
+    password: env.DB_PASSWORD,
+    max: env.DB_MAX_CONNECTIONS,
+    idleTimeoutMillis: env.DB_IDLE_TIMEOUT,
+    connectionTimeoutMillis: env.DB_CONNECTION_TIMEOUT,
+  },
+  migrateOnStart: env.DB_MIGRATE_ON_START,
+  startup: {
+    dbConnectRetries: env.DB_CONNECT_RETRIES,
+    dbRetryInitialDelayMs: env.DB_CONNECT_RETRY_DELAY_MS,
+    dbRetryMaxDelayMs: env.DB_CONNECT_RETRY_MAX_DELAY_MS,
+  },
+  shutdown: {
+    // In-flight requests and streams get this long to finish after SIGTERM
+    timeoutMs: env.SHUTDOWN_TIMEOUT_MS,
+  },
+  health: {
+    timeoutMs: env.HEALTH_CHECK_TIMEOUT_MS,
+    // Provider checks are cached so frequent readiness probes don't hit the APIs each time
+    aiCheckTtlMs: env.HEALTH_AI_CHECK_TTL_MS,
+  },
+  logging: {
+    level: env.LOG_LEVEL,
+    format: env.LOG_FORMAT,
+    // 'strings' hides string and JSON query params (prompt text, tokens) but keeps ids; 'all' or 'none'
+    redactParams: env.LOG_REDACT_PARAMS,
+    redactKeys: [
+      'authorization', 'password', 'secret', 'token', 'accessToken', 'refreshToken', 'apiKey',
+      ...env.LOG_REDACT_KEYS,
+    ],
+    slowQueryMs: env.LOG_SLOW_QUERY_MS,
+    slowAiCallMs: env.LOG_SLOW_AI_CALL_MS,
   },
   openai: {
-    apiKey: process.env.OPENAI_API_KEY,
-    organization: process.env.OPENAI_ORGANIZATION,
+    apiKey: env.OPENAI_API_KEY,
+    organization: env.OPENAI_ORGANIZATION,
+    ...aiResilience,
+  },
+  anthropic: {
+    apiKey: env.ANTHROPIC_API_KEY,
+    ...aiResilience,
+  },
+  gemini: {
+    apiKey: env.GEMINI_API_KEY,
+    ...aiResilience,
+  },
+  ollama: {
+    baseURL: env.OLLAMA_BASE_URL,
+    ...aiResilience,
+  },
+  ai: {
+    defaultProvider: env.AI_DEFAULT_PROVIDER,
+    maxToolRounds: env.AI_MAX_TOOL_ROUNDS,
+  },
+  mock: {
+    enabled: env.AI_MOCK,
+    fixturesPath: env.AI_MOCK_FIXTURES,
+    latencyMs: env.AI_MOCK_LATENCY_MS,
+    streamChunkDelayMs: env.AI_MOCK_STREAM_CHUNK_DELAY_MS,
+    failEvery: env.AI_MOCK_FAIL_EVERY,
+    errorStatus: env.AI_MOCK_ERROR_STATUS,
+  },
+  comparisons: {
+    maxTargets: env.COMPARISON_MAX_TARGETS,
+    concurrency: env.COMPARISON_CONCURRENCY,
+  },
+  evals: {
+    judgeModel: env.EVAL_JUDGE_MODEL,
+    concurrency: env.EVAL_CONCURRENCY,
+    maxCases: env.EVAL_MAX_CASES,
+  },
+  embeddings: {
+    model: env.EMBEDDING_MODEL,
+    // Embed prompts that have no embedding of the model yet, in the background after startup
+    backfillOnStart: env.EMBEDDING_BACKFILL_ON_START,
+  },
+  conversations: {
+    // Upper bound on the tokens sent per reply, even for models with larger windows
+    maxContextTokens: env.CONVERSATION_MAX_CONTEXT_TOKENS,
+    defaultContextWindow: env.CONVERSATION_DEFAULT_CONTEXT_WINDOW,
+    // Reserved for the reply when a conversation doesn't set maxTokens
+    replyTokens: env.CONVERSATION_REPLY_TOKENS,
+    summarize: env.CONVERSATION_SUMMARIZE,
+    summaryMaxTokens: env.CONVERSATION_SUMMARY_MAX_TOKENS,
+  },
+  runs: {
+    // Unpinned run history older than this is deleted; 0 keeps it forever
+    retentionDays: env.RUN_RETENTION_DAYS,
+    pruneIntervalMs: env.RUN_PRUNE_INTERVAL_MS,
+  },
+  cache: {
+    enabled: env.AI_CACHE_ENABLED,
+    ttlMs: env.AI_CACHE_TTL_MS,
+    lruMaxEntries: env.AI_CACHE_LRU_MAX_ENTRIES,
+    postgres: env.AI_CACHE_POSTGRES,
+    // Expired rows are deleted and batched hit counts written on these intervals
+    pruneIntervalMs: env.AI_CACHE_PRUNE_INTERVAL_MS,
+    hitFlushIntervalMs: env.AI_CACHE_HIT_FLUSH_INTERVAL_MS,
+  },
+  usage: {
+    prices: { ...defaultPrices, ...env.AI_PRICE_TABLE },
+    defaultMonthlyTokenLimit: env.USAGE_MONTHLY_TOKEN_LIMIT ?? null,
+    defaultMonthlyCostLimitUsd: env.USAGE_MONTHLY_COST_LIMIT_USD ?? null,
   },
 };
 
+// Keys whose values never leave the process, matched at any depth
+const SECRET_KEY = /(secret|password|apikey)$/i;
+
+function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (!value || typeof value !== 'object') {
+    return value ?? null;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    SECRET_KEY.test(key) ? (field ? '[REDACTED]' : null) : redact(field),
+  ]));
+}
+
+/**
+ * Copy of the config that is safe to show: secrets are replaced with
+ * [REDACTED] (or null when unset) so admins can still see which are configured
+ * @returns {Object} Redacted config
+ */
+export function redactConfig() {
+  return redact(config);
+}
+
 export default config;
\ No newline at end of file
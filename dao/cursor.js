@@ -0,0 +1,45 @@
+import { QueryBuildError } from './sqlBuilder.js';
+
+/**
+ * Opaque pagination cursors
+ * A cursor is base64url JSON holding the walk direction, the sort values of
+ * the row it points at and the order signature it was issued for. Clients
+ * must treat it as an opaque token.
+ */
+
+/**
+ * @param {string} direction - 'next' (rows after) or 'prev' (rows before)
+ * @param {Array} values - Sort values of the boundary row
+ * @param {string} signature - orderSignature() of the order the page used
+ * @returns {string} Cursor
+ */
+export function encodeCursor(direction, values, signature) {
+  return Buffer.from(JSON.stringify({ d: direction, v: values, s: signature })).toString('base64url');
+}
+
+/**
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} signature - orderSignature() of the current order
+ * @returns {Object} { direction, values }
+ * @throws {QueryBuildError} For malformed cursors or cursors issued for another sort
+ */
+export function decodeCursor(cursor, signature) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new QueryBuildError('Invalid cursor');
+  }
+
+  const valid = decoded
+    && ['next', 'prev'].includes(decoded.d)
+    && Array.isArray(decoded.v)
+    && decoded.v.every((value) => value === null || typeof value === 'string');
+  if (!valid) {
+    throw new QueryBuildError('Invalid cursor');
+  }
+  if (decoded.s !== signature) {
+    throw new QueryBuildError('Cursor does not match the requested sort');
+  }
+  return { direction: decoded.d, values: decoded.v };
+}
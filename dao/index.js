@@ -1,8 +1,41 @@
 import pg from 'pg';
 import config from '../config/index.js';
+import logger, { redactParams } from '../utils/logger.js';
+import {
+  QueryBuildError,
+  quoteIdentifier,
+  quoteColumn,
+  buildColumnList,
+  buildFilter,
+  buildOrderBy,
+  buildKeysetCondition,
+  normalizeOrderBy,
+  orderSignature,
+  reverseOrder,
+  withTieBreaker,
+} from './sqlBuilder.js';
+import { decodeCursor, encodeCursor } from './cursor.js';
 
 const { Pool } = pg;
 
+const log = logger.child({ component: 'dao' });
+
+const ISOLATION_LEVELS = ['READ UNCOMMITTED', 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'];
+
+// serialization_failure and deadlock_detected are safe to retry from the start
+const RETRYABLE_ERROR_CODES = ['40001', '40P01'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const CURSOR_COLUMN = '__cursor_';
+
+/**
+ * Collapse whitespace and cap the length of SQL for log lines
+ */
+function summarizeQuery(text) {
+  const query = text.replace(/\s+/g, ' ').trim();
+  return query.length > 200 ? `${query.substring(0, 200)}...` : query;
+}
+
 /**
  * PostgreSQL DAO Class
  * Provides database operations with connection pooling
@@ -11,44 +44,79 @@ class PostgresDAO {
   constructor(dbConfig) {
     this.pool = new Pool(dbConfig);
     this.isConnected = false;
+    this.client = null;
+    this.transactionDepth = 0;
+    this.schemaCache = new Map();
     
     // Handle pool errors
     this.pool.on('error', (err) => {
-      console.error('Unexpected error on idle client:', err);
+      log.error('Unexpected error on idle client', { err });
     });
 
     // Handle pool connection events
     this.pool.on('connect', () => {
-      console.log('New client connected to PostgreSQL database');
+      log.debug('New client connected to PostgreSQL database');
     });
 
     this.pool.on('remove', () => {
-      console.log('Client removed from PostgreSQL pool');
+      log.debug('Client removed from PostgreSQL pool');
     });
   }
 
   /**
    * Initialize database connection and test connectivity
+   * Failed attempts are retried with exponential backoff
+   * @param {Object} options - Retry options
+   * @param {number} options.retries - Retries after the first attempt (default 0)
+   * @param {number} options.initialDelayMs - Delay before the first retry, doubled after each attempt
+   * @param {number} options.maxDelayMs - Upper bound for the delay between attempts
    */
-  async initialize() {
-    try {
-      // Test the connection
-      const client = await this.pool.connect();
-      const result = await client.query('SELECT NOW() as current_time, version() as version');
-      console.log('✅ Database connected successfully');
-      console.log(`📅 Server time: ${result.rows[0].current_time}`);
-      console.log(`🗄️  PostgreSQL version: ${result.rows[0].version.split(' ')[0]} ${result.rows[0].version.split(' ')[1]}`);
-      
-      client.release();
-      this.isConnected = true;
-      return true;
-    } catch (error) {
-      console.error('❌ Database connection failed:', error.message);
-      this.isConnected = false;
-      throw error;
+  async initialize({ retries = 0, initialDelayMs = 500, maxDelayMs = 10000 } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // Test the connection
+        const client = await this.pool.connect();
+        let queryError;
+        try {
+          const result = await client.query('SELECT NOW() as current_time, version() as version');
+          log.info('Database connected successfully', {
+            serverTime: result.rows[0].current_time,
+            version: result.rows[0].version.split(' ').slice(0, 2).join(' '),
+          });
+        } catch (error) {
+          queryError = error;
+          throw error;
+        } finally {
+          // A client whose query failed is discarded rather than returned to the pool
+          client.release(queryError);
+        }
+
+        this.isConnected = true;
+        return true;
+      } catch (error) {
+        this.isConnected = false;
+        if (attempt >= retries) {
+          log.error('Database connection failed', { err: error, attempts: attempt + 1 });
+          throw error;
+        }
+
+        const delay = Math.min(maxDelayMs, initialDelayMs * 2 ** attempt);
+        log.warn('Database connection failed, retrying', { err: error, attempt: attempt + 1, retries, delayMs: delay });
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
     }
   }
 
+  /**
+   * Check that the database answers a trivial query
+   * @returns {number} Round-trip time in milliseconds
+   */
+  async ping() {
+    const start = Date.now();
+    await this.runQuery('SELECT 1');
+    return Date.now() - start;
+  }
+
   /**
    * Execute a raw SQL query with parameters
    * @param {string} text - SQL query string
@@ -56,21 +124,32 @@ class PostgresDAO {
    * @returns {Object} Query result
    */
   async runQuery(text, params = []) {
-    const client = await this.pool.connect();
+    // Transaction handles run on their bound client; everything else checks one out of the pool
+    if (this.client && this._transactionState.finished) {
+      throw new Error('Transaction handle used after the transaction finished');
+    }
+    const client = this.client || await this.pool.connect();
+    const start = Date.now();
     try {
-      const start = Date.now();
       const result = await client.query(text, params);
-      const duration = Date.now() - start;
-      
-      console.log(`🔍 Query executed in ${duration}ms:`, text.substring(0, 100) + (text.length > 100 ? '...' : ''));
+      log.timing('Query executed', Date.now() - start, config.logging.slowQueryMs, {
+        query: summarizeQuery(text),
+        rowCount: result.rowCount,
+      });
       return result;
     } catch (error) {
-      console.error('❌ Query execution error:', error.message);
-      console.error('Query:', text);
-      console.error('Params:', params);
+      // Parameters carry user content (prompt text, token hashes), so they are redacted
+      log.error('Query execution error', {
+        err: error,
+        query: text,
+        params: redactParams(params),
+        durationMs: Date.now() - start,
+      });
       throw error;
     } finally {
-      client.release();
+      if (!this.client) {
+        client.release();
+      }
     }
   }
 
@@ -78,8 +157,8 @@ class PostgresDAO {
    * Get all rows from a table with optional conditions
    * @param {string} tableName - Name of the table
    * @param {Object} options - Query options
-   * @param {Object} options.where - Where conditions
-   * @param {string} options.orderBy - Order by clause
+   * @param {Object} options.where - Filter object (see buildFilter in sqlBuilder.js)
+   * @param {string|Array} options.orderBy - 'col DESC' string or list of { column, direction, nulls }
    * @param {number} options.limit - Limit number of results
    * @param {number} options.offset - Offset for pagination
    * @param {Array} options.select - Specific columns to select
@@ -87,35 +166,33 @@ class PostgresDAO {
    */
   async getAllRows(tableName, options = {}) {
     const { where = {}, orderBy, limit, offset, select = ['*'] } = options;
-    
-    let query = `SELECT ${select.join(', ')} FROM ${tableName}`;
+    const columns = await this.getColumnNames(tableName);
     const params = [];
-    let paramIndex = 1;
+
+    let query = `SELECT ${buildColumnList(select, columns, tableName)} FROM ${quoteIdentifier(tableName)}`;
 
     // Add WHERE clause
-    if (Object.keys(where).length > 0) {
-      const whereConditions = Object.keys(where).map(key => {
-        params.push(where[key]);
-        return `${key} = $${paramIndex++}`;
-      });
-      query += ` WHERE ${whereConditions.join(' AND ')}`;
+    const whereClause = buildFilter(where, columns, tableName, params);
+    if (whereClause) {
+      query += ` WHERE ${whereClause}`;
     }
 
     // Add ORDER BY
-    if (orderBy) {
-      query += ` ORDER BY ${orderBy}`;
+    const orderClause = buildOrderBy(orderBy, columns, tableName);
+    if (orderClause) {
+      query += ` ORDER BY ${orderClause}`;
     }
 
     // Add LIMIT
     if (limit) {
-      query += ` LIMIT $${paramIndex++}`;
       params.push(limit);
+      query += ` LIMIT $${params.length}`;
     }
 
     // Add OFFSET
     if (offset) {
-      query += ` OFFSET $${paramIndex++}`;
       params.push(offset);
+      query += ` OFFSET $${params.length}`;
     }
 
     const result = await this.runQuery(query, params);
@@ -134,6 +211,121 @@ class PostgresDAO {
     return rows.length > 0 ? rows[0] : null;
   }
 
+  /**
+   * Count rows in a table
+   * @param {string} tableName - Name of the table
+   * @param {Object} where - Filter object (see buildFilter in sqlBuilder.js)
+   * @returns {number} Number of matching rows
+   */
+  async countRows(tableName, where = {}) {
+    const columns = await this.getColumnNames(tableName);
+    const params = [];
+
+    let query = `SELECT COUNT(*)::int AS count FROM ${quoteIdentifier(tableName)}`;
+    const whereClause = buildFilter(where, columns, tableName, params);
+    if (whereClause) {
+      query += ` WHERE ${whereClause}`;
+    }
+
+    const result = await this.runQuery(query, params);
+    return result.rows[0].count;
+  }
+
+  /**
+   * Get one page of rows using keyset (cursor) pagination
+   * Rows are ordered by orderBy plus the primary key as a tie-breaker, and a
+   * page starts strictly after (or before) the row its cursor points at, so
+   * rows inserted or deleted between requests are never skipped or repeated
+   * the way they are with OFFSET.
+   * @param {string} tableName - Name of the table
+   * @param {Object} options - Query options
+   * @param {Object} options.where - Filter object (see buildFilter in sqlBuilder.js)
+   * @param {string|Array} options.orderBy - 'col DESC' string or list of { column, direction, nulls }
+   * @param {number} options.limit - Page size (default 20)
+   * @param {string} options.cursor - nextCursor or prevCursor of a previous page with the same order
+   * @param {Array} options.select - Specific columns to select
+   * @param {boolean} options.withTotal - Also count every row matching where
+   * @param {string} options.primaryKey - Unique column used to break ties (default 'id')
+   * @returns {Object} { rows, nextCursor, prevCursor, total }
+   */
+  async getPage(tableName, options = {}) {
+    const {
+      where = {},
+      orderBy,
+      limit = DEFAULT_PAGE_SIZE,
+      cursor,
+      select = ['*'],
+      withTotal = false,
+      primaryKey = 'id',
+    } = options;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new QueryBuildError('Page limit must be a positive integer');
+    }
+
+    const columns = await this.getColumnNames(tableName);
+    const order = withTieBreaker(normalizeOrderBy(orderBy), primaryKey);
+    const signature = orderSignature(order);
+    const position = cursor ? decodeCursor(cursor, signature) : null;
+    const backwards = position?.direction === 'prev';
+    // Pages before the cursor are read in reverse order and flipped back afterwards
+    const queryOrder = backwards ? reverseOrder(order) : order;
+    const params = [];
+
+    const conditions = [];
+    const whereClause = buildFilter(where, columns, tableName, params);
+    if (whereClause) {
+      conditions.push(`(${whereClause})`);
+    }
+    if (position) {
+      conditions.push(`(${buildKeysetCondition(queryOrder, position.values, columns, tableName, params)})`);
+    }
+
+    // Sort values are read back as text so timestamps keep their microseconds in the cursor
+    const cursorColumns = order.map(({ column }, index) => (
+      `${quoteColumn(column, columns, tableName)}::text AS "${CURSOR_COLUMN}${index}"`
+    ));
+    let query = `SELECT ${buildColumnList(select, columns, tableName)}, ${cursorColumns.join(', ')} FROM ${quoteIdentifier(tableName)}`;
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    query += ` ORDER BY ${buildOrderBy(queryOrder, columns, tableName)}`;
+
+    // One extra row tells whether another page follows
+    params.push(limit + 1);
+    query += ` LIMIT $${params.length}`;
+
+    let result;
+    try {
+      result = await this.runQuery(query, params);
+    } catch (error) {
+      // A tampered cursor can carry values the column type rejects (SQLSTATE class 22)
+      if (position && String(error.code).startsWith('22')) {
+        throw new QueryBuildError('Invalid cursor');
+      }
+      throw error;
+    }
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    if (backwards) {
+      rows.reverse();
+    }
+
+    const cursorFor = (row, direction) => (row
+      ? encodeCursor(direction, order.map((_, index) => row[`${CURSOR_COLUMN}${index}`]), signature)
+      : null);
+    const page = {
+      rows: rows.map((row) => Object.fromEntries(Object.entries(row).filter(([key]) => !key.startsWith(CURSOR_COLUMN)))),
+      nextCursor: (backwards || hasMore) ? cursorFor(rows[rows.length - 1], 'next') : null,
+      prevCursor: (backwards ? hasMore : Boolean(position)) ? cursorFor(rows[0], 'prev') : null,
+    };
+
+    if (withTotal) {
+      page.total = await this.countRows(tableName, where);
+    }
+    return page;
+  }
+
   /**
    * Insert a single row into a table
    * @param {string} tableName - Name of the table
@@ -142,14 +334,15 @@ class PostgresDAO {
    * @returns {Object} Inserted row
    */
   async insertRow(tableName, data, returning = ['*']) {
+    const columns = await this.getColumnNames(tableName);
     const keys = Object.keys(data);
     const values = Object.values(data);
     const placeholders = keys.map((_, index) => `$${index + 1}`);
 
     const query = `
-      INSERT INTO ${tableName} (${keys.join(', ')})
+      INSERT INTO ${quoteIdentifier(tableName)} (${buildColumnList(keys, columns, tableName)})
       VALUES (${placeholders.join(', ')})
-      RETURNING ${returning.join(', ')}
+      RETURNING ${buildColumnList(returning, columns, tableName)}
     `;
 
     const result = await this.runQuery(query, values);
@@ -168,6 +361,7 @@ class PostgresDAO {
       throw new Error('Data array must be a non-empty array');
     }
 
+    const columns = await this.getColumnNames(tableName);
     const keys = Object.keys(dataArray[0]);
     const values = [];
     const placeholders = [];
@@ -181,9 +375,9 @@ class PostgresDAO {
     });
 
     const query = `
-      INSERT INTO ${tableName} (${keys.join(', ')})
+      INSERT INTO ${quoteIdentifier(tableName)} (${buildColumnList(keys, columns, tableName)})
       VALUES ${placeholders.join(', ')}
-      RETURNING ${returning.join(', ')}
+      RETURNING ${buildColumnList(returning, columns, tableName)}
     `;
 
     const result = await this.runQuery(query, values);
@@ -194,31 +388,29 @@ class PostgresDAO {
    * Update rows in a table
    * @param {string} tableName - Name of the table
    * @param {Object} data - Data to update
-   * @param {Object} where - Where conditions
+   * @param {Object} where - Filter object (see buildFilter in sqlBuilder.js)
    * @param {Array} returning - Columns to return
    * @returns {Array} Array of updated rows
    */
   async updateRows(tableName, data, where = {}, returning = ['*']) {
-    const dataKeys = Object.keys(data);
-    const dataValues = Object.values(data);
-    let paramIndex = 1;
+    const columns = await this.getColumnNames(tableName);
+    const params = [];
 
     // Build SET clause
-    const setClause = dataKeys.map(key => `${key} = $${paramIndex++}`).join(', ');
+    const setClause = Object.entries(data).map(([key, value]) => {
+      params.push(value);
+      return `${quoteColumn(key, columns, tableName)} = $${params.length}`;
+    }).join(', ');
     
-    let query = `UPDATE ${tableName} SET ${setClause}`;
-    const params = [...dataValues];
+    let query = `UPDATE ${quoteIdentifier(tableName)} SET ${setClause}`;
 
     // Add WHERE clause
-    if (Object.keys(where).length > 0) {
-      const whereConditions = Object.keys(where).map(key => {
-        params.push(where[key]);
-        return `${key} = $${paramIndex++}`;
-      });
-      query += ` WHERE ${whereConditions.join(' AND ')}`;
+    const whereClause = buildFilter(where, columns, tableName, params);
+    if (whereClause) {
+      query += ` WHERE ${whereClause}`;
     }
 
-    query += ` RETURNING ${returning.join(', ')}`;
+    query += ` RETURNING ${buildColumnList(returning, columns, tableName)}`;
 
     const result = await this.runQuery(query, params);
     return result.rows;
@@ -236,31 +428,23 @@ class PostgresDAO {
       throw new Error('Update array must be a non-empty array');
     }
 
-    const client = await this.pool.connect();
-    try {
-      await client.query('BEGIN');
+    return this.transaction(async (tx) => {
       const results = [];
 
       for (const updateItem of updateArray) {
         const { data, where } = updateItem;
-        const updatedRows = await this.updateRows(tableName, data, where, returning);
+        const updatedRows = await tx.updateRows(tableName, data, where, returning);
         results.push(...updatedRows);
       }
 
-      await client.query('COMMIT');
       return results;
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
-    }
+    });
   }
 
   /**
    * Delete rows from a table
    * @param {string} tableName - Name of the table
-   * @param {Object} where - Where conditions
+   * @param {Object} where - Filter object (see buildFilter in sqlBuilder.js)
    * @param {Array} returning - Columns to return
    * @returns {Array} Array of deleted rows
    */
@@ -269,17 +453,12 @@ class PostgresDAO {
       throw new Error('DELETE operation requires WHERE conditions for safety');
     }
 
-    let query = `DELETE FROM ${tableName}`;
+    const columns = await this.getColumnNames(tableName);
     const params = [];
-    let paramIndex = 1;
 
-    // Add WHERE clause
-    const whereConditions = Object.keys(where).map(key => {
-      params.push(where[key]);
-      return `${key} = $${paramIndex++}`;
-    });
-    query += ` WHERE ${whereConditions.join(' AND ')}`;
-    query += ` RETURNING ${returning.join(', ')}`;
+    let query = `DELETE FROM ${quoteIdentifier(tableName)}`;
+    query += ` WHERE ${buildFilter(where, columns, tableName, params)}`;
+    query += ` RETURNING ${buildColumnList(returning, columns, tableName)}`;
 
     const result = await this.runQuery(query, params);
     return result.rows;
@@ -287,25 +466,101 @@ class PostgresDAO {
 
   /**
    * Execute a transaction with multiple operations
-   * @param {Function} operations - Async function containing operations
+   * The operations receive a DAO handle bound to the transaction's client; all
+   * queries must go through that handle to be part of the transaction. Calling
+   * transaction() on a handle opens a nested transaction using a savepoint.
+   * @param {Function} operations - Async function receiving the transaction DAO handle
+   * @param {Object} options - Transaction options
+   * @param {string} options.isolationLevel - READ COMMITTED (default), REPEATABLE READ or SERIALIZABLE
+   * @param {boolean} options.readOnly - Start a READ ONLY transaction
+   * @param {number} options.maxRetries - Retries on serialization failures and deadlocks (default 3)
    * @returns {any} Result from operations function
    */
-  async transaction(operations) {
-    const client = await this.pool.connect();
+  async transaction(operations, options = {}) {
+    if (this.client) {
+      return this._savepoint(operations);
+    }
+
+    const { isolationLevel = 'READ COMMITTED', readOnly = false, maxRetries = 3 } = options;
+    const level = isolationLevel.toUpperCase();
+    if (!ISOLATION_LEVELS.includes(level)) {
+      throw new Error(`Unsupported isolation level: ${isolationLevel}`);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const client = await this.pool.connect();
+      const handle = this._bindClient(client, 1);
+      let rollbackError;
+      try {
+        await client.query(`BEGIN ISOLATION LEVEL ${level}${readOnly ? ' READ ONLY' : ''}`);
+        const result = await operations(handle);
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (err) {
+          // The connection is in an unknown state: report the original error and discard the client
+          rollbackError = err;
+          log.error('Transaction rollback failed', { err, cause: error });
+          throw error;
+        }
+
+        if (RETRYABLE_ERROR_CODES.includes(error.code) && attempt < maxRetries) {
+          const delay = Math.round(Math.random() * 50 * 2 ** attempt);
+          log.warn('Transaction conflict, retrying', { code: error.code, delayMs: delay, attempt: attempt + 1, maxRetries });
+          await new Promise((resolve) => setTimeout(resolve, delay));
+          continue;
+        }
+
+        log.warn('Transaction rolled back', { err: error });
+        throw error;
+      } finally {
+        handle._transactionState.finished = true;
+        client.release(rollbackError);
+      }
+    }
+  }
+
+  /**
+   * Run operations inside a savepoint of the current transaction
+   * @private
+   */
+  async _savepoint(operations) {
+    const name = `sp_${this.transactionDepth}`;
+    const handle = this._bindClient(this.client, this.transactionDepth + 1);
+
+    await this.runQuery(`SAVEPOINT ${name}`);
     try {
-      await client.query('BEGIN');
-      const result = await operations(this);
-      await client.query('COMMIT');
+      const result = await operations(handle);
+      await this.runQuery(`RELEASE SAVEPOINT ${name}`);
       return result;
     } catch (error) {
-      await client.query('ROLLBACK');
-      console.error('❌ Transaction rolled back:', error.message);
+      try {
+        await this.runQuery(`ROLLBACK TO SAVEPOINT ${name}`);
+      } catch (err) {
+        // The transaction is aborted now, so the enclosing transaction can only roll back
+        log.error('Savepoint rollback failed', { err, cause: error });
+      }
       throw error;
     } finally {
-      client.release();
+      handle._transactionState.finished = true;
     }
   }
 
+  /**
+   * Create a DAO handle that shares this instance's methods but runs every
+   * query on the given client
+   * @private
+   */
+  _bindClient(client, depth) {
+    return Object.create(this, {
+      client: { value: client },
+      transactionDepth: { value: depth },
+      _transactionState: { value: { finished: false } },
+    });
+  }
+
   /**
    * Check if a table exists
    * @param {string} tableName - Name of the table
@@ -345,6 +600,36 @@ class PostgresDAO {
     return result.rows;
   }
 
+  /**
+   * Get the column names of a table, cached after the first lookup
+   * @param {string} tableName - Name of the table
+   * @returns {Set<string>} Column names
+   */
+  async getColumnNames(tableName) {
+    quoteIdentifier(tableName);
+
+    if (!this.schemaCache.has(tableName)) {
+      const schema = await this.getTableSchema(tableName);
+      if (schema.length === 0) {
+        throw new Error(`Unknown table "${tableName}"`);
+      }
+      this.schemaCache.set(tableName, new Set(schema.map((column) => column.column_name)));
+    }
+    return this.schemaCache.get(tableName);
+  }
+
+  /**
+   * Forget cached table schemas, e.g. after running migrations
+   * @param {string} tableName - Table to forget; omit to clear every table
+   */
+  clearSchemaCache(tableName) {
+    if (tableName) {
+      this.schemaCache.delete(tableName);
+    } else {
+      this.schemaCache.clear();
+    }
+  }
+
   /**
    * Get connection pool status
    * @returns {Object} Pool status information
@@ -364,28 +649,18 @@ class PostgresDAO {
   async close() {
     try {
       await this.pool.end();
-      console.log('🔒 Database connections closed');
+      log.info('Database connections closed');
       this.isConnected = false;
     } catch (error) {
-      console.error('❌ Error closing database connections:', error.message);
+      log.error('Error closing database connections', { err: error });
       throw error;
     }
   }
 }
 
-// Create and initialize the default DAO instance
+// Create the default DAO instance; server.js connects it during startup
 const defaultPgDao = new PostgresDAO(config.database);
 
-// Initialize connection on module load
-(async () => {
-  try {
-    await defaultPgDao.initialize();
-  } catch (error) {
-    console.error('Failed to initialize database connection:', error.message);
-    // Don't exit the process, let the application handle the error
-  }
-})();
-
 // Export the default instance and the class
-export { defaultPgDao, PostgresDAO };
+export { defaultPgDao, PostgresDAO, QueryBuildError };
 export default defaultPgDao;
@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+
+const DEFAULT_DIRECTORY = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Arbitrary constant shared by every process that migrates this database
+const ADVISORY_LOCK_KEY = 7310452198;
+
+const log = logger.child({ component: 'migrator' });
+
+/**
+ * Schema Migrator
+ * Applies versioned up/down SQL files from the migrations directory and
+ * records them in the schema_migrations table
+ */
+class Migrator {
+  /**
+   * @param {PostgresDAO} dao - DAO whose pool the migrations run on
+   * @param {Object} options - Migrator options
+   * @param {string} options.directory - Directory containing NNNN_name.up.sql / NNNN_name.down.sql files
+   */
+  constructor(dao, options = {}) {
+    this.dao = dao;
+    this.directory = options.directory || DEFAULT_DIRECTORY;
+  }
+
+  /**
+   * Load migration files from disk
+   * @returns {Array} Migrations sorted by version
+   */
+  async loadMigrations() {
+    const files = await fs.readdir(this.directory);
+    const migrations = new Map();
+
+    for (const file of files) {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) continue;
+
+      const [, rawVersion, name, direction] = match;
+      const version = parseInt(rawVersion, 10);
+      const existing = migrations.get(version);
+
+      if (existing && existing.name !== name) {
+        throw new Error(`Duplicate migration version ${version}: ${existing.name} and ${name}`);
+      }
+
+      const migration = existing || { version, name };
+      migration[direction] = await fs.readFile(path.join(this.directory, file), 'utf8');
+      migrations.set(version, migration);
+    }
+
+    return [...migrations.values()]
+      .map((migration) => {
+        if (!migration.up) {
+          throw new Error(`Migration ${migration.version}_${migration.name} has no up file`);
+        }
+        return {
+          ...migration,
+          checksum: crypto.createHash('sha256').update(migration.up).digest('hex'),
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Run a callback on a dedicated client holding the migration advisory lock
+   * @private
+   */
+  async _withLock(callback) {
+    const client = await this.dao.pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY]);
+      try {
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            checksum TEXT NOT NULL,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          )
+        `);
+        return await callback(client);
+      } finally {
+        this.dao.clearSchemaCache();
+        await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Compare applied migrations with the files on disk
+   * Throws if an applied migration's file was edited or removed
+   * @private
+   */
+  async _plan(client) {
+    const migrations = await this.loadMigrations();
+    const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    const applied = new Map(result.rows.map((row) => [row.version, row]));
+    const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+
+    for (const row of result.rows) {
+      const migration = byVersion.get(row.version);
+      if (!migration) {
+        throw new Error(`Applied migration ${row.version}_${row.name} is missing from ${this.directory}`);
+      }
+      if (migration.checksum !== row.checksum) {
+        throw new Error(`Applied migration ${row.version}_${row.name} has been modified (checksum mismatch)`);
+      }
+    }
+
+    return { migrations, applied };
+  }
+
+  /**
+   * Run one migration file and record it, inside a single transaction
+   * @private
+   */
+  async _run(client, migration, direction) {
+    const sql = migration[direction];
+    if (!sql) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no ${direction} file`);
+    }
+
+    await client.query('BEGIN');
+    try {
+      await client.query(sql);
+      if (direction === 'up') {
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+      } else {
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }
+      await client.query('COMMIT');
+      log.info('Migration applied', { direction, version: migration.version, name: migration.name });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      log.error('Migration failed', { direction, version: migration.version, name: migration.name, err: error });
+      throw error;
+    }
+  }
+
+  /**
+   * List every migration with its applied state
+   * @returns {Array} Migration status entries
+   */
+  async status() {
+    return this._withLock(async (client) => {
+      const { migrations, applied } = await this._plan(client);
+      return migrations.map((migration) => ({
+        version: migration.version,
+        name: migration.name,
+        applied: applied.has(migration.version),
+        appliedAt: applied.get(migration.version)?.applied_at || null,
+      }));
+    });
+  }
+
+  /**
+   * Apply pending migrations
+   * @param {Object} options - Up options
+   * @param {number} options.to - Highest version to apply (defaults to all)
+   * @returns {Array} Versions applied
+   */
+  async up(options = {}) {
+    const { to = Infinity } = options;
+    return this._withLock(async (client) => {
+      const { migrations, applied } = await this._plan(client);
+      const pending = migrations.filter((migration) => !applied.has(migration.version) && migration.version <= to);
+
+      for (const migration of pending) {
+        await this._run(client, migration, 'up');
+      }
+      return pending.map((migration) => migration.version);
+    });
+  }
+
+  /**
+   * Roll back applied migrations
+   * @param {Object} options - Down options
+   * @param {number} options.to - Version to roll back to; later versions are reverted (defaults to the latest one only)
+   * @returns {Array} Versions rolled back
+   */
+  async down(options = {}) {
+    return this._withLock(async (client) => {
+      const { migrations, applied } = await this._plan(client);
+      const appliedMigrations = migrations.filter((migration) => applied.has(migration.version)).reverse();
+      const targets = options.to === undefined
+        ? appliedMigrations.slice(0, 1)
+        : appliedMigrations.filter((migration) => migration.version > options.to);
+
+      for (const migration of targets) {
+        await this._run(client, migration, 'down');
+      }
+      return targets.map((migration) => migration.version);
+    });
+  }
+}
+
+export { Migrator };
+export default Migrator;
@@ -0,0 +1,300 @@
+/**
+ * SQL building helpers for PostgresDAO
+ * Identifiers are validated against the table's columns and quoted; values
+ * are always bound as parameters
+ */
+
+/**
+ * Raised for invalid identifiers, filters or sorts
+ * Carries a 400 status so routes forwarding user input report it as a bad request
+ */
+export class QueryBuildError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryBuildError';
+    this.status = 400;
+  }
+}
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const DIRECTIONS = ['ASC', 'DESC'];
+const NULLS = ['FIRST', 'LAST'];
+
+const COMPARISON_OPERATORS = {
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  notLike: 'NOT LIKE',
+  ilike: 'ILIKE',
+  notIlike: 'NOT ILIKE',
+};
+
+/**
+ * Quote a SQL identifier after checking it is a plain name
+ * @param {string} name - Identifier
+ * @returns {string} Quoted identifier
+ */
+export function quoteIdentifier(name) {
+  if (typeof name !== 'string' || !IDENTIFIER.test(name)) {
+    throw new QueryBuildError(`Invalid SQL identifier: ${name}`);
+  }
+  return `"${name}"`;
+}
+
+/**
+ * Validate a column against the known column set and quote it
+ * @param {string} column - Column name
+ * @param {Set<string>} columns - Known columns of the table
+ * @param {string} tableName - Table name used in the error message
+ * @returns {string} Quoted column
+ */
+export function quoteColumn(column, columns, tableName) {
+  if (!columns.has(column)) {
+    throw new QueryBuildError(`Unknown column "${column}" on table "${tableName}"`);
+  }
+  return quoteIdentifier(column);
+}
+
+/**
+ * Build a column list for SELECT or RETURNING
+ * @param {Array<string>} list - Column names or ['*']
+ * @param {Set<string>} columns - Known columns of the table
+ * @param {string} tableName - Table name
+ * @returns {string} Column list SQL
+ */
+export function buildColumnList(list, columns, tableName) {
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new QueryBuildError('Column list must be a non-empty array');
+  }
+  return list.map((column) => (column === '*' ? '*' : quoteColumn(column, columns, tableName))).join(', ');
+}
+
+function isOperatorObject(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function bind(params, value) {
+  params.push(value);
+  return `$${params.length}`;
+}
+
+function buildColumnCondition(column, condition, params) {
+  if (condition === null) {
+    return `${column} IS NULL`;
+  }
+  if (!isOperatorObject(condition)) {
+    return `${column} = ${bind(params, condition)}`;
+  }
+
+  const parts = Object.entries(condition).map(([operator, value]) => {
+    if (operator in COMPARISON_OPERATORS) {
+      if (value === null && (operator === 'eq' || operator === 'ne')) {
+        return `${column} IS ${operator === 'eq' ? '' : 'NOT '}NULL`;
+      }
+      return `${column} ${COMPARISON_OPERATORS[operator]} ${bind(params, value)}`;
+    }
+
+    switch (operator) {
+      case 'in':
+      case 'notIn':
+        if (!Array.isArray(value)) {
+          throw new QueryBuildError(`"${operator}" filter expects an array`);
+        }
+        if (value.length === 0) {
+          return operator === 'in' ? 'FALSE' : 'TRUE';
+        }
+        return `${column} ${operator === 'in' ? '= ANY' : '<> ALL'}(${bind(params, value)})`;
+      case 'between':
+        if (!Array.isArray(value) || value.length !== 2) {
+          throw new QueryBuildError('"between" filter expects [min, max]');
+        }
+        return `${column} BETWEEN ${bind(params, value[0])} AND ${bind(params, value[1])}`;
+      case 'isNull':
+        return `${column} IS ${value ? '' : 'NOT '}NULL`;
+      case 'not':
+        return `NOT (${buildColumnCondition(column, value, params)})`;
+      default:
+        throw new QueryBuildError(`Unknown filter operator "${operator}"`);
+    }
+  });
+
+  if (parts.length === 0) {
+    throw new QueryBuildError('Filter operator object cannot be empty');
+  }
+  return parts.join(' AND ');
+}
+
+/**
+ * Build a boolean SQL expression from a filter object
+ *
+ * Filter syntax:
+ *   { col: value }                   equality (null → IS NULL)
+ *   { col: { in: [..] } }            also notIn, ne, gt, gte, lt, lte, like, notLike, ilike, notIlike
+ *   { col: { between: [min, max] } } inclusive range
+ *   { col: { isNull: true } }        IS NULL / IS NOT NULL
+ *   { col: { not: condition } }      negate a column condition
+ *   { $or: [filter, ...] }           any of the filters
+ *   { $and: [filter, ...] }          all of the filters
+ *   { $not: filter }                 negate a filter
+ * @param {Object} filter - Filter object
+ * @param {Set<string>} columns - Known columns of the table
+ * @param {string} tableName - Table name
+ * @param {Array} params - Parameter array; bound values are appended
+ * @returns {string} SQL expression, or an empty string for an empty filter
+ */
+export function buildFilter(filter, columns, tableName, params) {
+  if (!isOperatorObject(filter)) {
+    throw new QueryBuildError('Filter must be a plain object');
+  }
+
+  const parts = Object.entries(filter).map(([key, value]) => {
+    if (key === '$or' || key === '$and') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new QueryBuildError(`"${key}" expects a non-empty array of filters`);
+      }
+      const groups = value.map((group) => `(${buildFilter(group, columns, tableName, params) || 'TRUE'})`);
+      return `(${groups.join(key === '$or' ? ' OR ' : ' AND ')})`;
+    }
+    if (key === '$not') {
+      return `NOT (${buildFilter(value, columns, tableName, params) || 'TRUE'})`;
+    }
+    return buildColumnCondition(quoteColumn(key, columns, tableName), value, params);
+  });
+
+  return parts.join(' AND ');
+}
+
+/**
+ * Normalize an orderBy option into a list of { column, direction, nulls }
+ * Accepts 'col', 'col DESC', 'a ASC, b DESC', { column, direction } or an array of either
+ * @param {string|Object|Array} orderBy - Order specification
+ * @returns {Array<Object>} Normalized order entries
+ */
+export function normalizeOrderBy(orderBy) {
+  if (!orderBy) {
+    return [];
+  }
+  const entries = Array.isArray(orderBy)
+    ? orderBy
+    : typeof orderBy === 'string' ? orderBy.split(',') : [orderBy];
+
+  return entries.map((entry) => {
+    if (typeof entry === 'string') {
+      const [column, direction = 'ASC', ...rest] = entry.trim().split(/\s+/);
+      if (rest.length > 0) {
+        throw new QueryBuildError(`Invalid orderBy entry: ${entry}`);
+      }
+      return { column, direction: direction.toUpperCase() };
+    }
+    return { column: entry.column, direction: String(entry.direction || 'ASC').toUpperCase(), nulls: entry.nulls };
+  });
+}
+
+/**
+ * Build an ORDER BY list
+ * @param {string|Object|Array} orderBy - Order specification
+ * @param {Set<string>} columns - Known columns of the table
+ * @param {string} tableName - Table name
+ * @returns {string} ORDER BY list SQL, or an empty string
+ */
+export function buildOrderBy(orderBy, columns, tableName) {
+  return normalizeOrderBy(orderBy).map(({ column, direction, nulls }) => {
+    if (!DIRECTIONS.includes(direction)) {
+      throw new QueryBuildError(`Invalid sort direction: ${direction}`);
+    }
+    let clause = `${quoteColumn(column, columns, tableName)} ${direction}`;
+    if (nulls) {
+      const position = String(nulls).toUpperCase();
+      if (!NULLS.includes(position)) {
+        throw new QueryBuildError(`Invalid nulls position: ${nulls}`);
+      }
+      clause += ` NULLS ${position}`;
+    }
+    return clause;
+  }).join(', ');
+}
+
+function sortsNullsFirst({ direction, nulls }) {
+  // PostgreSQL puts NULLs last in ascending order and first in descending order
+  return nulls ? String(nulls).toUpperCase() === 'FIRST' : direction === 'DESC';
+}
+
+/**
+ * Make an order total by appending the primary key, so no two rows share a position
+ * @param {Array<Object>} order - Normalized order entries
+ * @param {string} primaryKey - Unique column
+ * @returns {Array<Object>} Order entries ending with a unique column
+ */
+export function withTieBreaker(order, primaryKey) {
+  if (order.some(({ column }) => column === primaryKey)) {
+    return order;
+  }
+  return [...order, { column: primaryKey, direction: order[order.length - 1]?.direction || 'ASC' }];
+}
+
+/**
+ * Reverse an order, including where NULLs sort, to walk a result set backwards
+ * @param {Array<Object>} order - Normalized order entries
+ * @returns {Array<Object>} Reversed order entries
+ */
+export function reverseOrder(order) {
+  return order.map((entry) => ({
+    column: entry.column,
+    direction: entry.direction === 'DESC' ? 'ASC' : 'DESC',
+    nulls: sortsNullsFirst(entry) ? 'LAST' : 'FIRST',
+  }));
+}
+
+/**
+ * Stable description of an order, stored in cursors so one can't be replayed against another sort
+ * @param {Array<Object>} order - Normalized order entries
+ * @returns {string} e.g. "updated_at DESC NULLS FIRST,id DESC NULLS FIRST"
+ */
+export function orderSignature(order) {
+  return order
+    .map((entry) => `${entry.column} ${entry.direction} NULLS ${sortsNullsFirst(entry) ? 'FIRST' : 'LAST'}`)
+    .join(',');
+}
+
+function afterValue(column, entry, value, params) {
+  const nullsFirst = sortsNullsFirst(entry);
+  if (value === null) {
+    return nullsFirst ? `${column} IS NOT NULL` : 'FALSE';
+  }
+  const comparison = `${column} ${entry.direction === 'DESC' ? '<' : '>'} ${bind(params, value)}`;
+  return nullsFirst ? comparison : `(${comparison} OR ${column} IS NULL)`;
+}
+
+/**
+ * Build the condition for rows strictly after a position in an order (keyset pagination)
+ * Expands to (a > $1) OR (a = $1 AND b > $2) OR ..., honouring each entry's
+ * direction and NULLs position
+ * @param {Array<Object>} order - Normalized order entries ending with a unique column
+ * @param {Array} values - Sort values of the row to start after, one per entry
+ * @param {Set<string>} columns - Known columns of the table
+ * @param {string} tableName - Table name
+ * @param {Array} params - Parameter array; bound values are appended
+ * @returns {string} SQL expression
+ */
+export function buildKeysetCondition(order, values, columns, tableName, params) {
+  if (!Array.isArray(values) || values.length !== order.length) {
+    throw new QueryBuildError('Keyset values must match the order entries');
+  }
+  const quoted = order.map(({ column }) => quoteColumn(column, columns, tableName));
+
+  const branches = order.map((entry, index) => {
+    const equalities = quoted.slice(0, index).map((column, previous) => (
+      values[previous] === null ? `${column} IS NULL` : `${column} = ${bind(params, values[previous])}`
+    ));
+    return [...equalities, afterValue(quoted[index], entry, values[index], params)].join(' AND ');
+  });
+  return branches.map((branch) => `(${branch})`).join(' OR ');
+}
@@ -0,0 +1,90 @@
+import config from '../config/index.js';
+import { authenticateApiKey, isApiKey } from '../services/apiKeyService.js';
+import { authenticateAccessToken } from '../services/authService.js';
+import { ForbiddenError, UnauthorizedError } from '../utils/httpError.js';
+import { getRequestContext } from '../utils/requestContext.js';
+
+/**
+ * Require a valid session or API key
+ * Reads the access token or API key from the Authorization header and attaches
+ * the authenticated user to req.user; API key requests also get req.apiKey
+ * ({ id, name, prefix, scopes }), which requireScope checks
+ */
+export async function requireAuth(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new UnauthorizedError());
+  }
+
+  try {
+    if (isApiKey(token)) {
+      const { user, apiKey } = await authenticateApiKey(token);
+      req.user = user;
+      req.apiKey = apiKey;
+    } else {
+      req.user = await authenticateAccessToken(token);
+    }
+    const context = getRequestContext();
+    if (context) {
+      context.userId = req.user.id;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Limit what API keys can do; use after requireAuth
+ * Session requests pass unchanged, and the admin scope allows everything
+ * @param {string|Function} scope - Required scope, or a function of the request returning it
+ * @returns {Function} Express middleware
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+    const required = typeof scope === 'function' ? scope(req) : scope;
+    if (!req.apiKey.scopes.includes('admin') && !req.apiKey.scopes.includes(required)) {
+      return next(new ForbiddenError(`API key is missing the "${required}" scope`));
+    }
+    next();
+  };
+}
+
+/**
+ * Scope for routers that API keys may read: GET and HEAD need readScope, other methods admin
+ * @param {string} scope - Scope that allows reading
+ * @returns {Function} Function of the request for requireScope
+ */
+export function readScope(scope) {
+  return (req) => (req.method === 'GET' || req.method === 'HEAD' ? scope : 'admin');
+}
+
+/**
+ * Reject API keys; use after requireAuth for routes only a signed-in user may
+ * call, such as managing the keys themselves
+ */
+export function requireSession(req, res, next) {
+  if (req.apiKey) {
+    return next(new ForbiddenError('this endpoint requires a signed-in session, not an API key'));
+  }
+  next();
+}
+
+/**
+ * Require an administrator; use after requireAuth
+ * Administrators are the users whose email is listed in ADMIN_EMAILS
+ */
+export function requireAdmin(req, res, next) {
+  const email = req.user?.email?.toLowerCase();
+  if (!email || !config.adminEmails.includes(email)) {
+    return next(new ForbiddenError('admin access required'));
+  }
+  next();
+}
+
+export default requireAuth;
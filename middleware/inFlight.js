@@ -0,0 +1,51 @@
+import { isShuttingDown } from '../services/healthService.js';
+
+const inFlight = new Set();
+const waiters = new Set();
+
+function release(res) {
+  inFlight.delete(res);
+  if (inFlight.size === 0) {
+    for (const resolve of waiters) resolve();
+    waiters.clear();
+  }
+}
+
+/**
+ * Track in-flight responses, including long-running SSE streams, so shutdown
+ * can wait for them. While draining, responses ask clients not to reuse the connection.
+ */
+export function trackInFlight(req, res, next) {
+  if (isShuttingDown()) {
+    res.set('Connection', 'close');
+  }
+  inFlight.add(res);
+  res.on('close', () => release(res));
+  next();
+}
+
+/**
+ * Wait until every in-flight response has finished or timeoutMs has passed
+ * @param {number} timeoutMs - Longest time to wait
+ * @returns {number} Responses still open when the wait ended
+ */
+export async function drainInFlight(timeoutMs) {
+  for (const res of inFlight) {
+    if (!res.headersSent) res.set('Connection', 'close');
+  }
+
+  if (inFlight.size > 0) {
+    let timer;
+    await new Promise((resolve) => {
+      waiters.add(resolve);
+      timer = setTimeout(() => {
+        waiters.delete(resolve);
+        resolve();
+      }, timeoutMs);
+    });
+    clearTimeout(timer);
+  }
+  return inFlight.size;
+}
+
+export default trackInFlight;
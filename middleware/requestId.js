@@ -0,0 +1,21 @@
+import crypto from 'crypto';
+import { runWithRequestContext } from '../utils/requestContext.js';
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Assign every request an id and open its async request context
+ * A well-formed X-Request-Id from the caller (e.g. a proxy) is kept so logs can
+ * be correlated across services; otherwise a UUID is generated. The id is
+ * echoed in the response header, in error bodies and on every log line
+ * written while the request is handled.
+ */
+export function requestId(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  runWithRequestContext({ requestId: req.id }, next);
+}
+
+export default requestId;
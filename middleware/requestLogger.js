@@ -0,0 +1,42 @@
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'http' });
+
+/**
+ * Log one line per request once the response is sent or the client goes away
+ * Only the path is logged; query strings can carry search text and tokens
+ */
+export function requestLogger(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  const done = (event) => {
+    res.off('finish', onFinish);
+    res.off('close', onClose);
+
+    const fields = {
+      requestId: req.id,
+      userId: req.user?.id,
+      apiKeyId: req.apiKey?.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Number((process.hrtime.bigint() - start) / 1_000_000n),
+    };
+
+    if (event === 'close') {
+      log.warn('Request aborted by client', fields);
+    } else if (res.statusCode >= 500) {
+      log.error('Request failed', fields);
+    } else {
+      log.info('Request completed', fields);
+    }
+  };
+  const onFinish = () => done('finish');
+  const onClose = () => done('close');
+
+  res.on('finish', onFinish);
+  res.on('close', onClose);
+  next();
+}
+
+export default requestLogger;
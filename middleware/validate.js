@@ -0,0 +1,61 @@
+import Ajv from 'ajv';
+import { ValidationError } from '../utils/httpError.js';
+
+// Query strings and route params arrive as strings, so they are coerced to the
+// schema types; JSON bodies already carry types and are checked as sent
+const bodyAjv = new Ajv({ allErrors: true, useDefaults: true, strict: false });
+const stringAjv = new Ajv({ allErrors: true, useDefaults: true, coerceTypes: 'array', strict: false });
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+function formatErrors(location, errors) {
+  return errors.map((error) => {
+    const property = error.params?.missingProperty ?? error.params?.additionalProperty;
+    const path = `${error.instancePath}${property ? `/${property}` : ''}`;
+    return {
+      location,
+      path: path || '/',
+      message: error.params?.additionalProperty ? 'is not allowed' : error.message,
+    };
+  });
+}
+
+/**
+ * Validate request params, query and body against JSON schemas
+ * Coerced values and defaults replace the originals, so handlers read typed
+ * values from req.params, req.query and req.body as usual.
+ * @param {Object} schemas - { params, query, body } JSON schemas; each is optional
+ * @returns {Function} Express middleware that fails with a ValidationError
+ */
+export function validate(schemas) {
+  const validators = LOCATIONS
+    .filter((location) => schemas[location])
+    .map((location) => [location, (location === 'body' ? bodyAjv : stringAjv).compile(schemas[location])]);
+
+  return (req, res, next) => {
+    const details = [];
+
+    for (const [location, check] of validators) {
+      // Express 5 recomputes req.query on every access, so validate a copy and pin it
+      const value = location === 'query' ? { ...req.query } : (req[location] ?? {});
+
+      if (!check(value)) {
+        details.push(...formatErrors(location, check.errors));
+        continue;
+      }
+
+      if (location === 'query') {
+        Object.defineProperty(req, 'query', { value, writable: true, configurable: true, enumerable: true });
+      } else {
+        req[location] = value;
+      }
+    }
+
+    if (details.length > 0) {
+      return next(new ValidationError('Request validation failed', { details }));
+    }
+    next();
+  };
+}
+
+export default validate;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS prompts;
+DROP TABLE IF EXISTS decks;
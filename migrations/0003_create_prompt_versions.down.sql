@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS prompt_versions;
+ALTER TABLE prompts DROP COLUMN IF EXISTS current_version;
@@ -0,0 +1,3 @@
+ALTER TABLE users DROP COLUMN IF EXISTS monthly_cost_limit_usd;
+ALTER TABLE users DROP COLUMN IF EXISTS monthly_token_limit;
+DROP TABLE IF EXISTS ai_usage;
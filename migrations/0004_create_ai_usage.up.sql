@@ -0,0 +1,19 @@
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  prompt_id INTEGER REFERENCES prompts(id) ON DELETE SET NULL,
+  deck_id INTEGER REFERENCES decks(id) ON DELETE SET NULL,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  operation TEXT NOT NULL,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(14, 6) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS ai_usage_user_created_idx ON ai_usage (user_id, created_at);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS monthly_token_limit BIGINT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS monthly_cost_limit_usd NUMERIC(12, 2);
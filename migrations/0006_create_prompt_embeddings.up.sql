@@ -0,0 +1,20 @@
+CREATE TABLE IF NOT EXISTS prompt_embeddings (
+  prompt_id INTEGER PRIMARY KEY REFERENCES prompts(id) ON DELETE CASCADE,
+  model TEXT NOT NULL,
+  content_hash TEXT NOT NULL,
+  embedding DOUBLE PRECISION[] NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Use pgvector for nearest-neighbour search when the server offers it;
+-- otherwise similarity is computed in JS from the float array column
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_available_extensions WHERE name = 'vector') THEN
+    CREATE EXTENSION IF NOT EXISTS vector;
+    ALTER TABLE prompt_embeddings ADD COLUMN IF NOT EXISTS embedding_vector vector;
+  END IF;
+EXCEPTION
+  WHEN insufficient_privilege THEN
+    RAISE NOTICE 'pgvector not installed (insufficient privilege), using float array fallback';
+END $$;
@@ -0,0 +1,31 @@
+CREATE TABLE IF NOT EXISTS comparisons (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  prompt_id INTEGER REFERENCES prompts(id) ON DELETE SET NULL,
+  prompt_version INTEGER,
+  variables JSONB NOT NULL DEFAULT '{}',
+  rendered_text TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS comparisons_user_created_idx ON comparisons (user_id, created_at);
+
+CREATE TABLE IF NOT EXISTS comparison_results (
+  id SERIAL PRIMARY KEY,
+  comparison_id INTEGER NOT NULL REFERENCES comparisons(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  label TEXT,
+  provider TEXT,
+  model TEXT NOT NULL,
+  parameters JSONB NOT NULL DEFAULT '{}',
+  output TEXT,
+  error TEXT,
+  latency_ms INTEGER,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(14, 6) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS comparison_results_comparison_idx ON comparison_results (comparison_id, position);
@@ -0,0 +1,41 @@
+CREATE TABLE IF NOT EXISTS eval_cases (
+  id SERIAL PRIMARY KEY,
+  prompt_id INTEGER NOT NULL REFERENCES prompts(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  variables JSONB NOT NULL DEFAULT '{}',
+  assertions JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS eval_cases_prompt_idx ON eval_cases (prompt_id);
+
+CREATE TABLE IF NOT EXISTS eval_runs (
+  id SERIAL PRIMARY KEY,
+  prompt_id INTEGER NOT NULL REFERENCES prompts(id) ON DELETE CASCADE,
+  prompt_version INTEGER NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  provider TEXT,
+  model TEXT,
+  total_cases INTEGER NOT NULL DEFAULT 0,
+  passed_cases INTEGER NOT NULL DEFAULT 0,
+  pass_rate NUMERIC(5, 4) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS eval_runs_prompt_version_idx ON eval_runs (prompt_id, prompt_version, created_at);
+
+CREATE TABLE IF NOT EXISTS eval_results (
+  id SERIAL PRIMARY KEY,
+  run_id INTEGER NOT NULL REFERENCES eval_runs(id) ON DELETE CASCADE,
+  case_id INTEGER REFERENCES eval_cases(id) ON DELETE SET NULL,
+  case_name TEXT NOT NULL,
+  passed BOOLEAN NOT NULL,
+  output TEXT,
+  error TEXT,
+  assertions JSONB NOT NULL DEFAULT '[]',
+  latency_ms INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS eval_results_run_idx ON eval_results (run_id);
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS decks_user_created_idx;
+DROP INDEX IF EXISTS prompts_user_updated_idx;
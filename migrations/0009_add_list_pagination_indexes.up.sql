@@ -0,0 +1,3 @@
+-- Keyset pagination walks (owner, sort column, id); these match the default list orders
+CREATE INDEX IF NOT EXISTS prompts_user_updated_idx ON prompts (user_id, updated_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS decks_user_created_idx ON decks (user_id, created_at DESC, id DESC);
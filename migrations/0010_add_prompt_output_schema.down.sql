@@ -0,0 +1,2 @@
+ALTER TABLE prompt_versions DROP COLUMN IF EXISTS output_schema;
+ALTER TABLE prompts DROP COLUMN IF EXISTS output_schema;
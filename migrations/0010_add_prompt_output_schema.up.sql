@@ -0,0 +1,3 @@
+-- Structured output contract: runs ask the model for JSON matching this schema
+ALTER TABLE prompts ADD COLUMN IF NOT EXISTS output_schema JSONB;
+ALTER TABLE prompt_versions ADD COLUMN IF NOT EXISTS output_schema JSONB;
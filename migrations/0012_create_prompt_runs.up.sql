@@ -0,0 +1,33 @@
+CREATE TABLE IF NOT EXISTS prompt_runs (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  prompt_id INTEGER NOT NULL REFERENCES prompts(id) ON DELETE CASCADE,
+  prompt_version INTEGER NOT NULL,
+  operation TEXT NOT NULL CHECK (operation IN ('chat', 'stream')),
+  status TEXT NOT NULL CHECK (status IN ('succeeded', 'failed', 'aborted')),
+  variables JSONB NOT NULL DEFAULT '{}',
+  messages JSONB NOT NULL,
+  provider TEXT NOT NULL,
+  model TEXT,
+  parameters JSONB NOT NULL DEFAULT '{}',
+  output TEXT,
+  parsed JSONB,
+  tool_calls JSONB,
+  finish_reason TEXT,
+  error_code TEXT,
+  error_message TEXT,
+  latency_ms INTEGER NOT NULL,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  cache_status TEXT,
+  rerun_of INTEGER REFERENCES prompt_runs(id) ON DELETE SET NULL,
+  -- Pinned runs are the prompt's example outputs and are kept by the retention policy
+  pinned BOOLEAN NOT NULL DEFAULT FALSE,
+  pinned_at TIMESTAMPTZ,
+  pin_note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS prompt_runs_prompt_created_idx ON prompt_runs (prompt_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS prompt_runs_prune_idx ON prompt_runs (created_at) WHERE NOT pinned;
@@ -0,0 +1,2 @@
+-- The backfilled rows are ordinary version history; there is nothing to undo
+SELECT 1;
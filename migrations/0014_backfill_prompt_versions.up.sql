@@ -0,0 +1,7 @@
+-- Prompts created before version history (0003) have current_version = 1 but no
+-- version row, so reading, diffing or rolling back to v1 failed with a 404
+INSERT INTO prompt_versions (prompt_id, version, title, content, output_schema, created_by, created_at)
+SELECT p.id, p.current_version, p.title, p.content, p.output_schema, p.user_id, p.updated_at
+FROM prompts p
+WHERE NOT EXISTS (SELECT 1 FROM prompt_versions v WHERE v.prompt_id = p.id)
+ON CONFLICT (prompt_id, version) DO NOTHING;
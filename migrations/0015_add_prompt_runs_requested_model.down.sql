@@ -0,0 +1 @@
+ALTER TABLE prompt_runs DROP COLUMN IF EXISTS requested_model;
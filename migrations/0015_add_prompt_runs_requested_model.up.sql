@@ -0,0 +1,7 @@
+-- Model string the run was requested with, e.g. "anthropic:claude-sonnet-4-5"; NULL
+-- means the default provider and model. model holds what the provider answered with.
+ALTER TABLE prompt_runs ADD COLUMN IF NOT EXISTS requested_model TEXT;
+
+-- Earlier runs only kept the answering model, which is the closest record of the request
+UPDATE prompt_runs SET requested_model = provider || ':' || model
+WHERE requested_model IS NULL AND model IS NOT NULL;
@@ -0,0 +1,25 @@
+import express from 'express';
+import { redactConfig } from '../config/index.js';
+import { requireAdmin, requireAuth, requireScope } from '../middleware/auth.js';
+import { pruneRuns } from '../services/runHistoryService.js';
+import { sendError } from '../utils/httpError.js';
+
+const router = express.Router();
+
+router.use(requireAuth, requireScope('admin'), requireAdmin);
+
+// Effective configuration with secrets redacted
+router.get('/config', (req, res) => {
+  res.json({ config: redactConfig() });
+});
+
+// Apply the run history retention policy now instead of waiting for the timer
+router.post('/runs/prune', async (req, res) => {
+  try {
+    res.json(await pruneRuns());
+  } catch (error) {
+    sendError(res, error, 'POST /admin/runs/prune');
+  }
+});
+
+export default router;
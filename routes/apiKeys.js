@@ -0,0 +1,53 @@
+import express from 'express';
+import { requireAuth, requireSession } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  listApiKeys,
+  getApiKey,
+  createApiKey,
+  revokeApiKey,
+} from '../services/apiKeyService.js';
+import { idParams } from '../schemas/common.js';
+import { createApiKeyBody } from '../schemas/apiKeys.js';
+import { sendError } from '../utils/httpError.js';
+
+const router = express.Router();
+
+// Keys are managed from a signed-in session so a leaked key can't mint or revoke keys
+router.use(requireAuth, requireSession);
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ apiKeys: await listApiKeys(req.user.id) });
+  } catch (error) {
+    sendError(res, error, 'GET /api-keys');
+  }
+});
+
+// The response carries the full key; it is not stored and can't be shown again
+router.post('/', validate({ body: createApiKeyBody }), async (req, res) => {
+  try {
+    res.status(201).json(await createApiKey(req.user.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'POST /api-keys');
+  }
+});
+
+router.get('/:id', validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    res.json({ apiKey: await getApiKey(req.user.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'GET /api-keys/:id');
+  }
+});
+
+// Revoke; the key stays listed with revokedAt set
+router.delete('/:id', validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    res.json({ apiKey: await revokeApiKey(req.user.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'DELETE /api-keys/:id');
+  }
+});
+
+export default router;
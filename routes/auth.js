@@ -0,0 +1,98 @@
+import express from 'express';
+import config from '../config/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  getGoogleAuthUrl,
+  handleGoogleCallback,
+  refreshSession,
+  logout,
+} from '../services/authService.js';
+import { refreshTokenBody } from '../schemas/auth.js';
+import { sendError } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Ties the OAuth state to the browser that started the sign-in (login CSRF)
+const NONCE_COOKIE = 'oauth_nonce';
+const NONCE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: config.env === 'production',
+  // Lax so the cookie comes along on the top-level redirect back from Google
+  sameSite: 'lax',
+  path: '/api/auth/google',
+};
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      try {
+        return decodeURIComponent(value.join('='));
+      } catch {
+        // A malformed cookie is treated as missing, so the state check rejects the sign-in
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+router.get('/google', (req, res) => {
+  try {
+    const { url, nonce } = getGoogleAuthUrl();
+    res.cookie(NONCE_COOKIE, nonce, { ...NONCE_COOKIE_OPTIONS, maxAge: 10 * 60 * 1000 });
+    res.redirect(url);
+  } catch (error) {
+    sendError(res, error, '/auth/google');
+  }
+});
+
+// Not validated with a schema: the browser lands here, so every failure must
+// redirect back to the frontend instead of returning a JSON error
+router.get('/google/callback', async (req, res) => {
+  const nonce = readCookie(req, NONCE_COOKIE);
+  res.clearCookie(NONCE_COOKIE, NONCE_COOKIE_OPTIONS);
+
+  try {
+    if (req.query.error) {
+      return res.redirect(`${config.frontendUrl}/login?error=${encodeURIComponent(req.query.error)}`);
+    }
+
+    const session = await handleGoogleCallback(req.query.code, req.query.state, nonce);
+    const fragment = new URLSearchParams({
+      accessToken: session.accessToken,
+      refreshToken: session.refreshToken,
+    });
+    res.redirect(`${config.frontendUrl}/auth/callback#${fragment.toString()}`);
+  } catch (error) {
+    logger.warn('Google sign-in failed', { context: 'GET /auth/google/callback', err: error });
+    res.redirect(`${config.frontendUrl}/login?error=${encodeURIComponent(error.message)}`);
+  }
+});
+
+router.post('/refresh', validate({ body: refreshTokenBody }), async (req, res) => {
+  try {
+    const tokens = await refreshSession(req.body?.refreshToken);
+    res.json(tokens);
+  } catch (error) {
+    sendError(res, error, '/auth/refresh');
+  }
+});
+
+router.post('/logout', validate({ body: refreshTokenBody }), async (req, res) => {
+  try {
+    await logout(req.body?.refreshToken);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, '/auth/logout');
+  }
+});
+
+// With an API key, also says which key and scopes the request used
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: req.user, ...(req.apiKey ? { apiKey: req.apiKey } : {}) });
+});
+
+export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import { requireAuth, requireScope } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { listComparisons, getComparison } from '../services/comparisonService.js';
+import { idParams } from '../schemas/common.js';
+import { listComparisonsQuery } from '../schemas/comparisons.js';
+import { sendError } from '../utils/httpError.js';
+
+const router = express.Router();
+
+router.use(requireAuth, requireScope('admin'));
+
+router.get('/', validate({ query: listComparisonsQuery }), async (req, res) => {
+  try {
+    res.json({ comparisons: await listComparisons(req.user.id, { promptId: req.query.promptId }) });
+  } catch (error) {
+    sendError(res, error, 'GET /comparisons');
+  }
+});
+
+router.get('/:id', validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    res.json({ comparison: await getComparison(req.user.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'GET /comparisons/:id');
+  }
+});
+
+export default router;
@@ -0,0 +1,118 @@
+import express from 'express';
+import { requireAuth, requireScope } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  listConversations,
+  getConversation,
+  updateConversation,
+  deleteConversation,
+  listMessages,
+  replyToConversation,
+} from '../services/conversationService.js';
+import { idParams } from '../schemas/common.js';
+import {
+  listConversationsQuery,
+  listMessagesQuery,
+  sendMessageBody,
+  updateConversationBody,
+} from '../schemas/conversations.js';
+import { sendError, toErrorBody } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+import { toListResponse } from '../utils/listQuery.js';
+import { wantsEventStream, abortOnDisconnect, openEventStream } from '../utils/sse.js';
+
+const router = express.Router();
+
+router.use(requireAuth, requireScope('admin'));
+
+/**
+ * Answer with the assistant's reply as JSON, or stream it as Server-Sent Events
+ * (start, token, done, error) when the client accepts text/event-stream
+ */
+async function sendReply(req, res, input, context) {
+  if (!wantsEventStream(req)) {
+    try {
+      return res.status(201).json(await replyToConversation(req.user.id, req.params.id, input));
+    } catch (error) {
+      return sendError(res, error, context);
+    }
+  }
+
+  const signal = abortOnDisconnect(res);
+  let stream = null;
+
+  try {
+    const result = await replyToConversation(req.user.id, req.params.id, input, {
+      signal,
+      onStart: (start) => {
+        stream = openEventStream(res);
+        stream.send('start', start);
+      },
+      onToken: (content) => stream.send('token', { content }),
+    });
+    stream.send('done', result);
+    stream.end();
+  } catch (error) {
+    if (signal.aborted) {
+      return;
+    }
+    if (!stream) {
+      return sendError(res, error, context);
+    }
+    logger.error('Unhandled error', { context: `${context} stream`, err: error });
+    stream.send('error', toErrorBody(error, req.id));
+    stream.end();
+  }
+}
+
+router.get('/', validate({ query: listConversationsQuery }), async (req, res) => {
+  try {
+    res.json(toListResponse(req, 'conversations', await listConversations(req.user.id, req.query)));
+  } catch (error) {
+    sendError(res, error, 'GET /conversations');
+  }
+});
+
+router.get('/:id', validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    res.json({ conversation: await getConversation(req.user.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'GET /conversations/:id');
+  }
+});
+
+router.patch('/:id', validate({ params: idParams('id'), body: updateConversationBody }), async (req, res) => {
+  try {
+    res.json({ conversation: await updateConversation(req.user.id, req.params.id, req.body) });
+  } catch (error) {
+    sendError(res, error, 'PATCH /conversations/:id');
+  }
+});
+
+router.delete('/:id', validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    await deleteConversation(req.user.id, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'DELETE /conversations/:id');
+  }
+});
+
+router.get('/:id/messages', validate({ params: idParams('id'), query: listMessagesQuery }), async (req, res) => {
+  try {
+    res.json(toListResponse(req, 'messages', await listMessages(req.user.id, req.params.id, req.query)));
+  } catch (error) {
+    sendError(res, error, 'GET /conversations/:id/messages');
+  }
+});
+
+router.post('/:id/messages', validate({ params: idParams('id'), body: sendMessageBody }), (req, res) => (
+  sendReply(req, res, { content: req.body.content }, 'POST /conversations/:id/messages')
+));
+
+// Answer the pending user turn: the first turn after starting from a prompt, or a retry
+router.post('/:id/reply', validate({ params: idParams('id') }), (req, res) => (
+  sendReply(req, res, {}, 'POST /conversations/:id/reply')
+));
+
+export default router;
@@ -0,0 +1,87 @@
+import express from 'express';
+import { readScope, requireAuth, requireScope } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  listDecks,
+  getDeck,
+  createDeck,
+  updateDeck,
+  deleteDeck,
+  reorderDeckPrompts,
+} from '../services/deckService.js';
+import { listPrompts } from '../services/promptService.js';
+import { idParams } from '../schemas/common.js';
+import {
+  listDecksQuery,
+  listDeckPromptsQuery,
+  createDeckBody,
+  updateDeckBody,
+  reorderPromptsBody,
+} from '../schemas/decks.js';
+import { sendError } from '../utils/httpError.js';
+import { toListResponse } from '../utils/listQuery.js';
+
+const router = express.Router();
+
+router.use(requireAuth, requireScope(readScope('decks:read')));
+
+router.get('/', validate({ query: listDecksQuery }), async (req, res) => {
+  try {
+    res.json(toListResponse(req, 'decks', await listDecks(req.user.id, req.query)));
+  } catch (error) {
+    sendError(res, error, 'GET /decks');
+  }
+});
+
+router.post('/', validate({ body: createDeckBody }), async (req, res) => {
+  try {
+    res.status(201).json({ deck: await createDeck(req.user.id, req.body) });
+  } catch (error) {
+    sendError(res, error, 'POST /decks');
+  }
+});
+
+router.get('/:id', validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    res.json({ deck: await getDeck(req.user.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'GET /decks/:id');
+  }
+});
+
+router.patch('/:id', validate({ params: idParams('id'), body: updateDeckBody }), async (req, res) => {
+  try {
+    res.json({ deck: await updateDeck(req.user.id, req.params.id, req.body) });
+  } catch (error) {
+    sendError(res, error, 'PATCH /decks/:id');
+  }
+});
+
+router.delete('/:id', validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    await deleteDeck(req.user.id, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'DELETE /decks/:id');
+  }
+});
+
+router.get('/:id/prompts', validate({ params: idParams('id'), query: listDeckPromptsQuery }), async (req, res) => {
+  try {
+    const page = await listPrompts(req.user.id, { ...req.query, deckId: req.params.id });
+    res.json(toListResponse(req, 'prompts', page));
+  } catch (error) {
+    sendError(res, error, 'GET /decks/:id/prompts');
+  }
+});
+
+router.put('/:id/prompts/order', validate({ params: idParams('id'), body: reorderPromptsBody }), async (req, res) => {
+  try {
+    const promptIds = await reorderDeckPrompts(req.user.id, req.params.id, req.body?.promptIds);
+    res.json({ promptIds });
+  } catch (error) {
+    sendError(res, error, 'PUT /decks/:id/prompts/order');
+  }
+});
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import { getLiveness, getReadiness } from '../services/healthService.js';
+import { sendError } from '../utils/httpError.js';
+
+const router = express.Router();
+
+router.get('/healthz', (req, res) => {
+  res.json(getLiveness());
+});
+
+router.get('/readyz', async (req, res) => {
+  try {
+    const readiness = await getReadiness();
+    res.status(readiness.status === 'ready' ? 200 : 503).json(readiness);
+  } catch (error) {
+    sendError(res, error, 'GET /readyz');
+  }
+});
+
+export default router;
@@ -0,0 +1,362 @@
+import express from 'express';
+import { readScope, requireAuth, requireScope } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  listPrompts,
+  getPrompt,
+  createPrompt,
+  updatePrompt,
+  deletePrompt,
+} from '../services/promptService.js';
+import {
+  listVersions,
+  getVersion,
+  diffVersions,
+  rollbackToVersion,
+} from '../services/promptVersionService.js';
+import { getPromptVariables, renderPrompt } from '../services/templateService.js';
+import { listTools, rerunPrompt, runPrompt, streamPrompt } from '../services/runService.js';
+import {
+  listPromptRuns,
+  getPromptRun,
+  pinPromptRun,
+  unpinPromptRun,
+  listExamples,
+} from '../services/runHistoryService.js';
+import { searchPrompts, findSimilarPrompts } from '../services/embeddingService.js';
+import { createComparison } from '../services/comparisonService.js';
+import { startConversation } from '../services/conversationService.js';
+import {
+  listCases,
+  createCase,
+  updateCase,
+  deleteCase,
+  runEvaluation,
+  listRuns,
+  getRun,
+  getRegressionReport,
+} from '../services/evalService.js';
+import { idParams } from '../schemas/common.js';
+import {
+  listPromptsQuery,
+  searchPromptsQuery,
+  similarPromptsQuery,
+  createPromptBody,
+  updatePromptBody,
+  renderBody,
+  runBody,
+  listRunsQuery,
+  rerunBody,
+  pinRunBody,
+  compareBody,
+  createTestCaseBody,
+  updateTestCaseBody,
+  runEvalBody,
+  regressionQuery,
+  diffQuery,
+} from '../schemas/prompts.js';
+import { startConversationBody } from '../schemas/conversations.js';
+import { sendError, toErrorBody } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+import { toListResponse } from '../utils/listQuery.js';
+import { wantsEventStream, abortOnDisconnect, openEventStream } from '../utils/sse.js';
+
+const router = express.Router();
+
+// API keys read prompts with decks:read and execute them with prompts:run
+const RUN_PATH = /^\/\d+\/(render|run|runs\/\d+\/rerun)$/;
+const readPrompts = readScope('decks:read');
+
+router.use(requireAuth, requireScope((req) => (
+  req.method === 'POST' && RUN_PATH.test(req.path) ? 'prompts:run' : readPrompts(req)
+)));
+
+router.get('/', validate({ query: listPromptsQuery }), async (req, res) => {
+  try {
+    res.json(toListResponse(req, 'prompts', await listPrompts(req.user.id, req.query)));
+  } catch (error) {
+    sendError(res, error, 'GET /prompts');
+  }
+});
+
+router.get('/search', validate({ query: searchPromptsQuery }), async (req, res) => {
+  try {
+    const { q, limit, deckId } = req.query;
+    res.json({ results: await searchPrompts(req.user.id, q, { limit, deckId }) });
+  } catch (error) {
+    sendError(res, error, 'GET /prompts/search');
+  }
+});
+
+router.get('/tools', (req, res) => {
+  res.json({ tools: listTools() });
+});
+
+router.post('/', validate({ body: createPromptBody }), async (req, res) => {
+  try {
+    res.status(201).json({ prompt: await createPrompt(req.user.id, req.body) });
+  } catch (error) {
+    sendError(res, error, 'POST /prompts');
+  }
+});
+
+router.get('/:id', validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    res.json({ prompt: await getPrompt(req.user.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'GET /prompts/:id');
+  }
+});
+
+router.patch('/:id', validate({ params: idParams('id'), body: updatePromptBody }), async (req, res) => {
+  try {
+    res.json({ prompt: await updatePrompt(req.user.id, req.params.id, req.body) });
+  } catch (error) {
+    sendError(res, error, 'PATCH /prompts/:id');
+  }
+});
+
+router.delete('/:id', validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    await deletePrompt(req.user.id, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'DELETE /prompts/:id');
+  }
+});
+
+router.get('/:id/similar', validate({ params: idParams('id'), query: similarPromptsQuery }), async (req, res) => {
+  try {
+    const { limit, minSimilarity } = req.query;
+    res.json({ results: await findSimilarPrompts(req.user.id, req.params.id, { limit, minSimilarity }) });
+  } catch (error) {
+    sendError(res, error, 'GET /prompts/:id/similar');
+  }
+});
+
+router.get('/:id/variables', validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    res.json({ variables: await getPromptVariables(req.user.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'GET /prompts/:id/variables');
+  }
+});
+
+router.post('/:id/render', validate({ params: idParams('id'), body: renderBody }), async (req, res) => {
+  try {
+    const { text, variables, extra } = await renderPrompt(req.user.id, req.params.id, req.body?.variables, {
+      allowExtra: req.body?.strict !== true,
+    });
+    res.json({ text, variables, extra });
+  } catch (error) {
+    sendError(res, error, 'POST /prompts/:id/render');
+  }
+});
+
+router.post('/:id/run', validate({ params: idParams('id'), body: runBody }), async (req, res) => {
+  const input = { ...req.body };
+
+  if (!wantsEventStream(req)) {
+    try {
+      return res.json(await runPrompt(req.user.id, req.params.id, input));
+    } catch (error) {
+      return sendError(res, error, 'POST /prompts/:id/run');
+    }
+  }
+
+  const signal = abortOnDisconnect(res);
+  let stream = null;
+
+  try {
+    const result = await streamPrompt(req.user.id, req.params.id, input, {
+      signal,
+      onStart: ({ provider, model }) => {
+        stream = openEventStream(res);
+        stream.send('start', { provider, model });
+      },
+      onToken: (content) => stream.send('token', { content }),
+    });
+    stream.send('done', result);
+    stream.end();
+  } catch (error) {
+    if (signal.aborted) {
+      return;
+    }
+    if (!stream) {
+      return sendError(res, error, 'POST /prompts/:id/run');
+    }
+    logger.error('Unhandled error', { context: 'POST /prompts/:id/run stream', err: error });
+    stream.send('error', toErrorBody(error, req.id));
+    stream.end();
+  }
+});
+
+router.get('/:id/runs', validate({ params: idParams('id'), query: listRunsQuery }), async (req, res) => {
+  try {
+    res.json(toListResponse(req, 'runs', await listPromptRuns(req.user.id, req.params.id, req.query)));
+  } catch (error) {
+    sendError(res, error, 'GET /prompts/:id/runs');
+  }
+});
+
+router.get('/:id/runs/:runId', validate({ params: idParams('id', 'runId') }), async (req, res) => {
+  try {
+    res.json({ run: await getPromptRun(req.user.id, req.params.id, req.params.runId) });
+  } catch (error) {
+    sendError(res, error, 'GET /prompts/:id/runs/:runId');
+  }
+});
+
+router.post('/:id/runs/:runId/rerun', validate({ params: idParams('id', 'runId'), body: rerunBody }), async (req, res) => {
+  try {
+    res.status(201).json(await rerunPrompt(req.user.id, req.params.id, req.params.runId, req.body));
+  } catch (error) {
+    sendError(res, error, 'POST /prompts/:id/runs/:runId/rerun');
+  }
+});
+
+router.put('/:id/runs/:runId/pin', validate({ params: idParams('id', 'runId'), body: pinRunBody }), async (req, res) => {
+  try {
+    res.json({ run: await pinPromptRun(req.user.id, req.params.id, req.params.runId, req.body) });
+  } catch (error) {
+    sendError(res, error, 'PUT /prompts/:id/runs/:runId/pin');
+  }
+});
+
+router.delete('/:id/runs/:runId/pin', validate({ params: idParams('id', 'runId') }), async (req, res) => {
+  try {
+    res.json({ run: await unpinPromptRun(req.user.id, req.params.id, req.params.runId) });
+  } catch (error) {
+    sendError(res, error, 'DELETE /prompts/:id/runs/:runId/pin');
+  }
+});
+
+// Pinned runs: example inputs and outputs of the prompt
+router.get('/:id/examples', validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    res.json({ examples: await listExamples(req.user.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'GET /prompts/:id/examples');
+  }
+});
+
+router.post('/:id/compare', validate({ params: idParams('id'), body: compareBody }), async (req, res) => {
+  try {
+    const { variables, targets, concurrency, cache } = req.body || {};
+    res.status(201).json({
+      comparison: await createComparison(req.user.id, req.params.id, { variables, targets, concurrency, cache }),
+    });
+  } catch (error) {
+    sendError(res, error, 'POST /prompts/:id/compare');
+  }
+});
+
+router.post('/:id/conversations', validate({ params: idParams('id'), body: startConversationBody }), async (req, res) => {
+  try {
+    res.status(201).json(await startConversation(req.user.id, req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'POST /prompts/:id/conversations');
+  }
+});
+
+router.get('/:id/test-cases', validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    res.json({ testCases: await listCases(req.user.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'GET /prompts/:id/test-cases');
+  }
+});
+
+router.post('/:id/test-cases', validate({ params: idParams('id'), body: createTestCaseBody }), async (req, res) => {
+  try {
+    res.status(201).json({ testCase: await createCase(req.user.id, req.params.id, req.body) });
+  } catch (error) {
+    sendError(res, error, 'POST /prompts/:id/test-cases');
+  }
+});
+
+router.patch('/:id/test-cases/:caseId', validate({ params: idParams('id', 'caseId'), body: updateTestCaseBody }), async (req, res) => {
+  try {
+    res.json({ testCase: await updateCase(req.user.id, req.params.id, req.params.caseId, req.body) });
+  } catch (error) {
+    sendError(res, error, 'PATCH /prompts/:id/test-cases/:caseId');
+  }
+});
+
+router.delete('/:id/test-cases/:caseId', validate({ params: idParams('id', 'caseId') }), async (req, res) => {
+  try {
+    await deleteCase(req.user.id, req.params.id, req.params.caseId);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'DELETE /prompts/:id/test-cases/:caseId');
+  }
+});
+
+router.post('/:id/evals', validate({ params: idParams('id'), body: runEvalBody }), async (req, res) => {
+  try {
+    const { model, concurrency, cache } = req.body || {};
+    res.status(201).json(await runEvaluation(req.user.id, req.params.id, { model, concurrency, cache }));
+  } catch (error) {
+    sendError(res, error, 'POST /prompts/:id/evals');
+  }
+});
+
+router.get('/:id/evals', validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    res.json({ runs: await listRuns(req.user.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'GET /prompts/:id/evals');
+  }
+});
+
+router.get('/:id/evals/regressions', validate({ params: idParams('id'), query: regressionQuery }), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    res.json(await getRegressionReport(req.user.id, req.params.id, { from, to }));
+  } catch (error) {
+    sendError(res, error, 'GET /prompts/:id/evals/regressions');
+  }
+});
+
+router.get('/:id/evals/:runId', validate({ params: idParams('id', 'runId') }), async (req, res) => {
+  try {
+    res.json(await getRun(req.user.id, req.params.id, req.params.runId));
+  } catch (error) {
+    sendError(res, error, 'GET /prompts/:id/evals/:runId');
+  }
+});
+
+router.get('/:id/versions', validate({ params: idParams('id') }), async (req, res) => {
+  try {
+    res.json({ versions: await listVersions(req.user.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'GET /prompts/:id/versions');
+  }
+});
+
+router.get('/:id/versions/:version', validate({ params: idParams('id', 'version') }), async (req, res) => {
+  try {
+    res.json({ version: await getVersion(req.user.id, req.params.id, req.params.version) });
+  } catch (error) {
+    sendError(res, error, 'GET /prompts/:id/versions/:version');
+  }
+});
+
+router.post('/:id/versions/:version/rollback', validate({ params: idParams('id', 'version') }), async (req, res) => {
+  try {
+    res.json({ prompt: await rollbackToVersion(req.user.id, req.params.id, req.params.version) });
+  } catch (error) {
+    sendError(res, error, 'POST /prompts/:id/versions/:version/rollback');
+  }
+});
+
+router.get('/:id/diff', validate({ params: idParams('id'), query: diffQuery }), async (req, res) => {
+  try {
+    const { from, to, granularity } = req.query;
+    res.json({ diff: await diffVersions(req.user.id, req.params.id, { from, to, granularity }) });
+  } catch (error) {
+    sendError(res, error, 'GET /prompts/:id/diff');
+  }
+});
+
+export default router;
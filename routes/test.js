@@ -1,16 +1,18 @@
 import express from 'express';
+import { validate } from '../middleware/validate.js';
 import { getGreeting } from '../services/testService.js';
+import { greetingQuery } from '../schemas/test.js';
+import { sendError } from '../utils/httpError.js';
 
 const router = express.Router();
 
-router.get('/greeting', async (req, res) => {
+router.get('/greeting', validate({ query: greetingQuery }), async (req, res) => {
   try {
     const name = req.query.name;
     const greeting = await getGreeting(name);
     res.json(greeting);
   } catch (error) {
-    console.error('Error in /test/greeting:', error);
-    res.status(500).json({ error: 'internal server error' });
+    sendError(res, error, 'GET /test/greeting');
   }
 });
 
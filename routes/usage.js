@@ -0,0 +1,29 @@
+import express from 'express';
+import { requireAuth, requireScope } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { getUsageSummary, getBudget } from '../services/usageService.js';
+import { usageSummaryQuery } from '../schemas/usage.js';
+import { sendError } from '../utils/httpError.js';
+
+const router = express.Router();
+
+router.use(requireAuth, requireScope('admin'));
+
+router.get('/', validate({ query: usageSummaryQuery }), async (req, res) => {
+  try {
+    const { period, from, to } = req.query;
+    res.json(await getUsageSummary(req.user.id, { period, from, to }));
+  } catch (error) {
+    sendError(res, error, 'GET /usage');
+  }
+});
+
+router.get('/budget', async (req, res) => {
+  try {
+    res.json({ budget: await getBudget(req.user.id) });
+  } catch (error) {
+    sendError(res, error, 'GET /usage/budget');
+  }
+});
+
+export default router;
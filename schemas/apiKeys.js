@@ -0,0 +1,9 @@
+import { API_KEY_SCOPES } from '../services/apiKeyService.js';
+import { nonEmptyString, object } from './common.js';
+
+export const createApiKeyBody = object({
+  name: { ...nonEmptyString, maxLength: 100 },
+  scopes: { type: 'array', items: { type: 'string', enum: API_KEY_SCOPES }, minItems: 1, uniqueItems: true },
+  // ISO 8601 date; omitted uses the server default lifetime, null never expires
+  expiresAt: { anyOf: [nonEmptyString, { type: 'null' }] },
+}, ['name', 'scopes']);
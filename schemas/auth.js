@@ -0,0 +1,3 @@
+import { nonEmptyString, object } from './common.js';
+
+export const refreshTokenBody = object({ refreshToken: nonEmptyString }, ['refreshToken']);
@@ -0,0 +1,67 @@
+/**
+ * Shared JSON schema fragments for request validation
+ */
+
+export const id = { type: 'integer', minimum: 1 };
+
+export const positiveInteger = { type: 'integer', minimum: 1 };
+
+export const nonEmptyString = { type: 'string', minLength: 1, pattern: '\\S' };
+
+export const variables = { type: 'object' };
+
+export const temperature = { type: 'number', minimum: 0, maximum: 2 };
+
+export const topP = { type: 'number', minimum: 0, maximum: 1 };
+
+export const cacheMode = {
+  anyOf: [
+    { type: 'string', enum: ['use', 'bypass', 'refresh'] },
+    { type: 'boolean' },
+  ],
+};
+
+/**
+ * Object schema that rejects unknown properties
+ * @param {Object} properties - Property schemas
+ * @param {Array<string>} required - Required property names
+ * @returns {Object} JSON schema
+ */
+export function object(properties, required = []) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+/**
+ * Query string schema; unknown parameters are ignored rather than rejected
+ * @param {Object} properties - Parameter schemas
+ * @param {Array<string>} required - Required parameter names
+ * @returns {Object} JSON schema
+ */
+export function query(properties, required = []) {
+  return { type: 'object', properties, required };
+}
+
+/**
+ * Query string schema for list endpoints: cursor, limit, sort and total on top
+ * of the given parameters; filter[...] parameters are checked by utils/listQuery.js
+ * @param {Object} properties - Extra parameter schemas
+ * @returns {Object} JSON schema
+ */
+export function listQuery(properties = {}) {
+  return query({
+    cursor: { type: 'string', minLength: 1 },
+    limit: positiveInteger,
+    sort: { type: 'string' },
+    total: { type: 'boolean' },
+    ...properties,
+  });
+}
+
+/**
+ * Schema for numeric route params
+ * @param {...string} names - Param names, e.g. 'id', 'caseId'
+ * @returns {Object} JSON schema
+ */
+export function idParams(...names) {
+  return object(Object.fromEntries(names.map((name) => [name, id])), names);
+}
@@ -0,0 +1,3 @@
+import { id, query } from './common.js';
+
+export const listComparisonsQuery = query({ promptId: id });
@@ -0,0 +1,38 @@
+import {
+  listQuery,
+  nonEmptyString,
+  object,
+  positiveInteger,
+  temperature,
+  topP,
+  variables,
+} from './common.js';
+
+// null resets a setting to the server default
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+
+const settings = object({
+  maxTokens: nullable(positiveInteger),
+  temperature: nullable(temperature),
+  topP: nullable(topP),
+  contextTokens: nullable({ type: 'integer', minimum: 256 }),
+  summarize: nullable({ type: 'boolean' }),
+});
+
+export const startConversationBody = object({
+  variables,
+  title: nonEmptyString,
+  model: nonEmptyString,
+  settings,
+});
+
+export const updateConversationBody = {
+  ...object({ title: nonEmptyString, model: nullable(nonEmptyString), settings }),
+  minProperties: 1,
+};
+
+export const listConversationsQuery = listQuery();
+
+export const listMessagesQuery = listQuery();
+
+export const sendMessageBody = object({ content: { type: 'string', minLength: 1 } }, ['content']);
@@ -0,0 +1,18 @@
+import { id, listQuery, nonEmptyString, object } from './common.js';
+
+const deckProperties = {
+  name: nonEmptyString,
+  description: { type: ['string', 'null'] },
+};
+
+export const listDecksQuery = listQuery();
+
+export const listDeckPromptsQuery = listQuery();
+
+export const createDeckBody = object(deckProperties, ['name']);
+
+export const updateDeckBody = { ...object(deckProperties), minProperties: 1 };
+
+export const reorderPromptsBody = object({
+  promptIds: { type: 'array', items: id, minItems: 1, uniqueItems: true },
+}, ['promptIds']);
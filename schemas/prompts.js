@@ -0,0 +1,121 @@
+import { ASSERTION_TYPES } from '../utils/assertions.js';
+import {
+  cacheMode,
+  id,
+  listQuery,
+  nonEmptyString,
+  object,
+  positiveInteger,
+  query,
+  temperature,
+  topP,
+  variables,
+} from './common.js';
+
+const limit = { type: 'integer', minimum: 1, maximum: 50 };
+
+// Keeps prompt bodies, and the version diffs between them, to a sane size
+const MAX_PROMPT_CONTENT_LENGTH = 100000;
+
+const promptProperties = {
+  title: nonEmptyString,
+  content: { type: 'string', minLength: 1, maxLength: MAX_PROMPT_CONTENT_LENGTH },
+  deckId: { anyOf: [id, { type: 'null' }] },
+  // Compiled by promptService, which reports schemas Ajv can't use
+  outputSchema: { type: ['object', 'null'] },
+};
+
+const samplingProperties = {
+  maxTokens: positiveInteger,
+  temperature,
+  topP,
+  frequencyPenalty: { type: 'number', minimum: -2, maximum: 2 },
+  presencePenalty: { type: 'number', minimum: -2, maximum: 2 },
+  stop: {
+    anyOf: [
+      { type: 'string', minLength: 1 },
+      { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, maxItems: 4 },
+    ],
+  },
+};
+
+export const listPromptsQuery = listQuery({ deckId: id });
+
+export const searchPromptsQuery = query({ q: nonEmptyString, limit, deckId: id }, ['q']);
+
+export const similarPromptsQuery = query({
+  limit,
+  minSimilarity: { type: 'number', minimum: -1, maximum: 1 },
+});
+
+export const createPromptBody = object(promptProperties, ['title', 'content']);
+
+export const updatePromptBody = { ...object(promptProperties), minProperties: 1 };
+
+export const renderBody = object({ variables, strict: { type: 'boolean' } });
+
+export const runBody = object({
+  variables,
+  model: nonEmptyString,
+  ...samplingProperties,
+  // Names of registered tools (see aiClient/tools.js); the anthropic and gemini providers reject them
+  tools: { type: 'array', items: nonEmptyString, uniqueItems: true },
+  toolChoice: nonEmptyString,
+  cache: cacheMode,
+});
+
+export const listRunsQuery = listQuery();
+
+export const rerunBody = object({
+  // Resend the recorded messages instead of rendering the current prompt version
+  exact: { type: 'boolean' },
+  cache: cacheMode,
+});
+
+export const pinRunBody = object({ note: { type: ['string', 'null'], maxLength: 500 } });
+
+export const compareBody = object({
+  variables,
+  targets: {
+    type: 'array',
+    minItems: 1,
+    items: object({
+      model: nonEmptyString,
+      label: { type: 'string' },
+      maxTokens: positiveInteger,
+      temperature,
+      topP,
+    }, ['model']),
+  },
+  concurrency: positiveInteger,
+  cache: cacheMode,
+}, ['targets']);
+
+// Assertion fields depend on the type and are checked by validateAssertions
+const testCaseProperties = {
+  name: nonEmptyString,
+  variables,
+  assertions: {
+    type: 'array',
+    minItems: 1,
+    items: {
+      type: 'object',
+      properties: { type: { enum: ASSERTION_TYPES } },
+      required: ['type'],
+    },
+  },
+};
+
+export const createTestCaseBody = object(testCaseProperties, ['name', 'assertions']);
+
+export const updateTestCaseBody = { ...object(testCaseProperties), minProperties: 1 };
+
+export const runEvalBody = object({ model: nonEmptyString, concurrency: positiveInteger, cache: cacheMode });
+
+export const regressionQuery = query({ from: positiveInteger, to: positiveInteger });
+
+export const diffQuery = query({
+  from: positiveInteger,
+  to: positiveInteger,
+  granularity: { enum: ['line', 'word'] },
+}, ['from']);
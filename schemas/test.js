@@ -0,0 +1,3 @@
+import { query } from './common.js';
+
+export const greetingQuery = query({ name: { type: 'string', maxLength: 100 } });
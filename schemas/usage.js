@@ -0,0 +1,7 @@
+import { nonEmptyString, query } from './common.js';
+
+export const usageSummaryQuery = query({
+  period: { enum: ['daily', 'monthly'] },
+  from: nonEmptyString,
+  to: nonEmptyString,
+});
@@ -0,0 +1,59 @@
+import defaultPgDao from '../dao/index.js';
+import Migrator from '../dao/migrator.js';
+
+/**
+ * Migration CLI
+ * Usage: npm run migrate -- <status|up|down> [--to <version>]
+ */
+function parseArgs(argv) {
+  const [command = 'up', ...rest] = argv;
+  const options = {};
+  const toIndex = rest.indexOf('--to');
+
+  if (toIndex !== -1) {
+    const to = Number(rest[toIndex + 1]);
+    if (!Number.isInteger(to) || to < 0) {
+      throw new Error('--to requires a non-negative integer version');
+    }
+    options.to = to;
+  }
+
+  return { command, options };
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  const migrator = new Migrator(defaultPgDao);
+
+  switch (command) {
+    case 'status': {
+      const migrations = await migrator.status();
+      for (const migration of migrations) {
+        const state = migration.applied ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+        console.log(`${String(migration.version).padStart(4, '0')}_${migration.name}  ${state}`);
+      }
+      break;
+    }
+    case 'up': {
+      const applied = await migrator.up(options);
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+      break;
+    }
+    case 'down': {
+      const reverted = await migrator.down(options);
+      console.log(`✅ Rolled back ${reverted.length} migration(s)`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use status, up or down`);
+  }
+}
+
+try {
+  await main();
+} catch (error) {
+  console.error('❌ Migration failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await defaultPgDao.close();
+}
@@ -1,19 +1,50 @@
 import express from "express";
-import dotenv from "dotenv";
 import defaultPgDao from "./dao/index.js";
+import Migrator from "./dao/migrator.js";
+import config from "./config/index.js";
+import requestId from "./middleware/requestId.js";
+import requestLogger from "./middleware/requestLogger.js";
+import { trackInFlight, drainInFlight } from "./middleware/inFlight.js";
+import logger from "./utils/logger.js";
+import { NotFoundError, sendError } from "./utils/httpError.js";
+import { markReady, markShuttingDown, isShuttingDown } from "./services/healthService.js";
+import { startRunRetention, stopRunRetention } from "./services/runHistoryService.js";
+import { startEmbeddingBackfill, stopEmbeddingBackfill } from "./services/embeddingService.js";
+import { defaultCompletionCache } from "./aiClient/index.js";
+import healthRoutes from "./routes/health.js";
+import adminRoutes from "./routes/admin.js";
 import testRoutes from "./routes/test.js";
-
-dotenv.config();
+import authRoutes from "./routes/auth.js";
+import apiKeyRoutes from "./routes/apiKeys.js";
+import deckRoutes from "./routes/decks.js";
+import promptRoutes from "./routes/prompts.js";
+import usageRoutes from "./routes/usage.js";
+import comparisonRoutes from "./routes/comparisons.js";
+import conversationRoutes from "./routes/conversations.js";
 
 const app = express();
 
-await defaultPgDao.initialize();
+app.use(requestId);
+
+// Probes come before the access log so they don't flood it
+app.use(healthRoutes);
+
+app.use(requestLogger);
+app.use(trackInFlight);
 
 // JSON parser
 app.use(express.json());
 
 // Routes
 app.use('/api/test', testRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/decks', deckRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/comparisons', comparisonRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // GET example
 app.get("/", (req, res) => {
@@ -25,14 +56,82 @@ app.post("/echo", (req, res) => {
   res.json({ received: req.body });
 });
 
-// Basic error handler
-app.use((err, req, res, next) => {
-  console.error(err);
-  res.status(500).json({ error: "internal server error" });
+// Unknown routes
+app.use((req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`));
 });
 
-const PORT = process.env.PORT || 3000;
+// Error handler: every error leaves as { error: { code, message, details, requestId } }
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+  sendError(res, err, `${req.method} ${req.path}`);
+});
 
-app.listen(PORT, () => {
-  console.log(`listening on ${PORT}`);
+// Listen right away so /healthz answers while the database is still coming up;
+// /readyz reports "starting" until startup finishes
+const server = app.listen(config.port, () => {
+  logger.info('Server listening', { port: config.port, profile: config.env });
 });
+
+async function start() {
+  try {
+    await defaultPgDao.initialize({
+      retries: config.startup.dbConnectRetries,
+      initialDelayMs: config.startup.dbRetryInitialDelayMs,
+      maxDelayMs: config.startup.dbRetryMaxDelayMs,
+    });
+    if (config.migrateOnStart) {
+      await new Migrator(defaultPgDao).up();
+    }
+    markReady();
+    startRunRetention();
+    defaultCompletionCache.startMaintenance();
+    startEmbeddingBackfill();
+    logger.info('Server ready');
+  } catch (error) {
+    logger.error('Startup failed', { err: error });
+    await shutdown('startup failure', 1);
+  }
+}
+
+/**
+ * Stop accepting connections, let in-flight requests and streams finish
+ * (up to config.shutdown.timeoutMs), then close the database pool and exit
+ */
+async function shutdown(reason, exitCode = 0) {
+  if (isShuttingDown()) {
+    return;
+  }
+  markShuttingDown();
+  stopRunRetention();
+  stopEmbeddingBackfill();
+  logger.info('Shutting down', { reason, timeoutMs: config.shutdown.timeoutMs });
+
+  const closed = new Promise((resolve) => server.close(resolve));
+  server.closeIdleConnections();
+
+  const remaining = await drainInFlight(config.shutdown.timeoutMs);
+  if (remaining > 0) {
+    logger.warn('Shutdown timeout reached, closing open requests', { remaining });
+  }
+  // Whatever is left is idle keep-alive sockets or requests that ran out of time
+  server.closeAllConnections();
+  await closed;
+  // After the drain, so hits counted by the last requests are written too
+  await defaultCompletionCache.stopMaintenance();
+
+  try {
+    await defaultPgDao.close();
+  } catch {
+    exitCode = 1;
+  }
+  logger.info('Shutdown complete');
+  process.exit(exitCode);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start();
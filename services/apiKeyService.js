@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { defaultPgDao } from '../dao/index.js';
+import { createHttpError, parseId } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+import { hashToken, toPublicUser } from './authService.js';
+
+const log = logger.child({ component: 'api-keys' });
+
+/**
+ * What a key may do; sessions are not limited by scopes
+ *   decks:read    read decks and prompts (GET requests)
+ *   prompts:run   render, run and re-run prompts
+ *   admin         everything the user can do with a session, except managing keys
+ */
+export const API_KEY_SCOPES = ['decks:read', 'prompts:run', 'admin'];
+
+// Keys look like pdk_<12 hex prefix>_<secret>; the prefix identifies a key without revealing it
+export const API_KEY_PREFIX = 'pdk_';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// last_used_at is written at most this often per key so busy keys don't cause a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export function toPublicApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    expiresAt: apiKey.expires_at,
+    lastUsedAt: apiKey.last_used_at,
+    revokedAt: apiKey.revoked_at,
+    createdAt: apiKey.created_at,
+  };
+}
+
+/**
+ * Tell API keys apart from JWT access tokens
+ * @param {string} token - Bearer token
+ * @returns {boolean} True for tokens with the API key prefix
+ */
+export function isApiKey(token) {
+  return token.startsWith(API_KEY_PREFIX);
+}
+
+function generateKey() {
+  const prefix = `${API_KEY_PREFIX}${crypto.randomBytes(6).toString('hex')}`;
+  return { prefix, key: `${prefix}_${crypto.randomBytes(32).toString('base64url')}` };
+}
+
+function parseExpiry(expiresAt) {
+  if (expiresAt === null) {
+    return null;
+  }
+  if (expiresAt === undefined) {
+    const ttlDays = config.apiKeys.defaultTtlDays;
+    return ttlDays ? new Date(Date.now() + ttlDays * DAY_MS) : null;
+  }
+
+  const date = new Date(expiresAt);
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(400, 'expiresAt must be an ISO 8601 date');
+  }
+  if (date <= new Date()) {
+    throw createHttpError(400, 'expiresAt must be in the future');
+  }
+  return date;
+}
+
+function activeKeysFilter(userId) {
+  return {
+    user_id: userId,
+    revoked_at: null,
+    $or: [{ expires_at: null }, { expires_at: { gt: new Date() } }],
+  };
+}
+
+/**
+ * Issue an API key
+ * Only a hash is stored, so the key is returned this once and can't be shown again
+ * @param {number} userId - Owner id
+ * @param {Object} input - { name, scopes, expiresAt }; expiresAt defaults to
+ *   config.apiKeys.defaultTtlDays from now, null never expires
+ * @returns {Object} { apiKey, key }
+ */
+export async function createApiKey(userId, input = {}) {
+  const name = input.name?.trim();
+  if (!name) {
+    throw createHttpError(400, 'name is required');
+  }
+  const scopes = [...new Set(input.scopes || [])];
+  if (scopes.length === 0 || scopes.some((scope) => !API_KEY_SCOPES.includes(scope))) {
+    throw createHttpError(400, `scopes must be a non-empty list of ${API_KEY_SCOPES.join(', ')}`);
+  }
+  const expiresAt = parseExpiry(input.expiresAt);
+
+  const active = await defaultPgDao.countRows('api_keys', activeKeysFilter(userId));
+  if (active >= config.apiKeys.maxPerUser) {
+    throw createHttpError(409, `API key limit reached (${config.apiKeys.maxPerUser}); revoke an unused key first`);
+  }
+
+  const { prefix, key } = generateKey();
+  const apiKey = await defaultPgDao.insertRow('api_keys', {
+    user_id: userId,
+    name,
+    prefix,
+    key_hash: hashToken(key),
+    scopes,
+    expires_at: expiresAt,
+  });
+
+  log.info('API key created', { apiKeyId: apiKey.id, prefix, scopes });
+  return { apiKey: toPublicApiKey(apiKey), key };
+}
+
+export async function listApiKeys(userId) {
+  const apiKeys = await defaultPgDao.getAllRows('api_keys', {
+    where: { user_id: userId },
+    orderBy: 'created_at DESC',
+  });
+  return apiKeys.map(toPublicApiKey);
+}
+
+async function findOwnedApiKey(userId, apiKeyId) {
+  const apiKey = await defaultPgDao.getSingleRow('api_keys', { id: parseId(apiKeyId, 'API key'), user_id: userId });
+  if (!apiKey) {
+    throw createHttpError(404, 'API key not found');
+  }
+  return apiKey;
+}
+
+export async function getApiKey(userId, apiKeyId) {
+  return toPublicApiKey(await findOwnedApiKey(userId, apiKeyId));
+}
+
+/**
+ * Revoke an API key; requests using it are rejected from now on
+ * Revoked keys stay listed so their last use can still be checked
+ * @param {number} userId - Owner id
+ * @param {string|number} apiKeyId - API key id
+ * @returns {Object} Revoked key
+ */
+export async function revokeApiKey(userId, apiKeyId) {
+  const apiKey = await findOwnedApiKey(userId, apiKeyId);
+  if (apiKey.revoked_at) {
+    return toPublicApiKey(apiKey);
+  }
+
+  const [revoked] = await defaultPgDao.updateRows('api_keys', { revoked_at: new Date() }, { id: apiKey.id });
+  log.info('API key revoked', { apiKeyId: apiKey.id, prefix: apiKey.prefix });
+  return toPublicApiKey(revoked);
+}
+
+/**
+ * Verify an API key and load its user
+ * @param {string} key - Full API key from the Authorization header
+ * @returns {Object} { user, apiKey: { id, name, prefix, scopes } }
+ */
+export async function authenticateApiKey(key) {
+  const apiKey = await defaultPgDao.getSingleRow('api_keys', { key_hash: hashToken(key) });
+  if (!apiKey) {
+    throw createHttpError(401, 'Invalid API key');
+  }
+  if (apiKey.revoked_at) {
+    throw createHttpError(401, 'API key has been revoked');
+  }
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+    throw createHttpError(401, 'API key has expired');
+  }
+
+  const user = await defaultPgDao.getSingleRow('users', { id: apiKey.user_id });
+  if (!user) {
+    throw createHttpError(401, 'User no longer exists');
+  }
+
+  const now = new Date();
+  if (!apiKey.last_used_at || now - new Date(apiKey.last_used_at) >= LAST_USED_RESOLUTION_MS) {
+    // Tracking must never fail or slow down the request it belongs to
+    defaultPgDao.updateRows('api_keys', { last_used_at: now }, { id: apiKey.id })
+      .catch((error) => log.warn('Failed to record API key use', { apiKeyId: apiKey.id, err: error }));
+  }
+
+  return {
+    user: toPublicUser(user),
+    apiKey: { id: apiKey.id, name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes },
+  };
+}
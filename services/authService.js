@@ -0,0 +1,259 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/index.js';
+import { defaultPgDao } from '../dao/index.js';
+import { createHttpError } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'auth' });
+
+const GOOGLE_AUTH_URL = 'https://accounts.google.com/o/oauth2/v2/auth';
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const GOOGLE_USERINFO_URL = 'https://openidconnect.googleapis.com/v1/userinfo';
+
+// Access tokens and OAuth states share the signing secret, so each kind carries
+// its own type and audience and is rejected where the other is expected
+const ACCESS_TOKEN = { typ: 'access', audience: 'promptdeck:api' };
+const OAUTH_STATE = { typ: 'oauth_state', audience: 'promptdeck:oauth' };
+
+function authError(message, status = 401) {
+  return createHttpError(status, message);
+}
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function verifyToken(token, { typ, audience }) {
+  const payload = jwt.verify(token, config.jwtSecret, { audience });
+  if (payload.typ !== typ) {
+    throw new Error(`expected a ${typ} token`);
+  }
+  return payload;
+}
+
+/**
+ * Build the Google consent screen URL
+ * The state parameter is a short-lived signed JWT so the callback can be
+ * verified without server-side session storage. Its nonce must also be stored
+ * in a cookie on the browser that started the sign-in, which handleGoogleCallback
+ * checks so a sign-in can't be completed in someone else's browser.
+ * @returns {Object} { url, nonce }
+ */
+export function getGoogleAuthUrl() {
+  if (!config.googleClientId || !config.googleRedirectUri) {
+    throw authError('Google OAuth is not configured', 500);
+  }
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const state = jwt.sign({ nonce, typ: OAUTH_STATE.typ }, config.jwtSecret, {
+    expiresIn: '10m',
+    audience: OAUTH_STATE.audience,
+  });
+
+  const params = new URLSearchParams({
+    client_id: config.googleClientId,
+    redirect_uri: config.googleRedirectUri,
+    response_type: 'code',
+    scope: 'openid email profile',
+    access_type: 'online',
+    prompt: 'select_account',
+    state,
+  });
+
+  return { url: `${GOOGLE_AUTH_URL}?${params.toString()}`, nonce };
+}
+
+async function exchangeCodeForProfile(code) {
+  const tokenResponse = await fetch(GOOGLE_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      code,
+      client_id: config.googleClientId,
+      client_secret: config.googleClientSecret,
+      redirect_uri: config.googleRedirectUri,
+      grant_type: 'authorization_code',
+    }),
+  });
+
+  if (!tokenResponse.ok) {
+    throw authError('Failed to exchange Google authorization code');
+  }
+
+  const { access_token: accessToken } = await tokenResponse.json();
+
+  const profileResponse = await fetch(GOOGLE_USERINFO_URL, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+
+  if (!profileResponse.ok) {
+    throw authError('Failed to fetch Google profile');
+  }
+
+  return profileResponse.json();
+}
+
+async function upsertGoogleUser(profile) {
+  const now = new Date();
+  const existing = await defaultPgDao.getSingleRow('users', { google_id: profile.sub });
+
+  if (existing) {
+    const [updated] = await defaultPgDao.updateRows('users', {
+      email: profile.email,
+      name: profile.name,
+      avatar_url: profile.picture,
+      updated_at: now,
+      last_login_at: now,
+    }, { id: existing.id });
+    return updated;
+  }
+
+  return defaultPgDao.insertRow('users', {
+    google_id: profile.sub,
+    email: profile.email,
+    name: profile.name,
+    avatar_url: profile.picture,
+    last_login_at: now,
+  });
+}
+
+async function issueTokens(user) {
+  const accessToken = jwt.sign({ sub: String(user.id), email: user.email, typ: ACCESS_TOKEN.typ }, config.jwtSecret, {
+    expiresIn: config.jwtExpiresIn,
+    audience: ACCESS_TOKEN.audience,
+  });
+
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + config.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+  await defaultPgDao.insertRow('refresh_tokens', {
+    user_id: user.id,
+    token_hash: hashToken(refreshToken),
+    expires_at: expiresAt,
+  });
+
+  return { accessToken, refreshToken, refreshTokenExpiresAt: expiresAt };
+}
+
+/**
+ * Complete the Google OAuth flow and start a session
+ * @param {string} code - Authorization code from Google
+ * @param {string} state - State parameter issued by getGoogleAuthUrl
+ * @param {string} nonce - Nonce from the cookie set when the sign-in started
+ * @returns {Object} User and session tokens
+ */
+export async function handleGoogleCallback(code, state, nonce) {
+  if (!code) {
+    throw authError('Missing authorization code', 400);
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(state, OAUTH_STATE);
+  } catch {
+    throw authError('Invalid or expired OAuth state');
+  }
+  const expected = Buffer.from(String(payload.nonce));
+  const actual = Buffer.from(nonce || '');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw authError('OAuth state does not belong to this browser');
+  }
+
+  const profile = await exchangeCodeForProfile(code);
+  if (!profile.email_verified) {
+    throw authError('Google account email is not verified', 403);
+  }
+
+  const user = await upsertGoogleUser(profile);
+  const tokens = await issueTokens(user);
+  return { user: toPublicUser(user), ...tokens };
+}
+
+/**
+ * Rotate a refresh token and issue a new access token
+ * The token is revoked in the same statement that checks it, so concurrent
+ * refreshes can't both succeed. Presenting a token that was already rotated
+ * means it leaked: every refresh token of the user is revoked.
+ * @param {string} refreshToken - Current refresh token
+ * @returns {Object} New session tokens
+ */
+export async function refreshSession(refreshToken) {
+  if (!refreshToken) {
+    throw authError('Refresh token is required', 400);
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const { rows: [stored] } = await defaultPgDao.runQuery(
+    `UPDATE refresh_tokens SET revoked_at = NOW()
+     WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     RETURNING *`,
+    [tokenHash],
+  );
+
+  if (!stored) {
+    const reused = await defaultPgDao.getSingleRow('refresh_tokens', { token_hash: tokenHash });
+    if (reused?.revoked_at) {
+      await defaultPgDao.updateRows('refresh_tokens', { revoked_at: new Date() }, {
+        user_id: reused.user_id,
+        revoked_at: null,
+      });
+      log.warn('Revoked refresh token reused, revoking all sessions of the user', { userId: reused.user_id });
+    }
+    throw authError('Invalid or expired refresh token');
+  }
+
+  const user = await defaultPgDao.getSingleRow('users', { id: stored.user_id });
+  if (!user) {
+    throw authError('User no longer exists');
+  }
+
+  return issueTokens(user);
+}
+
+/**
+ * Revoke a refresh token
+ * @param {string} refreshToken - Refresh token to revoke
+ */
+export async function logout(refreshToken) {
+  if (!refreshToken) {
+    throw authError('Refresh token is required', 400);
+  }
+
+  await defaultPgDao.updateRows('refresh_tokens', { revoked_at: new Date() }, { token_hash: hashToken(refreshToken) });
+}
+
+/**
+ * Verify an access token and load its user
+ * @param {string} accessToken - JWT access token
+ * @returns {Object} Public user object
+ */
+export async function authenticateAccessToken(accessToken) {
+  let payload;
+  try {
+    payload = verifyToken(accessToken, ACCESS_TOKEN);
+  } catch {
+    throw authError('Invalid or expired access token');
+  }
+
+  const userId = Number(payload.sub);
+  if (!Number.isInteger(userId) || userId <= 0) {
+    throw authError('Invalid or expired access token');
+  }
+
+  const user = await defaultPgDao.getSingleRow('users', { id: userId });
+  if (!user) {
+    throw authError('User no longer exists');
+  }
+
+  return toPublicUser(user);
+}
+
+export function toPublicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    avatarUrl: user.avatar_url,
+  };
+}
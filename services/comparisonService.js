@@ -0,0 +1,212 @@
+import config from '../config/index.js';
+import { defaultAIRegistry, defaultCompletionCache } from '../aiClient/index.js';
+import { defaultPgDao } from '../dao/index.js';
+import { createHttpError, parseId, toErrorBody } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { toResponseFormat } from './promptService.js';
+import { renderPrompt, toMessages } from './templateService.js';
+import { assertWithinBudget, computeCost, recordResponseUsage } from './usageService.js';
+
+const log = logger.child({ component: 'comparisons' });
+
+const PARAMETER_NAMES = ['maxTokens', 'temperature', 'topP'];
+
+function toPublicResult(result) {
+  return {
+    position: result.position,
+    label: result.label,
+    provider: result.provider,
+    model: result.model,
+    parameters: result.parameters,
+    output: result.output,
+    error: result.error,
+    latencyMs: result.latency_ms,
+    usage: {
+      promptTokens: result.prompt_tokens,
+      completionTokens: result.completion_tokens,
+      totalTokens: result.total_tokens,
+    },
+    costUsd: Number(result.cost_usd),
+  };
+}
+
+function toPublicComparison(comparison, results) {
+  const publicComparison = {
+    id: comparison.id,
+    promptId: comparison.prompt_id,
+    promptVersion: comparison.prompt_version,
+    variables: comparison.variables,
+    renderedText: comparison.rendered_text,
+    createdAt: comparison.created_at,
+  };
+  if (results) {
+    publicComparison.results = results.map(toPublicResult);
+  }
+  return publicComparison;
+}
+
+function parseConcurrency(value) {
+  if (value === undefined) return config.comparisons.concurrency;
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency <= 0) {
+    throw createHttpError(400, 'concurrency must be a positive integer');
+  }
+  return Math.min(concurrency, config.comparisons.concurrency);
+}
+
+function validateTargets(targets) {
+  if (!Array.isArray(targets) || targets.length === 0) {
+    throw createHttpError(400, 'targets must be a non-empty array');
+  }
+  if (targets.length > config.comparisons.maxTargets) {
+    throw createHttpError(400, `at most ${config.comparisons.maxTargets} targets can be compared at once`);
+  }
+
+  return targets.map((target, index) => {
+    if (!target || typeof target.model !== 'string' || target.model === '') {
+      throw createHttpError(400, `targets[${index}].model is required`);
+    }
+
+    const parameters = {};
+    for (const name of PARAMETER_NAMES) {
+      if (target[name] !== undefined) {
+        if (typeof target[name] !== 'number') {
+          throw createHttpError(400, `targets[${index}].${name} must be a number`);
+        }
+        parameters[name] = target[name];
+      }
+    }
+
+    // Resolve up front so an unconfigured provider rejects the whole request
+    const resolved = defaultAIRegistry.resolve(target.model);
+    return { ...resolved, modelString: target.model, label: target.label || target.model, parameters };
+  });
+}
+
+async function runTarget(userId, prompt, messages, target, cache) {
+  const start = Date.now();
+  try {
+    const response = await target.client.chat(messages, {
+      ...target.parameters,
+      model: target.model,
+      responseFormat: toResponseFormat(prompt),
+      cache,
+    });
+    const latencyMs = Date.now() - start;
+    const model = response.model || target.model;
+    await recordResponseUsage(userId, prompt, 'chat', { ...response, model });
+
+    return {
+      provider: response.provider,
+      model,
+      output: response.content,
+      error: null,
+      latencyMs,
+      usage: response.usage,
+      // Cache hits cost nothing upstream
+      costUsd: response.cache?.status === 'hit' ? 0 : computeCost(response.provider, model, response.usage),
+    };
+  } catch (error) {
+    log.warn('Comparison target failed', { model: target.modelString, err: error });
+    return {
+      provider: target.provider,
+      model: target.model || target.modelString,
+      output: null,
+      // Only what the API would show the caller is stored, so internal errors stay internal
+      error: toErrorBody(error).error.message,
+      latencyMs: Date.now() - start,
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+      costUsd: 0,
+    };
+  }
+}
+
+/**
+ * Run one rendered prompt against several models and store the outputs side by side
+ * A failing target is recorded with its error instead of failing the comparison
+ * @param {number} userId - Owner id
+ * @param {string|number} promptId - Prompt id
+ * @param {Object} input - { variables, targets: [{ model, label, maxTokens, temperature, topP }], concurrency, cache }
+ * @returns {Object} Stored comparison with results
+ */
+export async function createComparison(userId, promptId, input = {}) {
+  const targets = validateTargets(input.targets);
+  defaultCompletionCache.resolveMode(input.cache);
+  const concurrency = parseConcurrency(input.concurrency);
+
+  const { prompt, text, variables } = await renderPrompt(userId, promptId, input.variables);
+  await assertWithinBudget(userId);
+
+  const messages = toMessages(text);
+  const outcomes = await mapWithConcurrency(targets, concurrency, (target) => (
+    runTarget(userId, prompt, messages, target, input.cache)
+  ));
+
+  const { comparison, results } = await defaultPgDao.transaction(async (dao) => {
+    const comparison = await dao.insertRow('comparisons', {
+      user_id: userId,
+      prompt_id: prompt.id,
+      prompt_version: prompt.current_version,
+      variables: JSON.stringify(variables),
+      rendered_text: text,
+    });
+
+    const results = await dao.multiInsert('comparison_results', outcomes.map((outcome, index) => ({
+      comparison_id: comparison.id,
+      position: index,
+      label: targets[index].label,
+      provider: outcome.provider,
+      model: outcome.model,
+      parameters: JSON.stringify(targets[index].parameters),
+      output: outcome.output,
+      error: outcome.error,
+      latency_ms: outcome.latencyMs,
+      prompt_tokens: outcome.usage.promptTokens,
+      completion_tokens: outcome.usage.completionTokens,
+      total_tokens: outcome.usage.totalTokens,
+      cost_usd: outcome.costUsd,
+    })));
+
+    return { comparison, results };
+  });
+
+  return toPublicComparison(comparison, results);
+}
+
+/**
+ * List the user's comparisons, newest first
+ * @param {number} userId - Owner id
+ * @param {Object} options - { promptId }
+ * @returns {Array<Object>} Comparisons without results
+ */
+export async function listComparisons(userId, { promptId } = {}) {
+  const where = { user_id: userId };
+  if (promptId !== undefined) {
+    where.prompt_id = parseId(promptId, 'prompt');
+  }
+  const comparisons = await defaultPgDao.getAllRows('comparisons', { where, orderBy: 'created_at DESC' });
+  return comparisons.map((comparison) => toPublicComparison(comparison));
+}
+
+/**
+ * Reopen a stored comparison
+ * @param {number} userId - Owner id
+ * @param {string|number} comparisonId - Comparison id
+ * @returns {Object} Comparison with results
+ */
+export async function getComparison(userId, comparisonId) {
+  const comparison = await defaultPgDao.getSingleRow('comparisons', {
+    id: parseId(comparisonId, 'comparison'),
+    user_id: userId,
+  });
+  if (!comparison) {
+    throw createHttpError(404, 'comparison not found');
+  }
+
+  const results = await defaultPgDao.getAllRows('comparison_results', {
+    where: { comparison_id: comparison.id },
+    orderBy: 'position ASC',
+  });
+  return toPublicComparison(comparison, results);
+}
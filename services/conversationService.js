@@ -0,0 +1,401 @@
+import config from '../config/index.js';
+import { defaultAIRegistry } from '../aiClient/index.js';
+import { defaultPgDao } from '../dao/index.js';
+import { createHttpError, parseId } from '../utils/httpError.js';
+import { contextWindowFor, estimateMessageTokens, estimateTokens, fitMessages } from '../utils/contextWindow.js';
+import { parseListQuery } from '../utils/listQuery.js';
+import logger from '../utils/logger.js';
+import { renderPrompt, toMessages } from './templateService.js';
+import { assertWithinBudget, recordResponseUsage } from './usageService.js';
+
+const log = logger.child({ component: 'conversations' });
+
+const SETTING_NAMES = ['maxTokens', 'temperature', 'topP', 'contextTokens', 'summarize'];
+
+const SUMMARY_INSTRUCTIONS = 'You keep a running summary of a conversation. Merge the existing summary and the '
+  + 'new messages into one concise summary that keeps facts, decisions, names and open questions. '
+  + 'Reply with the summary only.';
+
+const CONVERSATION_LIST = {
+  fields: {
+    id: { column: 'id', type: 'integer', sort: true, filter: ['eq', 'in'] },
+    title: { column: 'title', type: 'string', sort: true, filter: ['eq', 'like', 'ilike'] },
+    promptId: { column: 'prompt_id', type: 'integer', filter: ['eq', 'in'] },
+    createdAt: { column: 'created_at', type: 'date', sort: true, filter: ['gt', 'gte', 'lt', 'lte'] },
+    updatedAt: { column: 'updated_at', type: 'date', sort: true, filter: ['gt', 'gte', 'lt', 'lte'] },
+  },
+  defaultSort: '-updatedAt',
+};
+
+const MESSAGE_LIST = {
+  fields: {
+    id: { column: 'id', type: 'integer', sort: true, filter: ['gt', 'lt'] },
+    role: { column: 'role', type: 'string', filter: ['eq', 'ne'] },
+  },
+  defaultSort: 'id',
+  defaultLimit: 50,
+  maxLimit: 200,
+};
+
+export function toPublicConversation(conversation) {
+  return {
+    id: conversation.id,
+    promptId: conversation.prompt_id,
+    promptVersion: conversation.prompt_version,
+    title: conversation.title,
+    model: conversation.model,
+    settings: conversation.settings,
+    summary: conversation.summary,
+    summarizedThrough: conversation.summarized_through,
+    createdAt: conversation.created_at,
+    updatedAt: conversation.updated_at,
+  };
+}
+
+export function toPublicMessage(message) {
+  return {
+    id: message.id,
+    role: message.role,
+    content: message.content,
+    tokens: message.token_count,
+    provider: message.provider,
+    model: message.model,
+    finishReason: message.finish_reason,
+    usage: message.role === 'assistant'
+      ? { promptTokens: message.prompt_tokens, completionTokens: message.completion_tokens }
+      : null,
+    createdAt: message.created_at,
+  };
+}
+
+/**
+ * Load a conversation row owned by the user
+ * @param {number} userId - Owner id
+ * @param {string|number} conversationId - Conversation id
+ * @returns {Object} Conversation row
+ */
+export async function findOwnedConversation(userId, conversationId) {
+  const conversation = await defaultPgDao.getSingleRow('conversations', {
+    id: parseId(conversationId, 'conversation'),
+    user_id: userId,
+  });
+  if (!conversation) {
+    throw createHttpError(404, 'conversation not found');
+  }
+  return conversation;
+}
+
+// Apply setting changes; null removes a setting so the server default applies
+function mergeSettings(current = {}, changes = {}) {
+  const merged = { ...current };
+  for (const name of SETTING_NAMES) {
+    if (changes[name] === null) delete merged[name];
+    else if (changes[name] !== undefined) merged[name] = changes[name];
+  }
+  return merged;
+}
+
+// Model name as replies send it: without its provider prefix, undefined for the provider's default
+function resolveModelName(modelString) {
+  return modelString ? defaultAIRegistry.resolve(modelString).model : undefined;
+}
+
+// Reject settings whose reply allowance leaves no room for the conversation itself
+function assertSettingsFit(settings, model) {
+  const { limitTokens, replyTokens } = contextBudget(settings, model);
+  if (replyTokens >= limitTokens) {
+    const reply = settings.maxTokens ? `maxTokens (${replyTokens})` : `the default reply size (${replyTokens} tokens)`;
+    throw createHttpError(400, `${reply} must be less than the context limit of ${limitTokens} tokens`
+      + ' (the smaller of contextTokens and the model\'s context window)');
+  }
+}
+
+function insertMessage(dao, conversationId, message) {
+  return dao.insertRow('messages', {
+    conversation_id: conversationId,
+    role: message.role,
+    content: message.content,
+    token_count: estimateTokens(message.content),
+  });
+}
+
+/**
+ * Start a conversation from a prompt
+ * The rendered prompt becomes the first user turn; call replyToConversation for the answer
+ * @param {number} userId - Owner id
+ * @param {string|number} promptId - Prompt id
+ * @param {Object} input - { variables, title, model, settings: { maxTokens, temperature, topP, contextTokens, summarize } }
+ * @returns {Object} { conversation, messages }
+ */
+export async function startConversation(userId, promptId, input = {}) {
+  const rendered = await renderPrompt(userId, promptId, input.variables);
+  // Reject an unconfigured provider or unusable settings now rather than on the first reply
+  const settings = mergeSettings({}, input.settings);
+  assertSettingsFit(settings, resolveModelName(input.model));
+
+  const { conversation, messages } = await defaultPgDao.transaction(async (dao) => {
+    const inserted = await dao.insertRow('conversations', {
+      user_id: userId,
+      prompt_id: rendered.prompt.id,
+      prompt_version: rendered.prompt.current_version,
+      title: input.title?.trim() || rendered.prompt.title,
+      model: input.model || null,
+      settings: JSON.stringify(settings),
+    });
+
+    const rows = [];
+    for (const message of toMessages(rendered.text)) {
+      rows.push(await insertMessage(dao, inserted.id, message));
+    }
+    return { conversation: inserted, messages: rows };
+  });
+
+  log.info('Conversation started', { conversationId: conversation.id, promptId: conversation.prompt_id });
+  return { conversation: toPublicConversation(conversation), messages: messages.map(toPublicMessage) };
+}
+
+/**
+ * List the user's conversations a page at a time
+ * @param {number} userId - Owner id
+ * @param {Object} query - List query (see utils/listQuery.js)
+ * @returns {Object} { items, nextCursor, prevCursor, total }
+ */
+export async function listConversations(userId, query = {}) {
+  const list = parseListQuery(query, CONVERSATION_LIST);
+  const { rows, ...page } = await defaultPgDao.getPage('conversations', {
+    ...list,
+    where: { ...list.where, user_id: userId },
+  });
+  return { items: rows.map(toPublicConversation), ...page };
+}
+
+export async function getConversation(userId, conversationId) {
+  return toPublicConversation(await findOwnedConversation(userId, conversationId));
+}
+
+/**
+ * List a conversation's messages a page at a time, oldest first by default
+ * @param {number} userId - Owner id
+ * @param {string|number} conversationId - Conversation id
+ * @param {Object} query - List query (see utils/listQuery.js)
+ * @returns {Object} { items, nextCursor, prevCursor, total }
+ */
+export async function listMessages(userId, conversationId, query = {}) {
+  const conversation = await findOwnedConversation(userId, conversationId);
+  const list = parseListQuery(query, MESSAGE_LIST);
+  const { rows, ...page } = await defaultPgDao.getPage('messages', {
+    ...list,
+    where: { ...list.where, conversation_id: conversation.id },
+  });
+  return { items: rows.map(toPublicMessage), ...page };
+}
+
+/**
+ * Rename a conversation or change its model and settings
+ * Settings are merged; a null setting falls back to the server default
+ * @param {number} userId - Owner id
+ * @param {string|number} conversationId - Conversation id
+ * @param {Object} input - { title, model, settings }
+ * @returns {Object} Updated conversation
+ */
+export async function updateConversation(userId, conversationId, input = {}) {
+  const conversation = await findOwnedConversation(userId, conversationId);
+  const data = {};
+
+  if (input.title !== undefined) {
+    if (typeof input.title !== 'string' || input.title.trim() === '') {
+      throw createHttpError(400, 'title must be a non-empty string');
+    }
+    data.title = input.title.trim();
+  }
+  if (input.model !== undefined || input.settings !== undefined) {
+    const model = input.model === undefined ? conversation.model : input.model || null;
+    const settings = mergeSettings(conversation.settings, input.settings);
+    assertSettingsFit(settings, resolveModelName(model));
+
+    if (input.model !== undefined) data.model = model;
+    if (input.settings !== undefined) data.settings = JSON.stringify(settings);
+  }
+
+  const [updated] = await defaultPgDao.updateRows('conversations', { ...data, updated_at: new Date() }, {
+    id: conversation.id,
+  });
+  return toPublicConversation(updated);
+}
+
+export async function deleteConversation(userId, conversationId) {
+  const conversation = await findOwnedConversation(userId, conversationId);
+  await defaultPgDao.deleteRows('conversations', { id: conversation.id });
+}
+
+/**
+ * Messages that may still be sent: system messages plus the turns not folded
+ * into the summary yet
+ */
+async function loadActiveMessages(conversation) {
+  const where = { conversation_id: conversation.id };
+  if (conversation.summarized_through) {
+    where.$or = [{ role: 'system' }, { id: { gt: conversation.summarized_through } }];
+  }
+  return defaultPgDao.getAllRows('messages', { where, orderBy: 'id' });
+}
+
+function summaryMessage(summary) {
+  return summary ? { role: 'system', content: `Summary of the earlier conversation:\n${summary}` } : null;
+}
+
+/**
+ * Fold turns that fell out of the context window into the running summary
+ * @returns {string} New summary
+ */
+async function summarize(userId, conversation, dropped, { client, model, budgetTokens, signal }) {
+  const transcript = dropped.map((message) => `${message.role}: ${message.content}`).join('\n\n');
+  // Keep the summarization request itself inside the budget; the newest turns matter most
+  const maxChars = Math.max(0, budgetTokens - estimateTokens(conversation.summary) - config.conversations.summaryMaxTokens) * 4;
+
+  const response = await client.chat([
+    { role: 'system', content: SUMMARY_INSTRUCTIONS },
+    {
+      role: 'user',
+      content: `Existing summary:\n${conversation.summary || '(none)'}\n\nNew messages:\n${transcript.slice(-maxChars)}`,
+    },
+  ], { model, maxTokens: config.conversations.summaryMaxTokens, temperature: 0, signal });
+
+  await recordResponseUsage(userId, { id: conversation.prompt_id }, 'summarize', response);
+  return response.content.trim();
+}
+
+/**
+ * Token budget for the messages of the next reply: the model's context window,
+ * capped by the conversation or server limit, minus room for the reply
+ */
+function contextBudget(settings, model) {
+  const contextWindow = contextWindowFor(model, config.conversations.defaultContextWindow);
+  const replyTokens = settings.maxTokens || config.conversations.replyTokens;
+  const limitTokens = Math.min(contextWindow, settings.contextTokens || config.conversations.maxContextTokens);
+  return { contextWindow, limitTokens, replyTokens, budgetTokens: limitTokens - replyTokens };
+}
+
+function assertFits(system, message, budgetTokens) {
+  const tokens = [...system, message].reduce((sum, item) => sum + estimateMessageTokens(item), 0);
+  if (tokens > budgetTokens) {
+    throw createHttpError(400, `message is too long for the context window (about ${tokens} tokens, budget ${budgetTokens})`);
+  }
+}
+
+/**
+ * Choose the messages for the next reply
+ * The newest turns that fit the token budget are sent as-is. Older turns are
+ * folded into a running summary when summarization is on, and dropped otherwise.
+ * @returns {Object} { conversation, messages, context }
+ */
+async function buildContext(userId, conversation, rows, { client, model, budget, signal }) {
+  const settings = conversation.settings || {};
+  const system = rows.filter((row) => row.role === 'system');
+  const turns = rows.filter((row) => row.role !== 'system');
+
+  let current = conversation;
+  let fitted = fitMessages([...system, summaryMessage(current.summary)].filter(Boolean), turns, budget.budgetTokens);
+  let summarized = false;
+
+  if (fitted.dropped.length > 0 && (settings.summarize ?? config.conversations.summarize)) {
+    // Fold turns until half the budget is free, so the next replies fit without another summary
+    const target = fitMessages([...system, summaryMessage(current.summary)].filter(Boolean), turns, Math.floor(budget.budgetTokens / 2));
+    const folded = target.kept.length > 0 ? target.dropped : fitted.dropped;
+    try {
+      const summary = await summarize(userId, current, folded, { client, model, signal, ...budget });
+      [current] = await defaultPgDao.updateRows('conversations', {
+        summary,
+        summarized_through: folded[folded.length - 1].id,
+      }, { id: conversation.id });
+      summarized = true;
+      // The summary takes room too; turns it pushes out are summarized next time
+      fitted = fitMessages([...system, summaryMessage(summary)], turns.slice(folded.length), budget.budgetTokens);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      log.warn('Conversation summary failed, truncating instead', { conversationId: conversation.id, err: error });
+    }
+  }
+
+  const pinned = [...system, summaryMessage(current.summary)].filter(Boolean);
+  return {
+    conversation: current,
+    messages: [...pinned, ...fitted.kept].map(({ role, content }) => ({ role, content })),
+    context: {
+      ...budget,
+      tokens: fitted.tokens,
+      sentMessages: fitted.kept.length,
+      // Turns not yet folded into the summary that were left out of this request
+      droppedMessages: turns.length - fitted.kept.length,
+      summarized,
+    },
+  };
+}
+
+/**
+ * Generate the assistant's next reply, optionally appending a user turn first
+ * The user turn is saved before the model is called, so a failed or aborted
+ * reply can be retried without resending it
+ * @param {number} userId - Owner id
+ * @param {string|number} conversationId - Conversation id
+ * @param {Object} input - { content } user message; omit to answer the pending user turn
+ * @param {Object} handlers - Optional stream handlers
+ * @param {Function} handlers.onStart - Called with { provider, model, context, userMessage } before the model is called
+ * @param {Function} handlers.onToken - Called with each content delta; streams the reply when set
+ * @param {AbortSignal} handlers.signal - Aborts the upstream request
+ * @returns {Object} { userMessage, message, context }
+ */
+export async function replyToConversation(userId, conversationId, input = {}, { onStart, onToken, signal } = {}) {
+  let conversation = await findOwnedConversation(userId, conversationId);
+  const { client, provider, model } = defaultAIRegistry.resolve(conversation.model || undefined);
+  await assertWithinBudget(userId);
+
+  const rows = await loadActiveMessages(conversation);
+  const system = rows.filter((row) => row.role === 'system');
+  const budget = contextBudget(conversation.settings || {}, model);
+
+  let userMessage = null;
+  if (input.content !== undefined) {
+    const message = { role: 'user', content: input.content };
+    assertFits(system, message, budget.budgetTokens);
+    userMessage = await insertMessage(defaultPgDao, conversation.id, message);
+    rows.push(userMessage);
+  }
+
+  const last = rows.filter((row) => row.role !== 'system').pop();
+  if (last?.role !== 'user') {
+    throw createHttpError(409, 'conversation has no user message waiting for a reply');
+  }
+  // Settings may have shrunk the budget since the message was saved
+  assertFits(system, last, budget.budgetTokens);
+
+  const built = await buildContext(userId, conversation, rows, { client, model, budget, signal });
+  conversation = built.conversation;
+  onStart?.({ provider, model, context: built.context, userMessage: userMessage && toPublicMessage(userMessage) });
+
+  const { maxTokens, temperature, topP } = conversation.settings || {};
+  const options = { model, maxTokens, temperature, topP, signal };
+  const response = onToken
+    ? await client.stream(built.messages, options, (delta) => onToken(delta))
+    : await client.chat(built.messages, options);
+
+  const message = await defaultPgDao.insertRow('messages', {
+    conversation_id: conversation.id,
+    role: 'assistant',
+    content: response.content,
+    token_count: response.usage.completionTokens || estimateTokens(response.content),
+    provider: response.provider,
+    model: response.model || model,
+    finish_reason: response.finishReason,
+    prompt_tokens: response.usage.promptTokens,
+    completion_tokens: response.usage.completionTokens,
+  });
+  await defaultPgDao.updateRows('conversations', { updated_at: new Date() }, { id: conversation.id });
+  await recordResponseUsage(userId, { id: conversation.prompt_id }, onToken ? 'stream' : 'chat', response);
+
+  return {
+    userMessage: userMessage && toPublicMessage(userMessage),
+    message: toPublicMessage(message),
+    context: built.context,
+  };
+}
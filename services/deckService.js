@@ -0,0 +1,127 @@
+import { defaultPgDao } from '../dao/index.js';
+import { createHttpError, parseId } from '../utils/httpError.js';
+import { parseListQuery } from '../utils/listQuery.js';
+
+const DECK_LIST = {
+  fields: {
+    id: { column: 'id', type: 'integer', sort: true, filter: ['eq', 'in'] },
+    name: { column: 'name', type: 'string', sort: true, filter: ['eq', 'like', 'ilike'] },
+    createdAt: { column: 'created_at', type: 'date', sort: true, filter: ['gt', 'gte', 'lt', 'lte'] },
+    updatedAt: { column: 'updated_at', type: 'date', sort: true, filter: ['gt', 'gte', 'lt', 'lte'] },
+  },
+  defaultSort: '-createdAt',
+};
+
+export function toPublicDeck(deck) {
+  return {
+    id: deck.id,
+    name: deck.name,
+    description: deck.description,
+    createdAt: deck.created_at,
+    updatedAt: deck.updated_at,
+  };
+}
+
+/**
+ * Load a deck row owned by the user
+ * @param {number} userId - Owner id
+ * @param {string|number} deckId - Deck id
+ * @returns {Object} Deck row
+ */
+export async function findOwnedDeck(userId, deckId) {
+  const deck = await defaultPgDao.getSingleRow('decks', { id: parseId(deckId, 'deck'), user_id: userId });
+  if (!deck) {
+    throw createHttpError(404, 'deck not found');
+  }
+  return deck;
+}
+
+function validateDeckInput(input, { partial = false } = {}) {
+  const data = {};
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || input.name.trim() === '') {
+      throw createHttpError(400, 'name is required');
+    }
+    data.name = input.name.trim();
+  }
+
+  if (input.description !== undefined) {
+    if (input.description !== null && typeof input.description !== 'string') {
+      throw createHttpError(400, 'description must be a string');
+    }
+    data.description = input.description;
+  }
+
+  return data;
+}
+
+/**
+ * List the user's decks a page at a time
+ * @param {number} userId - Owner id
+ * @param {Object} query - List query (see utils/listQuery.js)
+ * @returns {Object} { items, nextCursor, prevCursor, total }
+ */
+export async function listDecks(userId, query = {}) {
+  const list = parseListQuery(query, DECK_LIST);
+  const { rows, ...page } = await defaultPgDao.getPage('decks', { ...list, where: { ...list.where, user_id: userId } });
+  return { items: rows.map(toPublicDeck), ...page };
+}
+
+export async function getDeck(userId, deckId) {
+  return toPublicDeck(await findOwnedDeck(userId, deckId));
+}
+
+export async function createDeck(userId, input = {}) {
+  const data = validateDeckInput(input);
+  const deck = await defaultPgDao.insertRow('decks', { ...data, user_id: userId });
+  return toPublicDeck(deck);
+}
+
+export async function updateDeck(userId, deckId, input = {}) {
+  const deck = await findOwnedDeck(userId, deckId);
+  const data = validateDeckInput(input, { partial: true });
+  const [updated] = await defaultPgDao.updateRows('decks', { ...data, updated_at: new Date() }, { id: deck.id });
+  return toPublicDeck(updated);
+}
+
+export async function deleteDeck(userId, deckId) {
+  const deck = await findOwnedDeck(userId, deckId);
+  await defaultPgDao.deleteRows('decks', { id: deck.id });
+}
+
+/**
+ * Reorder the prompts within a deck
+ * @param {number} userId - Owner id
+ * @param {string|number} deckId - Deck id
+ * @param {Array<number>} promptIds - Every prompt id in the deck, in the new order
+ * @returns {Array<number>} Prompt ids in their new order
+ */
+export async function reorderDeckPrompts(userId, deckId, promptIds) {
+  const deck = await findOwnedDeck(userId, deckId);
+
+  if (!Array.isArray(promptIds) || promptIds.length === 0) {
+    throw createHttpError(400, 'promptIds must be a non-empty array');
+  }
+
+  const requested = new Set(promptIds.map(Number));
+
+  // The deck's prompts stay locked from the check to the update, so a prompt moved
+  // or deleted meanwhile can't slip past the "every prompt exactly once" check
+  await defaultPgDao.transaction(async (dao) => {
+    const { rows } = await dao.runQuery('SELECT id FROM prompts WHERE deck_id = $1 FOR UPDATE', [deck.id]);
+    const existing = new Set(rows.map((prompt) => prompt.id));
+
+    if (requested.size !== promptIds.length || requested.size !== existing.size
+      || [...requested].some((id) => !existing.has(id))) {
+      throw createHttpError(400, 'promptIds must list every prompt in the deck exactly once');
+    }
+
+    await dao.multiUpdate('prompts', promptIds.map((id, index) => ({
+      data: { position: index },
+      where: { id: Number(id), deck_id: deck.id },
+    })), ['id']);
+  });
+
+  return promptIds.map(Number);
+}
@@ -0,0 +1,294 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { defaultAIRegistry } from '../aiClient/index.js';
+import { defaultPgDao } from '../dao/index.js';
+import { createHttpError, parseId } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+import { findOwnedPrompt, toPublicPrompt } from './promptService.js';
+import { assertWithinBudget, recordResponseUsage } from './usageService.js';
+
+const log = logger.child({ component: 'embeddings' });
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const BACKFILL_BATCH_SIZE = 100;
+
+function promptText(prompt) {
+  return `${prompt.title}\n\n${prompt.content}`;
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function toVectorLiteral(embedding) {
+  return `[${embedding.join(',')}]`;
+}
+
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function parseLimit(limit) {
+  if (limit === undefined) return DEFAULT_LIMIT;
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw createHttpError(400, 'limit must be a positive integer');
+  }
+  return Math.min(value, MAX_LIMIT);
+}
+
+/**
+ * Check whether the pgvector column exists
+ * @returns {boolean} True when nearest-neighbour search can run in Postgres
+ */
+async function hasVectorSupport() {
+  const columns = await defaultPgDao.getColumnNames('prompt_embeddings');
+  return columns.has('embedding_vector');
+}
+
+/**
+ * Resolve EMBEDDING_MODEL to a client that can embed
+ * @returns {Object} { client, provider, model }
+ */
+function resolveEmbeddingModel() {
+  const resolved = defaultAIRegistry.resolve(config.embeddings.model);
+  if (!resolved.client.capabilities.embeddings) {
+    throw createHttpError(503, `Embeddings are unavailable: the ${resolved.provider} provider does not offer them`);
+  }
+  return resolved;
+}
+
+async function embedText(userId, text, prompt = null) {
+  const { client, model } = resolveEmbeddingModel();
+  const response = await client.embed(text, { model, cache: 'use' });
+  await recordResponseUsage(userId, prompt, 'embedding', { ...response, model: response.model || model });
+
+  return { embedding: response.embeddings[0], model: config.embeddings.model };
+}
+
+/**
+ * Embed a prompt and store its vector, skipping unchanged text
+ * Embeddings run in the background, so a slow one can finish after the embedding
+ * of a newer save: the vector is only stored while the prompt still holds the
+ * text it was computed from, checked against the row inside the statement.
+ * @param {Object} prompt - Prompt row
+ * @returns {Array<number>} Embedding of the given prompt text
+ */
+export async function embedPrompt(prompt) {
+  const text = promptText(prompt);
+  const contentHash = hashText(text);
+
+  const existing = await defaultPgDao.getSingleRow('prompt_embeddings', { prompt_id: prompt.id });
+  if (existing && existing.content_hash === contentHash && existing.model === config.embeddings.model) {
+    return existing.embedding;
+  }
+
+  const { embedding, model } = await embedText(prompt.user_id, text, prompt);
+  const useVector = await hasVectorSupport();
+
+  // Same text as promptText(), hashed by Postgres
+  const result = await defaultPgDao.runQuery(
+    `INSERT INTO prompt_embeddings (prompt_id, model, content_hash, embedding${useVector ? ', embedding_vector' : ''})
+     SELECT p.id, $2, $3, $4${useVector ? ', $5::vector' : ''}
+     FROM prompts p
+     WHERE p.id = $1
+       AND encode(sha256(convert_to(p.title || E'\\n\\n' || p.content, 'UTF8')), 'hex') = $3
+     ON CONFLICT (prompt_id) DO UPDATE
+     SET model = EXCLUDED.model,
+         content_hash = EXCLUDED.content_hash,
+         embedding = EXCLUDED.embedding,
+         ${useVector ? 'embedding_vector = EXCLUDED.embedding_vector,' : ''}
+         updated_at = NOW()`,
+    useVector
+      ? [prompt.id, model, contentHash, embedding, toVectorLiteral(embedding)]
+      : [prompt.id, model, contentHash, embedding]
+  );
+  if (result.rowCount === 0) {
+    log.debug('Prompt changed while it was embedded, discarding the stale vector', { promptId: prompt.id });
+  }
+
+  return embedding;
+}
+
+/**
+ * Embed a prompt in the background
+ * Saving a prompt must not fail or wait because the embeddings provider is slow or down
+ * @param {Object} prompt - Prompt row
+ */
+export function scheduleEmbedding(prompt) {
+  embedPrompt(prompt).catch((error) => {
+    log.error('Failed to embed prompt', { promptId: prompt.id, err: error });
+  });
+}
+
+let backfillRunning = false;
+let backfillStopped = false;
+
+/**
+ * Embed every prompt without an embedding of the configured model: prompts
+ * saved before embeddings existed, or before the model changed
+ * Prompts are embedded one at a time; a prompt that fails is logged and skipped.
+ * @returns {Object} { embedded, failed }
+ */
+export async function backfillEmbeddings() {
+  let embedded = 0;
+  let failed = 0;
+  let lastId = 0;
+
+  while (!backfillStopped) {
+    const { rows } = await defaultPgDao.runQuery(
+      `SELECT p.* FROM prompts p
+       LEFT JOIN prompt_embeddings e ON e.prompt_id = p.id AND e.model = $1
+       WHERE e.prompt_id IS NULL AND p.id > $2
+       ORDER BY p.id
+       LIMIT $3`,
+      [config.embeddings.model, lastId, BACKFILL_BATCH_SIZE]
+    );
+
+    for (const prompt of rows) {
+      if (backfillStopped) break;
+      lastId = prompt.id;
+      try {
+        await embedPrompt(prompt);
+        embedded += 1;
+      } catch (error) {
+        // Not configured, no embeddings API or circuit open: every other prompt would fail the same way
+        if (error.status === 503) {
+          log.warn('Embeddings provider unavailable, stopping the backfill', { err: error });
+          return { embedded, failed };
+        }
+        failed += 1;
+        log.warn('Failed to backfill prompt embedding', { promptId: prompt.id, err: error });
+      }
+    }
+    if (rows.length < BACKFILL_BATCH_SIZE) break;
+  }
+
+  if (embedded > 0 || failed > 0) {
+    log.info('Backfilled prompt embeddings', { embedded, failed });
+  }
+  return { embedded, failed };
+}
+
+/**
+ * Run the backfill once in the background
+ * The server serves requests meanwhile; stopEmbeddingBackfill ends it after the current prompt.
+ */
+export function startEmbeddingBackfill() {
+  if (backfillRunning || !config.embeddings.backfillOnStart) {
+    return;
+  }
+  backfillRunning = true;
+  backfillStopped = false;
+  backfillEmbeddings()
+    .catch((error) => log.error('Backfilling prompt embeddings failed', { err: error }))
+    .finally(() => {
+      backfillRunning = false;
+    });
+}
+
+export function stopEmbeddingBackfill() {
+  backfillStopped = true;
+}
+
+async function nearestPrompts(userId, embedding, { limit, excludeId = null, deckId }) {
+  const model = config.embeddings.model;
+
+  if (await hasVectorSupport()) {
+    const params = [toVectorLiteral(embedding), userId, model, limit];
+    let filters = '';
+    if (excludeId) {
+      params.push(excludeId);
+      filters += ` AND p.id <> $${params.length}`;
+    }
+    if (deckId !== undefined) {
+      params.push(deckId);
+      filters += ` AND p.deck_id = $${params.length}`;
+    }
+
+    const result = await defaultPgDao.runQuery(
+      `SELECT p.*, 1 - (e.embedding_vector <=> $1::vector) AS similarity
+       FROM prompts p
+       JOIN prompt_embeddings e ON e.prompt_id = p.id
+       WHERE p.user_id = $2 AND e.model = $3 AND e.embedding_vector IS NOT NULL${filters}
+       ORDER BY e.embedding_vector <=> $1::vector
+       LIMIT $4`,
+      params
+    );
+    return result.rows.map((row) => ({ prompt: row, similarity: Number(row.similarity) }));
+  }
+
+  // Fallback: score every stored embedding of the user's prompts in JS
+  const where = { user_id: userId };
+  if (deckId !== undefined) where.deck_id = deckId;
+  if (excludeId) where.id = { ne: excludeId };
+
+  const prompts = await defaultPgDao.getAllRows('prompts', { where });
+  if (prompts.length === 0) return [];
+
+  const embeddings = await defaultPgDao.getAllRows('prompt_embeddings', {
+    where: { prompt_id: { in: prompts.map((prompt) => prompt.id) }, model },
+    select: ['prompt_id', 'embedding'],
+  });
+  const byId = new Map(prompts.map((prompt) => [prompt.id, prompt]));
+
+  return embeddings
+    .map((row) => ({ prompt: byId.get(row.prompt_id), similarity: cosineSimilarity(embedding, row.embedding) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+function toSearchResult({ prompt, similarity }) {
+  return { prompt: toPublicPrompt(prompt), similarity: Math.round(similarity * 10000) / 10000 };
+}
+
+/**
+ * Semantic search over the user's prompts
+ * @param {number} userId - Owner id
+ * @param {string} query - Search text
+ * @param {Object} options - { limit, deckId }
+ * @returns {Array<Object>} { prompt, similarity } sorted by similarity
+ */
+export async function searchPrompts(userId, query, { limit, deckId } = {}) {
+  if (typeof query !== 'string' || query.trim() === '') {
+    throw createHttpError(400, 'q is required');
+  }
+
+  await assertWithinBudget(userId);
+  const { embedding } = await embedText(userId, query.trim());
+  const results = await nearestPrompts(userId, embedding, {
+    limit: parseLimit(limit),
+    deckId: deckId === undefined ? undefined : parseId(deckId, 'deck'),
+  });
+  return results.map(toSearchResult);
+}
+
+/**
+ * Find prompts similar to a given prompt across all of the user's decks
+ * @param {number} userId - Owner id
+ * @param {string|number} promptId - Prompt id
+ * @param {Object} options - { limit, minSimilarity }
+ * @returns {Array<Object>} { prompt, similarity } sorted by similarity
+ */
+export async function findSimilarPrompts(userId, promptId, { limit, minSimilarity } = {}) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+  const threshold = minSimilarity === undefined ? 0 : Number(minSimilarity);
+  if (Number.isNaN(threshold) || threshold < -1 || threshold > 1) {
+    throw createHttpError(400, 'minSimilarity must be between -1 and 1');
+  }
+
+  await assertWithinBudget(userId);
+  const embedding = await embedPrompt(prompt);
+  const results = await nearestPrompts(userId, embedding, { limit: parseLimit(limit), excludeId: prompt.id });
+  return results.filter((result) => result.similarity >= threshold).map(toSearchResult);
+}
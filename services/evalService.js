@@ -0,0 +1,351 @@
+import config from '../config/index.js';
+import { defaultAIRegistry, defaultCompletionCache } from '../aiClient/index.js';
+import { defaultPgDao } from '../dao/index.js';
+import { createHttpError, parseId, toErrorBody } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { renderTemplate } from '../utils/template.js';
+import { evaluateAssertion, validateAssertions } from '../utils/assertions.js';
+import { findOwnedPrompt, toResponseFormat } from './promptService.js';
+import { toMessages } from './templateService.js';
+import { assertWithinBudget, recordResponseUsage } from './usageService.js';
+
+const log = logger.child({ component: 'evals' });
+
+const JUDGE_INSTRUCTIONS = `You are grading the output of a language model against a rubric.
+Reply with only a JSON object: {"score": <number between 0 and 1>, "reason": "<one sentence>"}.`;
+
+export function toPublicCase(evalCase) {
+  return {
+    id: evalCase.id,
+    promptId: evalCase.prompt_id,
+    name: evalCase.name,
+    variables: evalCase.variables,
+    assertions: evalCase.assertions,
+    createdAt: evalCase.created_at,
+    updatedAt: evalCase.updated_at,
+  };
+}
+
+function toPublicRun(run) {
+  return {
+    id: run.id,
+    promptId: run.prompt_id,
+    promptVersion: run.prompt_version,
+    provider: run.provider,
+    model: run.model,
+    totalCases: run.total_cases,
+    passedCases: run.passed_cases,
+    passRate: Number(run.pass_rate),
+    createdAt: run.created_at,
+  };
+}
+
+function toPublicResult(result) {
+  return {
+    caseId: result.case_id,
+    caseName: result.case_name,
+    passed: result.passed,
+    output: result.output,
+    error: result.error,
+    assertions: result.assertions,
+    latencyMs: result.latency_ms,
+  };
+}
+
+function validateCaseInput(input, { partial = false } = {}) {
+  const data = {};
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || input.name.trim() === '') {
+      throw createHttpError(400, 'name is required');
+    }
+    data.name = input.name.trim();
+  }
+
+  if (input.variables !== undefined || !partial) {
+    const variables = input.variables ?? {};
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+      throw createHttpError(400, 'variables must be an object');
+    }
+    data.variables = JSON.stringify(variables);
+  }
+
+  if (input.assertions !== undefined || !partial) {
+    data.assertions = JSON.stringify(validateAssertions(input.assertions));
+  }
+
+  return data;
+}
+
+async function findOwnedCase(userId, promptId, caseId) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+  const evalCase = await defaultPgDao.getSingleRow('eval_cases', {
+    id: parseId(caseId, 'test case'),
+    prompt_id: prompt.id,
+  });
+  if (!evalCase) {
+    throw createHttpError(404, 'test case not found');
+  }
+  return evalCase;
+}
+
+export async function listCases(userId, promptId) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+  const cases = await defaultPgDao.getAllRows('eval_cases', { where: { prompt_id: prompt.id }, orderBy: 'id ASC' });
+  return cases.map(toPublicCase);
+}
+
+export async function createCase(userId, promptId, input = {}) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+  const data = validateCaseInput(input);
+  return toPublicCase(await defaultPgDao.insertRow('eval_cases', { ...data, prompt_id: prompt.id }));
+}
+
+export async function updateCase(userId, promptId, caseId, input = {}) {
+  const evalCase = await findOwnedCase(userId, promptId, caseId);
+  const data = validateCaseInput(input, { partial: true });
+  const [updated] = await defaultPgDao.updateRows('eval_cases', { ...data, updated_at: new Date() }, { id: evalCase.id });
+  return toPublicCase(updated);
+}
+
+export async function deleteCase(userId, promptId, caseId) {
+  const evalCase = await findOwnedCase(userId, promptId, caseId);
+  await defaultPgDao.deleteRows('eval_cases', { id: evalCase.id });
+}
+
+/**
+ * Parse the judge's verdict, tolerating prose around the JSON object
+ * @param {string} content - Judge reply
+ * @returns {Object} { score, reason }
+ */
+function parseVerdict(content) {
+  const match = /\{[\s\S]*\}/.exec(content || '');
+  try {
+    const verdict = JSON.parse(match?.[0]);
+    const score = Number(verdict.score);
+    if (!Number.isNaN(score)) {
+      return { score: Math.min(Math.max(score, 0), 1), reason: verdict.reason };
+    }
+  } catch {
+    // fall through
+  }
+  return { score: 0, reason: 'judge returned an unreadable verdict' };
+}
+
+function createJudge(userId, prompt, renderedText) {
+  return async (assertion, output) => {
+    const { client, model } = defaultAIRegistry.resolve(assertion.model || config.evals.judgeModel);
+    const response = await client.chat([
+      { role: 'system', content: JUDGE_INSTRUCTIONS },
+      {
+        role: 'user',
+        content: `Rubric:\n${assertion.rubric}\n\nPrompt:\n${renderedText}\n\nOutput:\n${output}`,
+      },
+    ], { model, temperature: 0 });
+
+    await recordResponseUsage(userId, prompt, 'judge', response);
+    return parseVerdict(response.content);
+  };
+}
+
+async function runCase(userId, prompt, evalCase, { client, model, cache }) {
+  const start = Date.now();
+  let output = null;
+
+  try {
+    const { text } = renderTemplate(prompt.content, evalCase.variables);
+    // Output that breaks the prompt's schema fails the case with an ai_invalid_output error
+    const response = await client.chat(toMessages(text), { model, cache, responseFormat: toResponseFormat(prompt) });
+    const latencyMs = Date.now() - start;
+    output = response.content;
+    await recordResponseUsage(userId, prompt, 'eval', response);
+
+    // Assertions run in order so judge calls for one case are not fanned out
+    const judge = createJudge(userId, prompt, text);
+    const assertions = [];
+    for (const assertion of evalCase.assertions) {
+      assertions.push(await evaluateAssertion(assertion, output, { judge }));
+    }
+
+    return {
+      evalCase,
+      passed: assertions.every((assertion) => assertion.passed),
+      output,
+      error: null,
+      assertions,
+      latencyMs,
+    };
+  } catch (error) {
+    log.warn('Eval case failed', { caseId: evalCase.id, err: error });
+    // Only what the API would show the caller is stored, so internal errors stay internal
+    const { message } = toErrorBody(error).error;
+    return { evalCase, passed: false, output, error: message, assertions: [], latencyMs: Date.now() - start };
+  }
+}
+
+async function findLatestRun(promptId, where = {}) {
+  const [run] = await defaultPgDao.getAllRows('eval_runs', {
+    where: { prompt_id: promptId, ...where },
+    orderBy: 'prompt_version DESC, created_at DESC',
+    limit: 1,
+  });
+  return run || null;
+}
+
+/**
+ * Compare two runs case by case
+ * Cases are matched by id; cases added or deleted between runs are ignored
+ * @param {Object} baseRun - Earlier run row
+ * @param {Object} targetRun - Later run row
+ * @returns {Object} Pass rates, delta and the cases that regressed or got fixed
+ */
+async function compareRuns(baseRun, targetRun) {
+  const [baseResults, targetResults] = await Promise.all([
+    defaultPgDao.getAllRows('eval_results', { where: { run_id: baseRun.id } }),
+    defaultPgDao.getAllRows('eval_results', { where: { run_id: targetRun.id } }),
+  ]);
+  const baseByCase = new Map(baseResults.filter((result) => result.case_id).map((result) => [result.case_id, result]));
+
+  const regressed = [];
+  const fixed = [];
+  for (const result of targetResults) {
+    const before = baseByCase.get(result.case_id);
+    if (!before || before.passed === result.passed) continue;
+    (result.passed ? fixed : regressed).push({ caseId: result.case_id, caseName: result.case_name });
+  }
+
+  const basePassRate = Number(baseRun.pass_rate);
+  const targetPassRate = Number(targetRun.pass_rate);
+  return {
+    from: toPublicRun(baseRun),
+    to: toPublicRun(targetRun),
+    passRateDelta: Math.round((targetPassRate - basePassRate) * 10000) / 10000,
+    regression: targetPassRate < basePassRate || regressed.length > 0,
+    regressed,
+    fixed,
+  };
+}
+
+/**
+ * Run every test case of a prompt against its current version
+ * The run is compared with the latest run of an earlier version to flag regressions
+ * @param {number} userId - Owner id
+ * @param {string|number} promptId - Prompt id
+ * @param {Object} input - { model, concurrency, cache }; model may be "provider:model"
+ * @returns {Object} { run, results, comparison }
+ */
+export async function runEvaluation(userId, promptId, input = {}) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+  const cases = await defaultPgDao.getAllRows('eval_cases', { where: { prompt_id: prompt.id }, orderBy: 'id ASC' });
+  if (cases.length === 0) {
+    throw createHttpError(400, 'prompt has no test cases');
+  }
+  if (cases.length > config.evals.maxCases) {
+    throw createHttpError(400, `at most ${config.evals.maxCases} test cases can be run at once`);
+  }
+
+  defaultCompletionCache.resolveMode(input.cache);
+  const concurrency = parseConcurrency(input.concurrency);
+  const { client, provider, model } = defaultAIRegistry.resolve(input.model);
+  await assertWithinBudget(userId);
+
+  const outcomes = await mapWithConcurrency(cases, concurrency, (evalCase) => (
+    runCase(userId, prompt, evalCase, { client, model, cache: input.cache })
+  ));
+  const passedCases = outcomes.filter((outcome) => outcome.passed).length;
+
+  const { run, results } = await defaultPgDao.transaction(async (dao) => {
+    const run = await dao.insertRow('eval_runs', {
+      prompt_id: prompt.id,
+      prompt_version: prompt.current_version,
+      user_id: userId,
+      provider,
+      model: model || null,
+      total_cases: outcomes.length,
+      passed_cases: passedCases,
+      pass_rate: passedCases / outcomes.length,
+    });
+
+    const results = await dao.multiInsert('eval_results', outcomes.map((outcome) => ({
+      run_id: run.id,
+      case_id: outcome.evalCase.id,
+      case_name: outcome.evalCase.name,
+      passed: outcome.passed,
+      output: outcome.output,
+      error: outcome.error,
+      assertions: JSON.stringify(outcome.assertions),
+      latency_ms: outcome.latencyMs,
+    })));
+
+    return { run, results };
+  });
+
+  const previousRun = await findLatestRun(prompt.id, { prompt_version: { lt: prompt.current_version } });
+
+  return {
+    run: toPublicRun(run),
+    results: results.map(toPublicResult),
+    comparison: previousRun ? await compareRuns(previousRun, run) : null,
+  };
+}
+
+export async function listRuns(userId, promptId) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+  const runs = await defaultPgDao.getAllRows('eval_runs', { where: { prompt_id: prompt.id }, orderBy: 'created_at DESC' });
+  return runs.map(toPublicRun);
+}
+
+export async function getRun(userId, promptId, runId) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+  const run = await defaultPgDao.getSingleRow('eval_runs', { id: parseId(runId, 'eval run'), prompt_id: prompt.id });
+  if (!run) {
+    throw createHttpError(404, 'eval run not found');
+  }
+
+  const results = await defaultPgDao.getAllRows('eval_results', { where: { run_id: run.id }, orderBy: 'id ASC' });
+  return { run: toPublicRun(run), results: results.map(toPublicResult) };
+}
+
+function parseConcurrency(value) {
+  if (value === undefined) return config.evals.concurrency;
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency <= 0) {
+    throw createHttpError(400, 'concurrency must be a positive integer');
+  }
+  return Math.min(concurrency, config.evals.concurrency);
+}
+
+function parseVersion(value, name) {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version <= 0) {
+    throw createHttpError(400, `${name} must be a positive integer`);
+  }
+  return version;
+}
+
+/**
+ * Report pass rate changes between the latest runs of two versions
+ * @param {number} userId - Owner id
+ * @param {string|number} promptId - Prompt id
+ * @param {Object} options - { from, to }; to defaults to the latest evaluated version,
+ *   from to the latest evaluated version before it
+ * @returns {Object} Pass rates, delta and the cases that regressed or got fixed
+ */
+export async function getRegressionReport(userId, promptId, { from, to } = {}) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+
+  const targetRun = await findLatestRun(prompt.id, to === undefined ? {} : { prompt_version: parseVersion(to, 'to') });
+  if (!targetRun) {
+    throw createHttpError(404, 'no eval run found for the target version');
+  }
+
+  const baseRun = await findLatestRun(prompt.id, {
+    prompt_version: from === undefined ? { lt: targetRun.prompt_version } : parseVersion(from, 'from'),
+  });
+  if (!baseRun) {
+    throw createHttpError(404, 'no eval run found for the base version');
+  }
+
+  return compareRuns(baseRun, targetRun);
+}
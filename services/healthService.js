@@ -0,0 +1,109 @@
+import config from '../config/index.js';
+import { defaultAIRegistry } from '../aiClient/index.js';
+import { defaultPgDao } from '../dao/index.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'health' });
+
+const lifecycle = { ready: false, shuttingDown: false };
+
+// Provider checks keyed by client; mock mode registers one client under every provider name
+const aiChecks = new WeakMap();
+
+/**
+ * Mark startup as finished (database connected, migrations applied)
+ */
+export function markReady() {
+  lifecycle.ready = true;
+}
+
+/**
+ * Mark the process as draining; readiness fails from now on
+ */
+export function markShuttingDown() {
+  lifecycle.shuttingDown = true;
+}
+
+export function isShuttingDown() {
+  return lifecycle.shuttingDown;
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Liveness: the process is up and serving HTTP
+ * @returns {Object} { status, uptimeSeconds }
+ */
+export function getLiveness() {
+  return { status: 'ok', uptimeSeconds: Math.round(process.uptime()) };
+}
+
+async function checkDatabase() {
+  const pool = defaultPgDao.getPoolStatus();
+  try {
+    const latencyMs = await withTimeout(defaultPgDao.ping(), config.health.timeoutMs, 'database ping timed out');
+    return { status: 'up', latencyMs, pool };
+  } catch (error) {
+    // Connection errors name hosts and ports, so they stay in the logs
+    log.warn('Database readiness check failed', { err: error });
+    return { status: 'down', pool };
+  }
+}
+
+function checkProvider(client) {
+  const cached = aiChecks.get(client);
+  if (cached && Date.now() - cached.checkedAt < config.health.aiCheckTtlMs) {
+    return cached.result;
+  }
+
+  const checkedAt = Date.now();
+  const result = withTimeout(
+    client.testConnection({ signal: AbortSignal.timeout(config.health.timeoutMs) }),
+    config.health.timeoutMs,
+    'provider check timed out'
+  )
+    .catch(() => false)
+    .then((reachable) => ({ status: reachable ? 'up' : 'down', checkedAt: new Date(checkedAt).toISOString() }));
+
+  aiChecks.set(client, { checkedAt, result });
+  return result;
+}
+
+async function checkAIProviders() {
+  const names = defaultAIRegistry.list();
+  const results = await Promise.all(names.map((name) => checkProvider(defaultAIRegistry.get(name))));
+  const providers = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+  const up = results.filter((result) => result.status === 'up').length;
+  let status = 'up';
+  if (names.length === 0) status = 'unconfigured';
+  else if (up === 0) status = 'down';
+  else if (up < names.length) status = 'degraded';
+
+  return { status, providers };
+}
+
+/**
+ * Readiness: whether this instance should receive traffic
+ * Only the database gates readiness; AI provider reachability is reported
+ * because one provider being down shouldn't take every instance out of rotation
+ * @returns {Object} { status: 'ready'|'starting'|'shutting_down'|'unavailable', checks }
+ */
+export async function getReadiness() {
+  if (lifecycle.shuttingDown) {
+    return { status: 'shutting_down' };
+  }
+
+  const [database, ai] = await Promise.all([checkDatabase(), checkAIProviders()]);
+  let status = 'ready';
+  if (!lifecycle.ready) status = 'starting';
+  else if (database.status !== 'up') status = 'unavailable';
+
+  return { status, checks: { database, ai } };
+}
@@ -0,0 +1,196 @@
+import { isDeepStrictEqual } from 'util';
+import { defaultPgDao } from '../dao/index.js';
+import { compileSchema } from '../aiClient/structuredOutput.js';
+import { createHttpError, parseId } from '../utils/httpError.js';
+import { parseListQuery } from '../utils/listQuery.js';
+import { parseTemplate } from '../utils/template.js';
+import { findOwnedDeck } from './deckService.js';
+import { recordVersion } from './promptVersionService.js';
+import { scheduleEmbedding } from './embeddingService.js';
+
+const PROMPT_LIST = {
+  fields: {
+    id: { column: 'id', type: 'integer', sort: true, filter: ['eq', 'in'] },
+    title: { column: 'title', type: 'string', sort: true, filter: ['eq', 'like', 'ilike'] },
+    deckId: { column: 'deck_id', type: 'integer', filter: ['eq', 'ne', 'in'] },
+    position: { column: 'position', type: 'integer', sort: true },
+    version: { column: 'current_version', type: 'integer', sort: true, filter: ['eq', 'gt', 'gte', 'lt', 'lte'] },
+    createdAt: { column: 'created_at', type: 'date', sort: true, filter: ['gt', 'gte', 'lt', 'lte'] },
+    updatedAt: { column: 'updated_at', type: 'date', sort: true, filter: ['gt', 'gte', 'lt', 'lte'] },
+  },
+  defaultSort: '-updatedAt',
+};
+
+export function toPublicPrompt(prompt) {
+  return {
+    id: prompt.id,
+    deckId: prompt.deck_id,
+    title: prompt.title,
+    content: prompt.content,
+    outputSchema: prompt.output_schema ?? null,
+    position: prompt.position,
+    version: prompt.current_version,
+    createdAt: prompt.created_at,
+    updatedAt: prompt.updated_at,
+  };
+}
+
+/**
+ * Response format enforcing a prompt's output schema
+ * @param {Object} prompt - Prompt row
+ * @returns {Object|undefined} json_schema response format, or undefined when the prompt has no contract
+ */
+export function toResponseFormat(prompt) {
+  if (!prompt.output_schema) {
+    return undefined;
+  }
+  return { type: 'json_schema', name: 'prompt_output', schema: prompt.output_schema };
+}
+
+/**
+ * Load a prompt row owned by the user
+ * @param {number} userId - Owner id
+ * @param {string|number} promptId - Prompt id
+ * @returns {Object} Prompt row
+ */
+export async function findOwnedPrompt(userId, promptId) {
+  const prompt = await defaultPgDao.getSingleRow('prompts', { id: parseId(promptId, 'prompt'), user_id: userId });
+  if (!prompt) {
+    throw createHttpError(404, 'prompt not found');
+  }
+  return prompt;
+}
+
+function validatePromptInput(input, { partial = false } = {}) {
+  const data = {};
+
+  if (input.title !== undefined || !partial) {
+    if (typeof input.title !== 'string' || input.title.trim() === '') {
+      throw createHttpError(400, 'title is required');
+    }
+    data.title = input.title.trim();
+  }
+
+  if (input.content !== undefined || !partial) {
+    if (typeof input.content !== 'string' || input.content === '') {
+      throw createHttpError(400, 'content is required');
+    }
+    parseTemplate(input.content);
+    data.content = input.content;
+  }
+
+  // The output contract is optional; null removes it
+  if (input.outputSchema !== undefined && input.outputSchema !== null) {
+    compileSchema(input.outputSchema, 'outputSchema');
+  }
+
+  return data;
+}
+
+async function nextPosition(deckId) {
+  if (!deckId) {
+    return 0;
+  }
+  const result = await defaultPgDao.runQuery(
+    'SELECT COALESCE(MAX(position) + 1, 0) AS position FROM prompts WHERE deck_id = $1',
+    [deckId]
+  );
+  return result.rows[0].position;
+}
+
+/**
+ * List the user's prompts a page at a time
+ * @param {number} userId - Owner id
+ * @param {Object} query - List query (see utils/listQuery.js); deckId lists one deck in its order
+ * @returns {Object} { items, nextCursor, prevCursor, total }
+ */
+export async function listPrompts(userId, query = {}) {
+  const { deckId } = query;
+  const list = parseListQuery(query, deckId !== undefined ? { ...PROMPT_LIST, defaultSort: 'position' } : PROMPT_LIST);
+
+  const where = { ...list.where, user_id: userId };
+  if (deckId !== undefined) {
+    where.deck_id = (await findOwnedDeck(userId, deckId)).id;
+  }
+
+  const { rows, ...page } = await defaultPgDao.getPage('prompts', { ...list, where });
+  return { items: rows.map(toPublicPrompt), ...page };
+}
+
+export async function getPrompt(userId, promptId) {
+  return toPublicPrompt(await findOwnedPrompt(userId, promptId));
+}
+
+export async function createPrompt(userId, input = {}) {
+  const data = validatePromptInput(input);
+
+  if (input.deckId !== undefined && input.deckId !== null) {
+    data.deck_id = (await findOwnedDeck(userId, input.deckId)).id;
+    data.position = await nextPosition(data.deck_id);
+  }
+
+  if (input.outputSchema) {
+    data.output_schema = JSON.stringify(input.outputSchema);
+  }
+
+  const prompt = await defaultPgDao.transaction(async (dao) => {
+    const inserted = await dao.insertRow('prompts', { ...data, user_id: userId, current_version: 1 });
+    await recordVersion(dao, inserted, userId);
+    return inserted;
+  });
+  scheduleEmbedding(prompt);
+  return toPublicPrompt(prompt);
+}
+
+export async function updatePrompt(userId, promptId, input = {}) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+  const data = validatePromptInput(input, { partial: true });
+
+  if (input.deckId !== undefined) {
+    const deckId = input.deckId === null ? null : (await findOwnedDeck(userId, input.deckId)).id;
+    if (deckId !== prompt.deck_id) {
+      data.deck_id = deckId;
+      data.position = await nextPosition(deckId);
+    }
+  }
+
+  const textChanged = (data.title !== undefined && data.title !== prompt.title)
+    || (data.content !== undefined && data.content !== prompt.content);
+  const schemaChanged = input.outputSchema !== undefined
+    && !isDeepStrictEqual(input.outputSchema, prompt.output_schema ?? null);
+  if (schemaChanged) {
+    data.output_schema = input.outputSchema === null ? null : JSON.stringify(input.outputSchema);
+  }
+
+  // Every title, content or output schema change becomes a new immutable version;
+  // the head update is guarded on current_version so concurrent saves can't share one
+  const updated = await defaultPgDao.transaction(async (dao) => {
+    if (textChanged || schemaChanged) {
+      data.current_version = prompt.current_version + 1;
+    }
+
+    const [head] = await dao.updateRows('prompts', { ...data, updated_at: new Date() }, {
+      id: prompt.id,
+      current_version: prompt.current_version,
+    });
+
+    if (!head) {
+      throw createHttpError(409, 'prompt was modified concurrently, please retry');
+    }
+
+    if (textChanged || schemaChanged) {
+      await recordVersion(dao, head, userId);
+    }
+    return head;
+  });
+
+  if (textChanged) {
+    scheduleEmbedding(updated);
+  }
+  return toPublicPrompt(updated);
+}
+
+export async function deletePrompt(userId, promptId) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+  await defaultPgDao.deleteRows('prompts', { id: prompt.id });
+}
@@ -0,0 +1,130 @@
+import { isDeepStrictEqual } from 'util';
+import { defaultPgDao } from '../dao/index.js';
+import { createHttpError } from '../utils/httpError.js';
+import { diffText } from '../utils/diff.js';
+import { findOwnedPrompt, toPublicPrompt } from './promptService.js';
+import { scheduleEmbedding } from './embeddingService.js';
+
+export function toPublicVersion(version) {
+  return {
+    version: version.version,
+    title: version.title,
+    content: version.content,
+    outputSchema: version.output_schema ?? null,
+    createdBy: version.created_by,
+    restoredFrom: version.restored_from,
+    createdAt: version.created_at,
+  };
+}
+
+function parseVersion(value) {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version <= 0) {
+    throw createHttpError(404, 'version not found');
+  }
+  return version;
+}
+
+async function findVersion(dao, promptId, value) {
+  const version = await dao.getSingleRow('prompt_versions', { prompt_id: promptId, version: parseVersion(value) });
+  if (!version) {
+    throw createHttpError(404, 'version not found');
+  }
+  return version;
+}
+
+/**
+ * Append an immutable version row for the prompt's current head
+ * Must be called with the DAO handle of the transaction that updated the head
+ * @param {PostgresDAO} dao - Transaction DAO handle
+ * @param {Object} prompt - Prompt row after the head update
+ * @param {number} userId - Author of the version
+ * @param {number} restoredFrom - Version this one was rolled back from
+ * @returns {Object} Inserted version row
+ */
+export async function recordVersion(dao, prompt, userId, restoredFrom = null) {
+  return dao.insertRow('prompt_versions', {
+    prompt_id: prompt.id,
+    version: prompt.current_version,
+    title: prompt.title,
+    content: prompt.content,
+    output_schema: prompt.output_schema ? JSON.stringify(prompt.output_schema) : null,
+    created_by: userId,
+    restored_from: restoredFrom,
+  });
+}
+
+export async function listVersions(userId, promptId) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+  const versions = await defaultPgDao.getAllRows('prompt_versions', {
+    where: { prompt_id: prompt.id },
+    orderBy: 'version DESC',
+  });
+  return versions.map(toPublicVersion);
+}
+
+export async function getVersion(userId, promptId, version) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+  return toPublicVersion(await findVersion(defaultPgDao, prompt.id, version));
+}
+
+/**
+ * Diff the title and content of two versions and report whether the output schema changed
+ * @param {number} userId - Owner id
+ * @param {string|number} promptId - Prompt id
+ * @param {Object} options - Diff options
+ * @param {string|number} options.from - Base version
+ * @param {string|number} options.to - Target version (defaults to the head)
+ * @param {string} options.granularity - 'line' or 'word'
+ * @returns {Object} Title and content hunks, and outputSchemaChanged
+ */
+export async function diffVersions(userId, promptId, { from, to, granularity = 'line' } = {}) {
+  if (!['line', 'word'].includes(granularity)) {
+    throw createHttpError(400, "granularity must be 'line' or 'word'");
+  }
+
+  const prompt = await findOwnedPrompt(userId, promptId);
+  const base = await findVersion(defaultPgDao, prompt.id, from);
+  const target = await findVersion(defaultPgDao, prompt.id, to ?? prompt.current_version);
+
+  return {
+    from: base.version,
+    to: target.version,
+    granularity,
+    title: diffText(base.title, target.title, { granularity: 'word' }),
+    content: diffText(base.content, target.content, { granularity }),
+    outputSchemaChanged: !isDeepStrictEqual(base.output_schema ?? null, target.output_schema ?? null),
+  };
+}
+
+/**
+ * Restore an earlier version as a new head version
+ * @param {number} userId - Owner id
+ * @param {string|number} promptId - Prompt id
+ * @param {string|number} version - Version to restore
+ * @returns {Object} Updated prompt
+ */
+export async function rollbackToVersion(userId, promptId, version) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+
+  const updated = await defaultPgDao.transaction(async (dao) => {
+    const target = await findVersion(dao, prompt.id, version);
+    const [head] = await dao.updateRows('prompts', {
+      title: target.title,
+      content: target.content,
+      output_schema: target.output_schema ? JSON.stringify(target.output_schema) : null,
+      current_version: prompt.current_version + 1,
+      updated_at: new Date(),
+    }, { id: prompt.id, current_version: prompt.current_version });
+
+    if (!head) {
+      throw createHttpError(409, 'prompt was modified concurrently, please retry');
+    }
+
+    await recordVersion(dao, head, userId, target.version);
+    return head;
+  });
+
+  scheduleEmbedding(updated);
+  return toPublicPrompt(updated);
+}
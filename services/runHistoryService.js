@@ -0,0 +1,289 @@
+import config from '../config/index.js';
+import { defaultPgDao } from '../dao/index.js';
+import { createHttpError, parseId, toErrorBody } from '../utils/httpError.js';
+import { parseListQuery } from '../utils/listQuery.js';
+import logger from '../utils/logger.js';
+import { findOwnedPrompt } from './promptService.js';
+
+const log = logger.child({ component: 'run-history' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_BATCH_SIZE = 1000;
+
+const RUN_LIST = {
+  fields: {
+    id: { column: 'id', type: 'integer', sort: true, filter: ['eq', 'in', 'lt', 'gt'] },
+    status: { column: 'status', type: 'string', filter: ['eq', 'ne', 'in'] },
+    operation: { column: 'operation', type: 'string', filter: ['eq'] },
+    provider: { column: 'provider', type: 'string', filter: ['eq', 'in'] },
+    model: { column: 'model', type: 'string', filter: ['eq', 'in', 'like', 'ilike'] },
+    version: { column: 'prompt_version', type: 'integer', sort: true, filter: ['eq', 'in', 'gte', 'lte'] },
+    pinned: { column: 'pinned', type: 'boolean', filter: ['eq'] },
+    rerunOf: { column: 'rerun_of', type: 'integer', filter: ['eq'] },
+    latencyMs: { column: 'latency_ms', type: 'integer', sort: true, filter: ['gte', 'lte'] },
+    totalTokens: { column: 'total_tokens', type: 'integer', sort: true, filter: ['gte', 'lte'] },
+    createdAt: { column: 'created_at', type: 'date', sort: true, filter: ['gt', 'gte', 'lt', 'lte'] },
+  },
+  defaultSort: '-createdAt',
+};
+
+// Lists leave out the rendered messages, which are often the bulk of a run
+const SUMMARY_COLUMNS = [
+  'id', 'prompt_id', 'prompt_version', 'operation', 'status', 'variables', 'provider', 'model', 'requested_model',
+  'parameters',
+  'output', 'parsed', 'tool_calls', 'finish_reason', 'error_code', 'error_message', 'latency_ms',
+  'prompt_tokens', 'completion_tokens', 'total_tokens', 'cache_status', 'rerun_of', 'pinned', 'pinned_at',
+  'pin_note', 'created_at',
+];
+
+export function toPublicRun(run) {
+  return {
+    id: run.id,
+    promptId: run.prompt_id,
+    promptVersion: run.prompt_version,
+    operation: run.operation,
+    status: run.status,
+    variables: run.variables,
+    messages: run.messages,
+    provider: run.provider,
+    model: run.model,
+    requestedModel: run.requested_model,
+    parameters: run.parameters,
+    output: run.output,
+    parsed: run.parsed,
+    toolCalls: run.tool_calls,
+    finishReason: run.finish_reason,
+    error: run.error_code ? { code: run.error_code, message: run.error_message } : null,
+    latencyMs: run.latency_ms,
+    usage: {
+      promptTokens: run.prompt_tokens,
+      completionTokens: run.completion_tokens,
+      totalTokens: run.total_tokens,
+    },
+    cacheStatus: run.cache_status,
+    rerunOf: run.rerun_of,
+    pinned: run.pinned,
+    pinnedAt: run.pinned_at,
+    pinNote: run.pin_note,
+    createdAt: run.created_at,
+  };
+}
+
+function toExample(run) {
+  return {
+    runId: run.id,
+    promptVersion: run.prompt_version,
+    variables: run.variables,
+    provider: run.provider,
+    model: run.model,
+    output: run.output,
+    parsed: run.parsed,
+    note: run.pin_note,
+    pinnedAt: run.pinned_at,
+  };
+}
+
+function toJson(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+/**
+ * Store one run of a prompt, whatever its outcome
+ * History must never fail a run, so storage errors are logged and swallowed.
+ * @param {Object} run - Run to store
+ * @param {number} run.userId - Calling user
+ * @param {Object} run.prompt - Prompt row
+ * @param {number} run.promptVersion - Version the messages were rendered from
+ * @param {string} run.operation - chat or stream
+ * @param {Object} run.variables - Template variables
+ * @param {Array<Object>} run.messages - Messages sent to the model
+ * @param {string} run.provider - Provider name
+ * @param {string} run.model - Resolved model, used when the call failed before answering
+ * @param {string} run.requestedModel - Model string of the request, null for the default model
+ * @param {Object} run.parameters - Sampling, tool, cache and response format options
+ * @param {Object} run.response - Normalized response of a completed run
+ * @param {Error} run.error - Error of a failed run
+ * @param {boolean} run.aborted - The caller went away before the run finished
+ * @param {number} run.latencyMs - Wall time of the model call
+ * @param {number} run.rerunOf - Id of the run this one repeats
+ * @returns {number|null} Run id, or null when it couldn't be stored
+ */
+export async function recordRun(run) {
+  const { response, error } = run;
+  const usage = response?.usage;
+  // Only what the API would show the caller is stored, so internal errors stay internal
+  const errorBody = error ? toErrorBody(error).error : null;
+
+  try {
+    const row = await defaultPgDao.insertRow('prompt_runs', {
+      user_id: run.userId,
+      prompt_id: run.prompt.id,
+      prompt_version: run.promptVersion,
+      operation: run.operation,
+      status: error ? (run.aborted || error.type === 'aborted' ? 'aborted' : 'failed') : 'succeeded',
+      variables: JSON.stringify(run.variables || {}),
+      messages: JSON.stringify(run.messages),
+      provider: response?.provider || run.provider,
+      model: response?.model || run.model || null,
+      requested_model: run.requestedModel || null,
+      parameters: JSON.stringify(run.parameters || {}),
+      output: response ? response.content : null,
+      parsed: toJson(response?.parsed),
+      tool_calls: response?.toolCalls?.length ? JSON.stringify(response.toolCalls) : null,
+      finish_reason: response?.finishReason || null,
+      error_code: errorBody?.code || null,
+      error_message: errorBody?.message || null,
+      latency_ms: run.latencyMs,
+      prompt_tokens: usage?.promptTokens || 0,
+      completion_tokens: usage?.completionTokens || 0,
+      total_tokens: usage?.totalTokens || 0,
+      cache_status: response?.cache?.status || null,
+      rerun_of: run.rerunOf || null,
+    });
+    return row.id;
+  } catch (storeError) {
+    log.error('Failed to record prompt run', { promptId: run.prompt.id, err: storeError });
+    return null;
+  }
+}
+
+/**
+ * Load a run of a prompt the user owns
+ * @param {number} userId - Owner id
+ * @param {string|number} promptId - Prompt id
+ * @param {string|number} runId - Run id
+ * @returns {Object} { prompt, run } rows
+ */
+export async function findOwnedRun(userId, promptId, runId) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+  const run = await defaultPgDao.getSingleRow('prompt_runs', { id: parseId(runId, 'run'), prompt_id: prompt.id });
+  if (!run) {
+    throw createHttpError(404, 'run not found');
+  }
+  return { prompt, run };
+}
+
+/**
+ * List a prompt's runs a page at a time, newest first by default
+ * Items leave out the rendered messages; getPromptRun returns them
+ * @param {number} userId - Owner id
+ * @param {string|number} promptId - Prompt id
+ * @param {Object} query - List query (see utils/listQuery.js)
+ * @returns {Object} { items, nextCursor, prevCursor, total }
+ */
+export async function listPromptRuns(userId, promptId, query = {}) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+  const list = parseListQuery(query, RUN_LIST);
+  const { rows, ...page } = await defaultPgDao.getPage('prompt_runs', {
+    ...list,
+    select: SUMMARY_COLUMNS,
+    where: { ...list.where, prompt_id: prompt.id },
+  });
+  return { items: rows.map(toPublicRun), ...page };
+}
+
+export async function getPromptRun(userId, promptId, runId) {
+  const { run } = await findOwnedRun(userId, promptId, runId);
+  return toPublicRun(run);
+}
+
+/**
+ * Pin a run as an example output of its prompt
+ * Pinned runs are kept by the retention policy
+ * @param {number} userId - Owner id
+ * @param {string|number} promptId - Prompt id
+ * @param {string|number} runId - Run id
+ * @param {Object} input - { note }
+ * @returns {Object} Updated run
+ */
+export async function pinPromptRun(userId, promptId, runId, { note } = {}) {
+  const { run } = await findOwnedRun(userId, promptId, runId);
+  if (run.status !== 'succeeded') {
+    throw createHttpError(409, 'only succeeded runs can be pinned as examples');
+  }
+
+  const [updated] = await defaultPgDao.updateRows('prompt_runs', {
+    pinned: true,
+    // Re-pinning only changes the note, so examples keep their order
+    pinned_at: run.pinned_at || new Date(),
+    pin_note: note === undefined ? run.pin_note : note?.trim() || null,
+  }, { id: run.id });
+  return toPublicRun(updated);
+}
+
+export async function unpinPromptRun(userId, promptId, runId) {
+  const { run } = await findOwnedRun(userId, promptId, runId);
+  const [updated] = await defaultPgDao.updateRows('prompt_runs', {
+    pinned: false,
+    pinned_at: null,
+    pin_note: null,
+  }, { id: run.id });
+  return toPublicRun(updated);
+}
+
+/**
+ * List a prompt's example outputs (its pinned runs), most recently pinned first
+ * @param {number} userId - Owner id
+ * @param {string|number} promptId - Prompt id
+ * @returns {Array<Object>} { runId, promptVersion, variables, provider, model, output, parsed, note, pinnedAt }
+ */
+export async function listExamples(userId, promptId) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+  const runs = await defaultPgDao.getAllRows('prompt_runs', {
+    where: { prompt_id: prompt.id, pinned: true },
+    orderBy: 'pinned_at DESC',
+  });
+  return runs.map(toExample);
+}
+
+/**
+ * Delete unpinned runs older than the retention period
+ * Rows go in batches so a large backlog doesn't hold one long-running delete.
+ * @param {Object} options - { retentionDays }; defaults to config.runs.retentionDays, 0 keeps runs forever
+ * @returns {Object} { deleted, before }
+ */
+export async function pruneRuns({ retentionDays = config.runs.retentionDays } = {}) {
+  if (!retentionDays) {
+    return { deleted: 0, before: null };
+  }
+
+  const before = new Date(Date.now() - retentionDays * DAY_MS);
+  let deleted = 0;
+  let removed;
+  do {
+    const result = await defaultPgDao.runQuery(
+      `DELETE FROM prompt_runs WHERE id IN (
+        SELECT id FROM prompt_runs WHERE NOT pinned AND created_at < $1 ORDER BY id LIMIT $2
+      )`,
+      [before, PRUNE_BATCH_SIZE],
+    );
+    removed = result.rowCount;
+    deleted += removed;
+  } while (removed === PRUNE_BATCH_SIZE);
+
+  if (deleted > 0) {
+    log.info('Pruned prompt runs', { deleted, before: before.toISOString() });
+  }
+  return { deleted, before: before.toISOString() };
+}
+
+let pruneTimer = null;
+
+/**
+ * Prune runs now and then every config.runs.pruneIntervalMs
+ * The timer doesn't keep the process alive; failures are logged and retried next time.
+ */
+export function startRunRetention() {
+  if (pruneTimer || !config.runs.retentionDays) {
+    return;
+  }
+  const prune = () => pruneRuns().catch((error) => log.error('Pruning prompt runs failed', { err: error }));
+  prune();
+  pruneTimer = setInterval(prune, config.runs.pruneIntervalMs);
+  pruneTimer.unref();
+}
+
+export function stopRunRetention() {
+  clearInterval(pruneTimer);
+  pruneTimer = null;
+}
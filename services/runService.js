@@ -0,0 +1,171 @@
+import { defaultAIRegistry, defaultToolRegistry } from '../aiClient/index.js';
+import { createHttpError } from '../utils/httpError.js';
+import { findOwnedPrompt, toResponseFormat } from './promptService.js';
+import { findOwnedRun, recordRun } from './runHistoryService.js';
+import { renderPrompt, toMessages } from './templateService.js';
+import { assertWithinBudget, recordResponseUsage } from './usageService.js';
+
+const SAMPLING_OPTIONS = ['maxTokens', 'temperature', 'topP', 'frequencyPenalty', 'presencePenalty', 'stop'];
+
+/**
+ * Resolve the model and options of a run
+ * A replay sends the messages and response format recorded for an earlier run
+ * instead of rendering the prompt's current version.
+ */
+async function prepareRun(userId, promptId, input, replay = null) {
+  const { variables = {}, model, cache, tools, toolChoice } = input;
+  const rendered = replay ? null : await renderPrompt(userId, promptId, variables);
+  const prompt = rendered ? rendered.prompt : await findOwnedPrompt(userId, promptId);
+  await assertWithinBudget(userId);
+  const { client, provider, model: resolvedModel } = defaultAIRegistry.resolve(model);
+
+  // A prompt's output schema is its contract: runs return the validated value in parsed
+  const parameters = { cache, responseFormat: replay ? replay.responseFormat : toResponseFormat(prompt) };
+  for (const name of SAMPLING_OPTIONS) {
+    if (input[name] !== undefined) parameters[name] = input[name];
+  }
+  if (tools?.length) {
+    if (!client.capabilities.tools) {
+      throw createHttpError(400, `The ${provider} provider does not support tool calling`);
+    }
+    parameters.tools = tools;
+    if (toolChoice) parameters.toolChoice = toolChoice;
+  }
+
+  const messages = replay ? replay.messages : toMessages(rendered.text);
+  return {
+    prompt,
+    client,
+    provider,
+    model: resolvedModel,
+    options: { model: resolvedModel, ...parameters },
+    messages,
+    history: {
+      userId,
+      prompt,
+      promptVersion: replay ? replay.promptVersion : prompt.current_version,
+      variables,
+      messages,
+      provider,
+      model: resolvedModel,
+      requestedModel: model,
+      parameters,
+    },
+  };
+}
+
+function toRunResult(runId, response) {
+  return {
+    runId,
+    output: response.content,
+    parsed: response.parsed,
+    toolCalls: response.toolCalls,
+    provider: response.provider,
+    model: response.model,
+    usage: response.usage,
+    cache: response.cache,
+  };
+}
+
+/**
+ * Call the model and record the run in the prompt's history, whether it
+ * succeeds, fails or is aborted
+ */
+async function executeRun(userId, run, operation, call, signal) {
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await call();
+  } catch (error) {
+    await recordRun({
+      ...run.history,
+      operation,
+      error,
+      aborted: signal?.aborted,
+      latencyMs: Date.now() - startedAt,
+    });
+    throw error;
+  }
+
+  const latencyMs = Date.now() - startedAt;
+  await recordResponseUsage(userId, run.prompt, operation, response);
+  const runId = await recordRun({ ...run.history, operation, response, latencyMs });
+  return toRunResult(runId, response);
+}
+
+/**
+ * Render a prompt and run it to completion
+ * @param {number} userId - Owner id
+ * @param {string|number} promptId - Prompt id
+ * @param {Object} input - Run input: { variables, model, maxTokens, temperature, topP, frequencyPenalty,
+ *   presencePenalty, stop, tools, toolChoice, cache }; model may be "provider:model" and tools are
+ *   registered tool names, which only OpenAI-compatible providers (openai, ollama) can call
+ * @returns {Object} Run id in the prompt's history, output text, parsed output (for prompts with an
+ *   output schema), executed tool calls, provider, model, usage and cache metadata
+ */
+export async function runPrompt(userId, promptId, input = {}) {
+  const run = await prepareRun(userId, promptId, input);
+  return executeRun(userId, run, 'chat', () => run.client.chat(run.messages, run.options));
+}
+
+/**
+ * Render a prompt and stream the completion
+ * Rendering and validation errors are thrown before onStart is called
+ * @param {number} userId - Owner id
+ * @param {string|number} promptId - Prompt id
+ * @param {Object} input - Same as runPrompt, without tools
+ * @param {Object} handlers - Stream handlers
+ * @param {Function} handlers.onStart - Called once the prompt rendered and the upstream request is about to start
+ * @param {Function} handlers.onToken - Called with each content delta
+ * @param {AbortSignal} handlers.signal - Aborts the upstream request
+ * @returns {Object} Run id, full output text, parsed output, provider, model and usage
+ */
+export async function streamPrompt(userId, promptId, input = {}, { onStart, onToken, signal } = {}) {
+  if (input.tools?.length) {
+    throw createHttpError(400, 'tools cannot be combined with streaming');
+  }
+  const run = await prepareRun(userId, promptId, input);
+
+  onStart?.({ provider: run.provider, model: run.model });
+  return executeRun(userId, run, 'stream', () => (
+    run.client.stream(run.messages, { ...run.options, signal }, (delta) => onToken?.(delta))
+  ), signal);
+}
+
+/**
+ * Run a recorded run again with the same variables, model and parameters
+ * The run repeats the model string it was requested with, so a run that used the
+ * default model uses today's default. By default the prompt's current version is rendered, which shows how an edit
+ * changed the output; exact resends the recorded messages and response format.
+ * @param {number} userId - Owner id
+ * @param {string|number} promptId - Prompt id
+ * @param {string|number} runId - Run to repeat
+ * @param {Object} input - { exact, cache }; cache defaults to the recorded run's cache mode
+ * @returns {Object} Same as runPrompt; the new run's rerunOf points at the original
+ */
+export async function rerunPrompt(userId, promptId, runId, { exact = false, cache } = {}) {
+  const { run: original } = await findOwnedRun(userId, promptId, runId);
+  const { responseFormat, ...parameters } = original.parameters;
+  const input = {
+    ...parameters,
+    variables: original.variables,
+    // The model string the original asked for, not the one the provider answered with
+    model: original.requested_model || undefined,
+    cache: cache ?? parameters.cache,
+  };
+  const replay = exact
+    ? { messages: original.messages, responseFormat, promptVersion: original.prompt_version }
+    : null;
+
+  const run = await prepareRun(userId, promptId, input, replay);
+  run.history.rerunOf = original.id;
+  return executeRun(userId, run, 'chat', () => run.client.chat(run.messages, run.options));
+}
+
+/**
+ * List the tools a run may use
+ * @returns {Array<Object>} { name, description, parameters }
+ */
+export function listTools() {
+  return defaultToolRegistry.list();
+}
@@ -0,0 +1,35 @@
+import { extractVariables, renderTemplate } from '../utils/template.js';
+import { findOwnedPrompt } from './promptService.js';
+
+/**
+ * List the variables declared by a prompt's template
+ * @param {number} userId - Owner id
+ * @param {string|number} promptId - Prompt id
+ * @returns {Array<Object>} Variable declarations
+ */
+export async function getPromptVariables(userId, promptId) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+  return extractVariables(prompt.content);
+}
+
+/**
+ * Render a prompt with the supplied variable values
+ * @param {number} userId - Owner id
+ * @param {string|number} promptId - Prompt id
+ * @param {Object} values - Variable values
+ * @param {Object} options - Render options passed to renderTemplate
+ * @returns {Object} Rendered text, resolved variables and ignored extras
+ */
+export async function renderPrompt(userId, promptId, values = {}, options = {}) {
+  const prompt = await findOwnedPrompt(userId, promptId);
+  return { prompt, ...renderTemplate(prompt.content, values, options) };
+}
+
+/**
+ * Build chat messages from rendered prompt text
+ * @param {string} text - Rendered prompt
+ * @returns {Array<Object>} Messages for OpenAIClient.chatCompletion
+ */
+export function toMessages(text) {
+  return [{ role: 'user', content: text }];
+}
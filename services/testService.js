@@ -1,13 +1,31 @@
 import { defaultOpenAIClient } from '../aiClient/index.js';
 import { defaultPgDao } from '../dao/index.js';
+import { renderTemplate } from '../utils/template.js';
+import { createHttpError } from '../utils/httpError.js';
+import { recordResponseUsage } from './usageService.js';
+
+const GREETING_TEMPLATE = 'Generate a greeting message for {{name = "World"}}.';
 
 export async function getGreeting(name) {
-    const greetingName = name || 'World';
+    if (!defaultOpenAIClient) {
+        throw createHttpError(503, 'AI provider is not configured; set OPENAI_API_KEY or AI_MOCK=true');
+    }
+    const { text } = renderTemplate(GREETING_TEMPLATE, { name: name || undefined });
     const response = await defaultOpenAIClient.chatCompletion([
         { role: 'system', content: 'You are a friendly assistant that provides greetings.' },
-        { role: 'user', content: `Generate a greeting message for ${greetingName}.` }
+        { role: 'user', content: text }
     ], {
         model: 'gpt-5-nano',
     });
+    // chatCompletion returns the raw OpenAI response, so its usage is mapped here
+    await recordResponseUsage(null, null, 'chat', {
+        provider: defaultOpenAIClient.provider,
+        model: response.model,
+        usage: {
+            promptTokens: response.usage?.prompt_tokens,
+            completionTokens: response.usage?.completion_tokens,
+        },
+        cache: response.cache,
+    });
     return response;
-}
\ No newline at end of file
+}
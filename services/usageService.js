@@ -0,0 +1,227 @@
+import config from '../config/index.js';
+import { defaultPgDao } from '../dao/index.js';
+import { createHttpError } from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'usage' });
+
+const PERIODS = { daily: 'day', monthly: 'month' };
+
+/**
+ * Look up the price of a model in the configured price table
+ * Exact "provider:model" and "model" keys win; otherwise the longest key that
+ * prefixes the model (e.g. "gpt-4o" for "gpt-4o-2024-08-06") is used
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {Object|null} { input, output } USD per 1M tokens
+ */
+export function findModelPrice(provider, model) {
+  const prices = config.usage.prices;
+  const candidates = [`${provider}:${model}`, model];
+
+  for (const key of candidates) {
+    if (prices[key]) return prices[key];
+  }
+
+  const prefix = Object.keys(prices)
+    .filter((key) => candidates.some((candidate) => candidate.startsWith(key)))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? prices[prefix] : null;
+}
+
+/**
+ * Compute the cost of a call
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @param {Object} usage - Normalized usage: { promptTokens, completionTokens }
+ * @returns {number} Cost in USD
+ */
+export function computeCost(provider, model, usage) {
+  const price = findModelPrice(provider, model);
+  if (!price) {
+    log.warn('No price configured, recording zero cost', { provider, model });
+    return 0;
+  }
+
+  const cost = (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1_000_000;
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
+
+/**
+ * Record an AI call
+ * @param {Object} entry - Usage entry
+ * @param {number} entry.userId - Calling user
+ * @param {number} entry.promptId - Prompt that was run, if any
+ * @param {number} entry.deckId - Deck of the prompt, if any
+ * @param {string} entry.provider - Provider name
+ * @param {string} entry.model - Model name
+ * @param {string} entry.operation - chat, stream or embedding
+ * @param {Object} entry.usage - Normalized usage
+ * @returns {Object} Inserted row
+ */
+export async function recordUsage({ userId = null, promptId = null, deckId = null, provider, model, operation, usage }) {
+  const promptTokens = usage?.promptTokens ?? 0;
+  const completionTokens = usage?.completionTokens ?? 0;
+
+  return defaultPgDao.insertRow('ai_usage', {
+    user_id: userId,
+    prompt_id: promptId,
+    deck_id: deckId,
+    provider,
+    model: model || 'unknown',
+    operation,
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    cost_usd: computeCost(provider, model || 'unknown', { promptTokens, completionTokens }),
+  });
+}
+
+/**
+ * Record the usage of a completed AI response
+ * Cache hits cost nothing upstream and are skipped. Accounting must never fail the
+ * call it measures, so storage errors are logged instead of thrown.
+ * @param {number|null} userId - Calling user
+ * @param {Object|null} prompt - Prompt row the call ran for ({ id, deck_id }), if any
+ * @param {string} operation - chat, stream, embedding, eval, judge or summarize
+ * @param {Object} response - Normalized response: { provider, model, usage, cache }
+ */
+export async function recordResponseUsage(userId, prompt, operation, response) {
+  if (response.cache?.status === 'hit') {
+    return;
+  }
+  try {
+    await recordUsage({
+      userId,
+      promptId: prompt?.id ?? null,
+      deckId: prompt?.deck_id ?? null,
+      provider: response.provider,
+      model: response.model,
+      operation,
+      usage: response.usage,
+    });
+  } catch (error) {
+    log.error('Failed to record AI usage', { operation, err: error });
+  }
+}
+
+async function getMonthToDate(userId) {
+  const result = await defaultPgDao.runQuery(
+    `SELECT COALESCE(SUM(total_tokens), 0)::bigint AS tokens, COALESCE(SUM(cost_usd), 0) AS cost
+     FROM ai_usage
+     WHERE user_id = $1 AND created_at >= date_trunc('month', NOW())`,
+    [userId]
+  );
+  return {
+    tokens: Number(result.rows[0].tokens),
+    costUsd: Number(result.rows[0].cost),
+  };
+}
+
+/**
+ * Get a user's monthly budget and current spend
+ * @param {number} userId - User id
+ * @returns {Object} { tokenLimit, costLimitUsd, usedTokens, usedCostUsd, resetsAt }
+ */
+export async function getBudget(userId) {
+  const user = await defaultPgDao.getSingleRow('users', { id: userId }, ['monthly_token_limit', 'monthly_cost_limit_usd']);
+  const used = await getMonthToDate(userId);
+  const now = new Date();
+
+  return {
+    tokenLimit: user?.monthly_token_limit != null
+      ? Number(user.monthly_token_limit)
+      : config.usage.defaultMonthlyTokenLimit,
+    costLimitUsd: user?.monthly_cost_limit_usd != null
+      ? Number(user.monthly_cost_limit_usd)
+      : config.usage.defaultMonthlyCostLimitUsd,
+    usedTokens: used.tokens,
+    usedCostUsd: used.costUsd,
+    resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+  };
+}
+
+/**
+ * Reject the call if the user has used up their monthly budget
+ * @param {number} userId - User id
+ */
+export async function assertWithinBudget(userId) {
+  const budget = await getBudget(userId);
+  const overTokens = budget.tokenLimit != null && budget.usedTokens >= budget.tokenLimit;
+  const overCost = budget.costLimitUsd != null && budget.usedCostUsd >= budget.costLimitUsd;
+
+  if (overTokens || overCost) {
+    throw createHttpError(402, `Monthly ${overTokens ? 'token' : 'cost'} budget exceeded`, budget);
+  }
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(400, `${name} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Aggregate a user's AI usage
+ * @param {number} userId - User id
+ * @param {Object} options - { period: 'daily'|'monthly', from, to }
+ * @returns {Object} { period, totals, byModel, byDeck, budget }
+ */
+export async function getUsageSummary(userId, { period = 'daily', from, to } = {}) {
+  const unit = PERIODS[period];
+  if (!unit) {
+    throw createHttpError(400, "period must be 'daily' or 'monthly'");
+  }
+
+  const fromDate = parseDate(from, 'from') || new Date(Date.now() - (unit === 'day' ? 30 : 365) * 24 * 60 * 60 * 1000);
+  const toDate = parseDate(to, 'to') || new Date();
+  const params = [userId, fromDate, toDate];
+
+  const aggregate = (groupColumn) => defaultPgDao.runQuery(
+    `SELECT date_trunc('${unit}', created_at) AS bucket,
+            ${groupColumn ? `${groupColumn} AS group_key,` : ''}
+            COUNT(*)::int AS calls,
+            SUM(prompt_tokens)::bigint AS prompt_tokens,
+            SUM(completion_tokens)::bigint AS completion_tokens,
+            SUM(total_tokens)::bigint AS total_tokens,
+            SUM(cost_usd) AS cost_usd
+     FROM ai_usage
+     WHERE user_id = $1 AND created_at >= $2 AND created_at < $3
+     GROUP BY bucket${groupColumn ? ', group_key' : ''}
+     ORDER BY bucket${groupColumn ? ', group_key' : ''}`,
+    params
+  );
+
+  const toEntry = (row, key) => {
+    const entry = {
+      period: row.bucket,
+      calls: row.calls,
+      promptTokens: Number(row.prompt_tokens),
+      completionTokens: Number(row.completion_tokens),
+      totalTokens: Number(row.total_tokens),
+      costUsd: Number(row.cost_usd),
+    };
+    if (key) entry[key] = row.group_key;
+    return entry;
+  };
+
+  const [totals, byModel, byDeck] = await Promise.all([
+    aggregate(null),
+    aggregate('model'),
+    aggregate('deck_id'),
+  ]);
+
+  return {
+    period,
+    from: fromDate,
+    to: toDate,
+    totals: totals.rows.map((row) => toEntry(row)),
+    byModel: byModel.rows.map((row) => toEntry(row, 'model')),
+    byDeck: byDeck.rows.map((row) => toEntry(row, 'deckId')),
+    budget: await getBudget(userId),
+  };
+}
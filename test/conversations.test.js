@@ -0,0 +1,177 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { defaultAIRegistry } from '../aiClient/index.js';
+import { defaultPgDao } from '../dao/index.js';
+import { replyToConversation, updateConversation } from '../services/conversationService.js';
+import { estimateMessageTokens, fitMessages } from '../utils/contextWindow.js';
+
+const USER_ID = 1;
+
+// 200 characters: 50 tokens of content plus 4 of message overhead
+const turn = (role, index) => ({ role, content: `${role} turn ${index} `.padEnd(200, '.') });
+
+function matches(row, where) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$or') return condition.some((branch) => matches(row, branch));
+    if (condition && typeof condition === 'object' && 'gt' in condition) return row[key] > condition.gt;
+    return row[key] === condition;
+  });
+}
+
+/**
+ * Stand in for the DAO methods the conversation service uses, over in-memory tables
+ */
+function useMemoryDatabase(tables) {
+  let nextId = 1000;
+  const find = (table, where) => (tables[table] || []).filter((row) => matches(row, where));
+
+  mock.method(defaultPgDao, 'getSingleRow', async (table, where) => find(table, where)[0] || null);
+  mock.method(defaultPgDao, 'getAllRows', async (table, { where = {} } = {}) => (
+    find(table, where).sort((a, b) => a.id - b.id)
+  ));
+  mock.method(defaultPgDao, 'insertRow', async (table, data) => {
+    const row = { id: nextId++, created_at: new Date(), ...data };
+    (tables[table] ||= []).push(row);
+    return row;
+  });
+  mock.method(defaultPgDao, 'updateRows', async (table, data, where) => find(table, where).map((row) => (
+    Object.assign(row, data, typeof data.settings === 'string' ? { settings: JSON.parse(data.settings) } : {})
+  )));
+  // Month-to-date usage for budget checks
+  mock.method(defaultPgDao, 'runQuery', async () => ({ rows: [{ tokens: 0, cost: 0 }] }));
+}
+
+function createConversation(settings, turns) {
+  const messages = [{ role: 'system', content: 'You are terse.' }, ...turns]
+    .map((message, index) => ({ id: index + 1, conversation_id: 1, ...message }));
+  return {
+    conversations: [{ id: 1, user_id: USER_ID, prompt_id: 1, model: null, settings, summary: null, summarized_through: null }],
+    messages,
+    users: [{ id: USER_ID }],
+  };
+}
+
+describe('fitMessages', () => {
+  const pinned = [{ role: 'system', content: 'You are terse.' }];
+  const turns = [turn('user', 1), turn('assistant', 1), turn('user', 2), turn('assistant', 2), turn('user', 3)];
+  const pinnedTokens = estimateMessageTokens(pinned[0]);
+
+  it('keeps every turn when they fit', () => {
+    const fitted = fitMessages(pinned, turns, 1000);
+    assert.equal(fitted.kept.length, 5);
+    assert.equal(fitted.dropped.length, 0);
+    assert.equal(fitted.tokens, pinnedTokens + 5 * 54);
+  });
+
+  it('keeps the newest turns that fit the budget', () => {
+    const fitted = fitMessages(pinned, turns, pinnedTokens + 3 * 54);
+    assert.deepEqual(fitted.kept, turns.slice(2));
+    assert.deepEqual(fitted.dropped, turns.slice(0, 2));
+  });
+
+  it('starts the kept turns with a user message', () => {
+    // Room for four turns, but the oldest of them would be an assistant turn
+    const fitted = fitMessages(pinned, turns, pinnedTokens + 4 * 54);
+    assert.deepEqual(fitted.kept, turns.slice(2));
+    assert.equal(fitted.tokens, pinnedTokens + 3 * 54);
+  });
+
+  it('keeps pinned messages even when nothing else fits', () => {
+    const fitted = fitMessages(pinned, turns, 1);
+    assert.deepEqual(fitted.kept, []);
+    assert.equal(fitted.tokens, pinnedTokens);
+  });
+});
+
+describe('conversation context', () => {
+  let tables;
+  const history = [
+    turn('user', 1), turn('assistant', 1), turn('user', 2), turn('assistant', 2), turn('user', 3), turn('assistant', 3),
+  ];
+
+  beforeEach(() => {
+    // 300 tokens of context minus 100 for the reply leaves a 200 token budget
+    tables = createConversation({ contextTokens: 300, maxTokens: 100 }, history);
+    useMemoryDatabase(tables);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('folds turns that no longer fit into a summary', async () => {
+    const reply = await replyToConversation(USER_ID, 1, { content: 'And now?' });
+
+    assert.equal(reply.context.summarized, true);
+    assert.equal(reply.context.budgetTokens, 200);
+    assert.ok(reply.context.tokens <= 200);
+    assert.equal(reply.message.content.startsWith('Mock response to: And now?'), true);
+
+    const conversation = tables.conversations[0];
+    assert.match(conversation.summary, /^Mock response to: Existing summary:/);
+    // Turns are folded until half the budget is free
+    assert.equal(conversation.summarized_through, 7);
+
+    const usage = tables.ai_usage.map((row) => row.operation);
+    assert.deepEqual(usage, ['summarize', 'chat']);
+  });
+
+  it('sends only the turns after the summary on the next reply', async () => {
+    await replyToConversation(USER_ID, 1, { content: 'And now?' });
+    const chat = mock.method(defaultAIRegistry.resolve().client, 'chat');
+    const reply = await replyToConversation(USER_ID, 1, { content: 'Short.' });
+
+    assert.equal(reply.context.summarized, false);
+    const sent = chat.mock.calls[0].arguments[0];
+    assert.equal(sent[0].content, 'You are terse.');
+    assert.match(sent[1].content, /^Summary of the earlier conversation:/);
+    assert.deepEqual(sent.slice(2).map((message) => message.content), ['And now?', tables.messages[8].content, 'Short.']);
+  });
+
+  it('drops the oldest turns when summarization is off', async () => {
+    tables.conversations[0].settings.summarize = false;
+    const reply = await replyToConversation(USER_ID, 1, { content: 'And now?' });
+
+    assert.equal(reply.context.summarized, false);
+    assert.equal(reply.context.sentMessages, 3);
+    assert.equal(reply.context.droppedMessages, 4);
+    assert.equal(tables.conversations[0].summary, null);
+  });
+
+  it('truncates instead when the summary request fails', async () => {
+    const { client } = defaultAIRegistry.resolve();
+    const chat = client.chat.bind(client);
+    let calls = 0;
+    mock.method(client, 'chat', async (...args) => {
+      calls += 1;
+      if (calls === 1) throw new Error('summary failed');
+      return chat(...args);
+    });
+
+    const reply = await replyToConversation(USER_ID, 1, { content: 'And now?' });
+    assert.equal(reply.context.summarized, false);
+    assert.equal(reply.context.droppedMessages, 4);
+    assert.equal(tables.conversations[0].summarized_through, null);
+  });
+
+  it('rejects a message that can never fit', async () => {
+    await assert.rejects(replyToConversation(USER_ID, 1, { content: 'x'.repeat(1000) }), {
+      status: 400,
+      message: /too long for the context window/,
+    });
+  });
+
+  it('rejects settings that leave no room besides the reply', async () => {
+    await assert.rejects(updateConversation(USER_ID, 1, { settings: { maxTokens: 300 } }), {
+      status: 400,
+      message: /maxTokens \(300\) must be less than the context limit of 300 tokens/,
+    });
+    await assert.rejects(updateConversation(USER_ID, 1, { model: 'gpt-4', settings: { maxTokens: 9000, contextTokens: null } }), {
+      status: 400,
+      message: /context limit of 8192 tokens/,
+    });
+
+    const updated = await updateConversation(USER_ID, 1, { settings: { maxTokens: 299 } });
+    assert.equal(updated.settings.maxTokens, 299);
+  });
+});
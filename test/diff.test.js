@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { MAX_DIFF_TOKENS, diffText } from '../utils/diff.js';
+
+// Deterministic PRNG so failures can be replayed
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+function rebuild(hunks, side) {
+  const skipped = side === 'old' ? 'insert' : 'delete';
+  return hunks.filter((hunk) => hunk.type !== skipped).map((hunk) => hunk.value).join('');
+}
+
+function changedLines(hunks) {
+  return hunks
+    .filter((hunk) => hunk.type !== 'equal')
+    .reduce((sum, hunk) => sum + hunk.value.split('\n').length - 1, 0);
+}
+
+// Edit distance (insertions and deletions) from a textbook LCS table
+function editDistance(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      table[i][j] = a[i - 1] === b[j - 1] ? table[i - 1][j - 1] + 1 : Math.max(table[i - 1][j], table[i][j - 1]);
+    }
+  }
+  return a.length + b.length - 2 * table[a.length][b.length];
+}
+
+describe('diffText', () => {
+  it('diffs line by line', () => {
+    assert.deepEqual(diffText('a\nb\nc\n', 'a\nx\nc\n'), [
+      { type: 'equal', value: 'a\n' },
+      { type: 'delete', value: 'b\n' },
+      { type: 'insert', value: 'x\n' },
+      { type: 'equal', value: 'c\n' },
+    ]);
+  });
+
+  it('diffs word by word', () => {
+    assert.deepEqual(diffText('the quick fox', 'the slow fox', { granularity: 'word' }), [
+      { type: 'equal', value: 'the ' },
+      { type: 'delete', value: 'quick' },
+      { type: 'insert', value: 'slow' },
+      { type: 'equal', value: ' fox' },
+    ]);
+  });
+
+  it('handles empty and identical texts', () => {
+    assert.deepEqual(diffText('', ''), []);
+    assert.deepEqual(diffText('same\n', 'same\n'), [{ type: 'equal', value: 'same\n' }]);
+    assert.deepEqual(diffText('', 'new\n'), [{ type: 'insert', value: 'new\n' }]);
+    assert.deepEqual(diffText('old\n', ''), [{ type: 'delete', value: 'old\n' }]);
+  });
+
+  it('rebuilds both texts with a minimal number of changes', () => {
+    const next = random(42);
+    const alphabet = ['a\n', 'b\n', 'c\n', 'd\n'];
+    for (let round = 0; round < 200; round++) {
+      const oldLines = Array.from({ length: Math.floor(next() * 30) }, () => alphabet[Math.floor(next() * 4)]);
+      const newLines = Array.from({ length: Math.floor(next() * 30) }, () => alphabet[Math.floor(next() * 4)]);
+      const oldText = oldLines.join('');
+      const newText = newLines.join('');
+
+      const hunks = diffText(oldText, newText);
+      assert.equal(rebuild(hunks, 'old'), oldText);
+      assert.equal(rebuild(hunks, 'new'), newText);
+      assert.equal(changedLines(hunks), editDistance(oldLines, newLines));
+    }
+  });
+
+  it('rejects texts over the token limit with a 413', () => {
+    const large = 'line\n'.repeat(MAX_DIFF_TOKENS + 1);
+    assert.throws(() => diffText(large, 'line\n'), { status: 413 });
+  });
+
+  it('diffs texts at the token limit', () => {
+    const lines = Array.from({ length: MAX_DIFF_TOKENS }, (_, index) => `line ${index}\n`);
+    const changed = [...lines];
+    changed[MAX_DIFF_TOKENS / 2] = 'changed\n';
+
+    const hunks = diffText(lines.join(''), changed.join(''));
+    assert.equal(hunks.length, 4);
+    assert.equal(rebuild(hunks, 'new'), changed.join(''));
+  });
+});
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ConfigError, loadEnv } from '../config/env.js';
+
+const PRODUCTION = {
+  NODE_ENV: 'production',
+  JWT_SECRET: 'a-production-secret-that-is-long-enough',
+  DB_PASSWORD: 'a-real-password',
+  FRONTEND_URL: 'https://promptdeck.example.com',
+  GOOGLE_CLIENT_ID: 'client-id',
+  GOOGLE_CLIENT_SECRET: 'client-secret',
+  GOOGLE_REDIRECT_URI: 'https://api.promptdeck.example.com/api/auth/google/callback',
+};
+
+function configErrors(env) {
+  try {
+    loadEnv(env);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.errors;
+  }
+  assert.fail('expected a ConfigError');
+}
+
+describe('loadEnv', () => {
+  it('applies the development defaults', () => {
+    const env = loadEnv({});
+    assert.equal(env.NODE_ENV, 'development');
+    assert.equal(env.PORT, 5000);
+    assert.equal(env.LOG_FORMAT, 'pretty');
+    assert.equal(env.JWT_SECRET, 'supersecret');
+    assert.equal(env.AI_MOCK, false);
+  });
+
+  it('applies the test defaults', () => {
+    const env = loadEnv({ NODE_ENV: 'test' });
+    assert.equal(env.AI_MOCK, true);
+    assert.equal(env.DB_NAME, 'promptdeck_test');
+    assert.equal(env.LOG_LEVEL, 'warn');
+    assert.equal(env.DB_CONNECT_RETRIES, 0);
+  });
+
+  it('coerces values and parses lists and JSON', () => {
+    const env = loadEnv({
+      PORT: '8080',
+      AI_MOCK: 'true',
+      ADMIN_EMAILS: 'a@example.com, b@example.com,',
+      AI_PRICE_TABLE: '{"my-model":{"input":1,"output":2}}',
+      LOG_LEVEL: ' ',
+    });
+    assert.equal(env.PORT, 8080);
+    assert.equal(env.AI_MOCK, true);
+    assert.deepEqual(env.ADMIN_EMAILS, ['a@example.com', 'b@example.com']);
+    assert.deepEqual(env.AI_PRICE_TABLE, { 'my-model': { input: 1, output: 2 } });
+    // Empty values count as unset
+    assert.equal(env.LOG_LEVEL, 'info');
+  });
+
+  it('reports every invalid variable at once', () => {
+    const errors = configErrors({ PORT: 'eighty', LOG_LEVEL: 'loud', AI_PRICE_TABLE: '{nope' });
+    assert.equal(errors.length, 3);
+    assert.ok(errors.includes('AI_PRICE_TABLE: must be valid JSON'));
+    assert.ok(errors.some((error) => error.startsWith('PORT:')));
+    assert.ok(errors.includes('LOG_LEVEL: must be one of debug, info, warn, error, silent'));
+  });
+
+  it('rejects an unknown profile', () => {
+    assert.deepEqual(configErrors({ NODE_ENV: 'staging' }), ['NODE_ENV: must be one of development, test, production']);
+  });
+
+  it('accepts a complete production environment', () => {
+    const env = loadEnv(PRODUCTION);
+    assert.equal(env.NODE_ENV, 'production');
+    assert.equal(env.LOG_FORMAT, 'json');
+    assert.equal(env.AI_MOCK, false);
+  });
+
+  it('requires production secrets instead of defaulting them', () => {
+    const { JWT_SECRET, GOOGLE_CLIENT_ID, ...env } = PRODUCTION;
+    const errors = configErrors(env);
+    assert.ok(errors.includes('JWT_SECRET: is required in production'));
+    assert.ok(errors.includes('GOOGLE_CLIENT_ID: is required in production'));
+  });
+
+  it('rejects short and well-known secrets in production', () => {
+    assert.ok(configErrors({ ...PRODUCTION, JWT_SECRET: 'short' }).some((error) => error.startsWith('JWT_SECRET:')));
+    assert.deepEqual(configErrors({ ...PRODUCTION, DB_PASSWORD: 'password' }), [
+      'DB_PASSWORD: uses a well-known default value, set a real secret',
+    ]);
+  });
+});
@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { decodeCursor, encodeCursor } from '../dao/cursor.js';
+import { PostgresDAO } from '../dao/index.js';
+import {
+  QueryBuildError,
+  buildKeysetCondition,
+  normalizeOrderBy,
+  orderSignature,
+  reverseOrder,
+  withTieBreaker,
+} from '../dao/sqlBuilder.js';
+
+const COLUMNS = new Set(['id', 'name', 'updated_at']);
+
+/**
+ * DAO over an in-memory table ordered by id
+ * The fake query understands the only keyset condition an id order produces
+ * ("id" > $1 or "id" < $1), so pages can be walked end to end without Postgres
+ */
+function createDao(ids) {
+  const dao = new PostgresDAO({});
+  dao.schemaCache.set('items', COLUMNS);
+  dao.queries = [];
+  dao.runQuery = async (query, params) => {
+    dao.queries.push({ query, params });
+    const descending = query.includes('ORDER BY "id" DESC');
+    const keyset = query.match(/"id" ([<>]) \$1/);
+    const limit = params[params.length - 1];
+
+    const rows = [...ids]
+      .sort((a, b) => (descending ? b - a : a - b))
+      .filter((id) => !keyset || (keyset[1] === '>' ? id > Number(params[0]) : id < Number(params[0])))
+      .slice(0, limit)
+      .map((id) => ({ id, name: `item ${id}`, __cursor_0: String(id) }));
+    return { rows };
+  };
+  return dao;
+}
+
+const ids = (page) => page.rows.map((row) => row.id);
+
+describe('keyset cursors', () => {
+  it('round-trips the direction and sort values', () => {
+    const cursor = encodeCursor('next', ['2024-05-01 10:00:00.123456+00', '42'], 'id ASC NULLS LAST');
+    assert.deepEqual(decodeCursor(cursor, 'id ASC NULLS LAST'), {
+      direction: 'next',
+      values: ['2024-05-01 10:00:00.123456+00', '42'],
+    });
+  });
+
+  it('rejects malformed cursors', () => {
+    assert.throws(() => decodeCursor('not-a-cursor', 'id ASC NULLS LAST'), QueryBuildError);
+    const tampered = Buffer.from(JSON.stringify({ d: 'next', v: [{ $gt: 1 }], s: 'id ASC NULLS LAST' })).toString('base64url');
+    assert.throws(() => decodeCursor(tampered, 'id ASC NULLS LAST'), { message: 'Invalid cursor' });
+  });
+
+  it('rejects a cursor issued for another sort', () => {
+    const cursor = encodeCursor('next', ['42'], 'id ASC NULLS LAST');
+    assert.throws(() => decodeCursor(cursor, 'id DESC NULLS FIRST'), {
+      message: 'Cursor does not match the requested sort',
+    });
+  });
+
+  it('makes an order total with the primary key', () => {
+    const order = withTieBreaker(normalizeOrderBy('updated_at DESC'), 'id');
+    assert.deepEqual(order, [{ column: 'updated_at', direction: 'DESC' }, { column: 'id', direction: 'DESC' }]);
+    assert.equal(orderSignature(order), 'updated_at DESC NULLS FIRST,id DESC NULLS FIRST');
+    assert.equal(orderSignature(reverseOrder(order)), 'updated_at ASC NULLS LAST,id ASC NULLS LAST');
+  });
+
+  it('builds the condition for rows after a position', () => {
+    const order = withTieBreaker(normalizeOrderBy('updated_at DESC'), 'id');
+    const params = [];
+    const condition = buildKeysetCondition(order, ['2024-01-01', '7'], COLUMNS, 'items', params);
+    assert.equal(condition, '("updated_at" < $1) OR ("updated_at" = $2 AND "id" < $3)');
+    assert.deepEqual(params, ['2024-01-01', '2024-01-01', '7']);
+  });
+
+  it('places NULL sort values where Postgres sorts them', () => {
+    const order = withTieBreaker(normalizeOrderBy('updated_at ASC'), 'id');
+    const params = [];
+    // Ascending puts NULLs last: after a NULL only NULLs with a larger id follow
+    const condition = buildKeysetCondition(order, [null, '7'], COLUMNS, 'items', params);
+    assert.equal(condition, '(FALSE) OR ("updated_at" IS NULL AND ("id" > $1 OR "id" IS NULL))');
+    assert.deepEqual(params, ['7']);
+  });
+});
+
+describe('PostgresDAO.getPage', () => {
+  it('walks forward and back through every row once', async () => {
+    const dao = createDao([5, 3, 1, 4, 2]);
+
+    const first = await dao.getPage('items', { orderBy: 'id', limit: 2 });
+    assert.deepEqual(ids(first), [1, 2]);
+    assert.equal(first.prevCursor, null);
+    assert.deepEqual(Object.keys(first.rows[0]), ['id', 'name']);
+
+    const second = await dao.getPage('items', { orderBy: 'id', limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(ids(second), [3, 4]);
+    assert.deepEqual(dao.queries[1].params, ['2', 3]);
+
+    const third = await dao.getPage('items', { orderBy: 'id', limit: 2, cursor: second.nextCursor });
+    assert.deepEqual(ids(third), [5]);
+    assert.equal(third.nextCursor, null);
+
+    const back = await dao.getPage('items', { orderBy: 'id', limit: 2, cursor: third.prevCursor });
+    assert.deepEqual(ids(back), [3, 4]);
+    assert.match(dao.queries[3].query, /ORDER BY "id" DESC/);
+    assert.ok(back.nextCursor);
+    assert.ok(back.prevCursor);
+
+    const start = await dao.getPage('items', { orderBy: 'id', limit: 2, cursor: back.prevCursor });
+    assert.deepEqual(ids(start), [1, 2]);
+    assert.equal(start.prevCursor, null);
+    assert.ok(start.nextCursor);
+  });
+
+  it('rejects a cursor from a different sort', async () => {
+    const dao = createDao([1, 2, 3]);
+    const page = await dao.getPage('items', { orderBy: 'id', limit: 1 });
+    await assert.rejects(dao.getPage('items', { orderBy: 'name', limit: 1, cursor: page.nextCursor }), {
+      name: 'QueryBuildError',
+      status: 400,
+    });
+  });
+
+  it('reports values the column type rejects as an invalid cursor', async () => {
+    const dao = createDao([1, 2, 3]);
+    const page = await dao.getPage('items', { orderBy: 'id', limit: 1 });
+    dao.runQuery = async () => {
+      throw Object.assign(new Error('invalid input syntax for type integer'), { code: '22P02' });
+    };
+    await assert.rejects(dao.getPage('items', { orderBy: 'id', limit: 1, cursor: page.nextCursor }), {
+      message: 'Invalid cursor',
+    });
+  });
+});
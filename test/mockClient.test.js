@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { AIClientFactory } from '../aiClient/index.js';
+
+const ask = (content) => [{ role: 'user', content }];
+
+function cosine(a, b) {
+  return a.reduce((sum, value, index) => sum + value * b[index], 0);
+}
+
+describe('mock AI provider', () => {
+  it('echoes the last user message without a matching rule', async () => {
+    const client = AIClientFactory.createMockClient();
+    const response = await client.chat(ask('Hello there'));
+
+    assert.equal(response.provider, 'mock');
+    assert.equal(response.content, 'Mock response to: Hello there');
+    assert.equal(response.finishReason, 'stop');
+    assert.ok(response.usage.promptTokens > 0);
+    assert.ok(response.usage.completionTokens > 0);
+  });
+
+  it('answers with the first matching rule', async () => {
+    const client = AIClientFactory.createMockClient({
+      rules: [
+        { contains: 'capital', response: 'Paris' },
+        { pattern: '^sum', flags: 'i', response: '4' },
+      ],
+    });
+
+    assert.equal((await client.chat(ask('What is the capital of France?'))).content, 'Paris');
+    assert.equal((await client.chat(ask('SUM of 2 and 2'))).content, '4');
+  });
+
+  it('is deterministic', async () => {
+    const first = await AIClientFactory.createMockClient().chat(ask('Same question'));
+    const second = await AIClientFactory.createMockClient().chat(ask('Same question'));
+
+    assert.equal(first.id, second.id);
+    assert.equal(first.content, second.content);
+    assert.deepEqual(first.usage, second.usage);
+  });
+
+  it('streams the reply in chunks', async () => {
+    const client = AIClientFactory.createMockClient();
+    const chunks = [];
+    const response = await client.stream(ask('Stream this please'), {}, (delta) => chunks.push(delta));
+
+    assert.ok(chunks.length > 1);
+    assert.equal(chunks.join(''), 'Mock response to: Stream this please');
+    assert.equal(response.content, chunks.join(''));
+  });
+
+  it('embeds texts sharing words closer together', async () => {
+    const client = AIClientFactory.createMockClient();
+    const { embeddings } = await client.embed(['summarize this article', 'summarize the article', 'translate to German']);
+
+    assert.equal(embeddings[0].length, 1536);
+    assert.ok(cosine(embeddings[0], embeddings[1]) > cosine(embeddings[0], embeddings[2]));
+  });
+
+  it('fails like the API when a rule or failEvery says so', async () => {
+    const client = AIClientFactory.createMockClient({
+      maxRetries: 0,
+      failEvery: 2,
+      errorStatus: 503,
+      rules: [{ contains: 'slow down', error: { status: 429, message: 'Too many requests' } }],
+    });
+
+    await assert.rejects(client.chat(ask('slow down')), { status: 429, type: 'rate_limit' });
+    await assert.rejects(client.chat(ask('second request')), { status: 502, type: 'server', upstreamStatus: 503 });
+    assert.equal((await client.chat(ask('third request'))).content, 'Mock response to: third request');
+  });
+});
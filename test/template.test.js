@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { renderTemplate, validateVariables } from '../utils/template.js';
+
+describe('template variables', () => {
+  it('renders supplied values and defaults', () => {
+    const { text } = renderTemplate('Hello {{name = "World"}}, you have {{count: number}} items', { count: '3' });
+    assert.equal(text, 'Hello World, you have 3 items');
+  });
+
+  it('does not read variables from the prototype chain', () => {
+    const result = validateVariables('{{constructor}} {{toString?}}', {});
+    assert.deepEqual(result.missing, ['constructor']);
+    assert.deepEqual(result.values, {});
+
+    assert.throws(() => renderTemplate('{{constructor}}', {}), { status: 400 });
+    assert.equal(renderTemplate('[{{toString?}}]', {}).text, '[]');
+    assert.equal(renderTemplate('{{#each items}}[{{this.constructor}}]{{/each}}', { items: [{}] }).text, '[]');
+  });
+
+  it('accepts own properties that shadow prototype names', () => {
+    const { text } = renderTemplate('{{constructor}}', { constructor: 'Ada' });
+    assert.equal(text, 'Ada');
+  });
+});
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { AIClientFactory, ToolRegistry } from '../aiClient/index.js';
+
+const WEATHER = {
+  name: 'get_weather',
+  description: 'Current weather for a city',
+  parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] },
+};
+
+function createClient(toolCalls) {
+  return AIClientFactory.createMockClient({
+    rules: [{ contains: 'weather', toolCalls, response: 'It is sunny in Paris.' }],
+  });
+}
+
+const ask = [{ role: 'user', content: 'What is the weather in Paris?' }];
+
+describe('tool calling', () => {
+  it('runs handlers and sends their results back until the model answers', async () => {
+    const client = createClient([{ name: 'get_weather', arguments: { city: 'Paris' } }]);
+    const received = [];
+    const tool = {
+      ...WEATHER,
+      handler: async (args) => {
+        received.push(args);
+        return { temperature: 21 };
+      },
+    };
+
+    const response = await client.chat(ask, { tools: [tool] });
+
+    assert.deepEqual(received, [{ city: 'Paris' }]);
+    assert.equal(response.content, 'It is sunny in Paris.');
+    assert.equal(response.toolCalls.length, 1);
+    assert.deepEqual(response.toolCalls[0].arguments, { city: 'Paris' });
+    assert.deepEqual(response.toolCalls[0].result, { temperature: 21 });
+    assert.equal(response.toolCalls[0].round, 1);
+    // Usage covers the tool round and the answer
+    assert.ok(response.usage.totalTokens > 0);
+  });
+
+  it('runs tools registered by name', async () => {
+    const registry = new ToolRegistry().register({ ...WEATHER, handler: ({ city }) => `${city}: 21°C` });
+    const client = createClient([{ name: 'get_weather', arguments: { city: 'Paris' } }]);
+
+    const response = await client.chat(ask, { tools: ['get_weather'], toolRegistry: registry });
+    assert.equal(response.toolCalls[0].result, 'Paris: 21°C');
+  });
+
+  it('reports bad arguments and handler failures to the model instead of throwing', async () => {
+    const client = createClient([
+      { name: 'get_weather', arguments: { town: 'Paris' } },
+      { name: 'get_forecast', arguments: { city: 'Paris' } },
+    ]);
+    const forecast = {
+      name: 'get_forecast',
+      handler: () => {
+        throw new Error('forecast service is down');
+      },
+    };
+
+    const response = await client.chat(ask, { tools: [{ ...WEATHER, handler: () => ({}) }, forecast] });
+    assert.equal(response.content, 'It is sunny in Paris.');
+    assert.match(response.toolCalls[0].error, /^invalid arguments: .*city/);
+    assert.equal(response.toolCalls[1].error, 'forecast service is down');
+  });
+
+  it('returns calls to tools without a handler to the caller', async () => {
+    const client = createClient([{ name: 'get_weather', arguments: { city: 'Paris' } }]);
+
+    const response = await client.chat(ask, { tools: [WEATHER] });
+    assert.equal(response.finishReason, 'tool_calls');
+    assert.deepEqual(response.toolCalls, []);
+    assert.equal(response.pendingToolCalls.length, 1);
+    assert.equal(response.pendingToolCalls[0].name, 'get_weather');
+    assert.equal(response.pendingToolCalls[0].arguments, '{"city":"Paris"}');
+  });
+
+  it('stops after maxToolRounds', async () => {
+    const client = createClient([{ name: 'get_weather', arguments: { city: 'Paris' } }]);
+    const tool = { ...WEATHER, handler: () => ({ temperature: 21 }) };
+
+    await assert.rejects(client.chat(ask, { tools: [tool], maxToolRounds: 0 }), {
+      code: 'ai_invalid_output',
+      message: 'Model was still calling tools after 0 rounds',
+    });
+  });
+
+  it('rejects tools combined with streaming', async () => {
+    const client = createClient([]);
+    await assert.rejects(client.stream(ask, { tools: [{ ...WEATHER, handler: () => ({}) }] }, () => {}), { status: 400 });
+  });
+});
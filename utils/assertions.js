@@ -0,0 +1,182 @@
+/**
+ * Output assertions for prompt evaluations
+ *
+ * Assertion syntax:
+ *   { type: 'contains', value, caseSensitive }  output contains the text (case-insensitive by default)
+ *   { type: 'regex', pattern, flags }           output matches the regular expression
+ *   { type: 'equals', value, trim }             output equals the text (trimmed by default)
+ *   { type: 'jsonSchema', schema }              output parses as JSON and satisfies the schema
+ *   { type: 'maxLength', value }                output has at most `value` characters
+ *   { type: 'llmJudge', rubric, model, minScore } a judge model grades the output against the rubric
+ */
+
+import vm from 'vm';
+import { createHttpError } from './httpError.js';
+import { defaultSchemaCompiler } from './jsonSchema.js';
+
+export const ASSERTION_TYPES = ['contains', 'regex', 'equals', 'jsonSchema', 'maxLength', 'llmJudge'];
+
+// Patterns come from users: a backtracking pattern must not freeze the server,
+// so matches run in a separate context that V8 interrupts after the timeout
+const REGEX_MAX_PATTERN_LENGTH = 1000;
+const REGEX_MAX_INPUT_LENGTH = 100000;
+const REGEX_TIMEOUT_MS = 100;
+const regexContext = vm.createContext({});
+const regexScript = new vm.Script('new RegExp(pattern, flags).test(text)');
+
+function definitionError(index, message) {
+  return `assertions[${index}]: ${message}`;
+}
+
+function checkDefinition(assertion, index) {
+  if (!assertion || typeof assertion !== 'object' || !ASSERTION_TYPES.includes(assertion.type)) {
+    return definitionError(index, `type must be one of ${ASSERTION_TYPES.join(', ')}`);
+  }
+
+  switch (assertion.type) {
+    case 'contains':
+    case 'equals':
+      if (typeof assertion.value !== 'string') {
+        return definitionError(index, 'value must be a string');
+      }
+      break;
+    case 'regex':
+      if (typeof assertion.pattern !== 'string') {
+        return definitionError(index, 'pattern must be a string');
+      }
+      if (assertion.pattern.length > REGEX_MAX_PATTERN_LENGTH) {
+        return definitionError(index, `pattern must be at most ${REGEX_MAX_PATTERN_LENGTH} characters`);
+      }
+      try {
+        new RegExp(assertion.pattern, assertion.flags);
+      } catch (error) {
+        return definitionError(index, error.message);
+      }
+      break;
+    case 'jsonSchema':
+      if (!assertion.schema || typeof assertion.schema !== 'object') {
+        return definitionError(index, 'schema must be an object');
+      }
+      try {
+        defaultSchemaCompiler.compile(assertion.schema);
+      } catch (error) {
+        return definitionError(index, `invalid schema: ${error.message}`);
+      }
+      break;
+    case 'maxLength':
+      if (!Number.isInteger(assertion.value) || assertion.value < 0) {
+        return definitionError(index, 'value must be a non-negative integer');
+      }
+      break;
+    case 'llmJudge':
+      if (typeof assertion.rubric !== 'string' || assertion.rubric.trim() === '') {
+        return definitionError(index, 'rubric must be a non-empty string');
+      }
+      if (assertion.minScore !== undefined
+        && (typeof assertion.minScore !== 'number' || assertion.minScore < 0 || assertion.minScore > 1)) {
+        return definitionError(index, 'minScore must be between 0 and 1');
+      }
+      break;
+  }
+  return null;
+}
+
+/**
+ * Validate a list of assertion definitions
+ * @param {Array<Object>} assertions - Assertion definitions
+ * @returns {Array<Object>} The same assertions
+ */
+export function validateAssertions(assertions) {
+  if (!Array.isArray(assertions) || assertions.length === 0) {
+    throw createHttpError(400, 'assertions must be a non-empty array');
+  }
+
+  const errors = assertions.map(checkDefinition).filter(Boolean);
+  if (errors.length > 0) {
+    throw createHttpError(400, 'Invalid assertions', { errors });
+  }
+  return assertions;
+}
+
+function runJsonSchema(schema, output) {
+  let parsed;
+  try {
+    parsed = JSON.parse(output);
+  } catch {
+    return { passed: false, message: 'output is not valid JSON' };
+  }
+
+  const validate = defaultSchemaCompiler.compile(schema);
+  if (validate(parsed)) {
+    return { passed: true };
+  }
+  return { passed: false, message: defaultSchemaCompiler.errorsText(validate.errors) };
+}
+
+function runRegex({ pattern, flags }, output) {
+  if (output.length > REGEX_MAX_INPUT_LENGTH) {
+    return { passed: false, message: `output is too long for a regex check (limit ${REGEX_MAX_INPUT_LENGTH} characters)` };
+  }
+
+  let passed;
+  try {
+    Object.assign(regexContext, { pattern, flags, text: output });
+    passed = regexScript.runInContext(regexContext, { timeout: REGEX_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+    return { passed: false, message: `regex check timed out after ${REGEX_TIMEOUT_MS}ms` };
+  } finally {
+    regexContext.text = null;
+  }
+  return { passed, message: passed ? undefined : `output does not match /${pattern}/` };
+}
+
+/**
+ * Check one assertion against a model output
+ * @param {Object} assertion - Validated assertion definition
+ * @param {string} output - Model output
+ * @param {Object} options - Evaluation options
+ * @param {Function} options.judge - Async (assertion, output) => { score, reason } for llmJudge assertions
+ * @returns {Object} { type, passed, message, score }
+ */
+export async function evaluateAssertion(assertion, output, { judge } = {}) {
+  const text = output ?? '';
+  let result;
+
+  switch (assertion.type) {
+    case 'contains': {
+      const passed = assertion.caseSensitive
+        ? text.includes(assertion.value)
+        : text.toLowerCase().includes(assertion.value.toLowerCase());
+      result = { passed, message: passed ? undefined : `output does not contain "${assertion.value}"` };
+      break;
+    }
+    case 'regex':
+      result = runRegex(assertion, text);
+      break;
+    case 'equals': {
+      const trim = assertion.trim !== false;
+      const passed = (trim ? text.trim() : text) === (trim ? assertion.value.trim() : assertion.value);
+      result = { passed, message: passed ? undefined : 'output does not equal the expected value' };
+      break;
+    }
+    case 'jsonSchema':
+      result = runJsonSchema(assertion.schema, text);
+      break;
+    case 'maxLength': {
+      const passed = text.length <= assertion.value;
+      result = { passed, message: passed ? undefined : `output is ${text.length} characters, limit is ${assertion.value}` };
+      break;
+    }
+    case 'llmJudge': {
+      if (!judge) {
+        throw new Error('llmJudge assertions need a judge');
+      }
+      const { score, reason } = await judge(assertion, text);
+      result = { passed: score >= (assertion.minScore ?? 0.7), score, message: reason };
+      break;
+    }
+  }
+
+  return { type: assertion.type, ...result };
+}
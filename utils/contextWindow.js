@@ -0,0 +1,82 @@
+/**
+ * Context window helpers
+ * Token counts are estimates (about 4 characters per token), close enough to keep
+ * requests inside a model's context window without a tokenizer per provider.
+ */
+
+const CHARS_PER_TOKEN = 4;
+// Role and separator tokens every chat message costs on top of its content
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Context window sizes by model name prefix; the longest matching prefix wins
+const CONTEXT_WINDOWS = {
+  'gpt-5': 400000,
+  'gpt-4.1': 1047576,
+  'gpt-4o': 128000,
+  'gpt-4-turbo': 128000,
+  'gpt-4': 8192,
+  'gpt-3.5-turbo': 16385,
+  o1: 200000,
+  o3: 200000,
+  'o4-mini': 200000,
+  claude: 200000,
+  gemini: 1048576,
+};
+
+/**
+ * Estimate the tokens in a text
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Estimate the tokens a chat message costs
+ * @param {Object} message - { role, content }
+ * @returns {number} Estimated tokens
+ */
+export function estimateMessageTokens(message) {
+  return MESSAGE_OVERHEAD_TOKENS + estimateTokens(message.content);
+}
+
+/**
+ * Look up a model's context window
+ * @param {string} model - Model name without the provider prefix
+ * @param {number} fallback - Size used for unknown models
+ * @returns {number} Context window in tokens
+ */
+export function contextWindowFor(model, fallback) {
+  const prefix = Object.keys(CONTEXT_WINDOWS)
+    .filter((name) => model?.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? CONTEXT_WINDOWS[prefix] : fallback;
+}
+
+/**
+ * Keep the newest turns that fit in a token budget
+ * Pinned messages (system prompt, summary) always stay. The kept turns start
+ * with a user message, since some providers reject a leading assistant turn.
+ * @param {Array<Object>} pinned - Messages that are always sent
+ * @param {Array<Object>} turns - Conversation turns, oldest first
+ * @param {number} budget - Token budget for the whole request
+ * @returns {Object} { kept, dropped, tokens }; dropped are the oldest turns, oldest first
+ */
+export function fitMessages(pinned, turns, budget) {
+  let tokens = pinned.reduce((sum, message) => sum + estimateMessageTokens(message), 0);
+  let start = turns.length;
+
+  while (start > 0) {
+    const cost = estimateMessageTokens(turns[start - 1]);
+    if (tokens + cost > budget) break;
+    tokens += cost;
+    start -= 1;
+  }
+  while (start < turns.length && turns[start].role !== 'user') {
+    tokens -= estimateMessageTokens(turns[start]);
+    start += 1;
+  }
+
+  return { kept: turns.slice(start), dropped: turns.slice(0, start), tokens };
+}
@@ -0,0 +1,131 @@
+import { createHttpError } from './httpError.js';
+
+// Upper bound on the tokens of each text; a complete rewrite at this size diffs in about a second
+export const MAX_DIFF_TOKENS = 10000;
+
+/**
+ * Split text into diff tokens
+ * @param {string} text - Text to tokenize
+ * @param {string} granularity - 'line' or 'word'
+ * @returns {Array<string>} Tokens; joining them yields the original text
+ */
+function tokenize(text, granularity) {
+  if (text === '') {
+    return [];
+  }
+  if (granularity === 'word') {
+    return text.split(/(\s+)/).filter((token) => token !== '');
+  }
+  return text.match(/[^\n]*\n|[^\n]+$/g);
+}
+
+/**
+ * Find the middle snake of the shortest edit script between a[aLo..aHi) and b[bLo..bHi)
+ * Runs Myers' search from both ends at once, keeping one row of furthest-reaching
+ * x values per direction, so memory is linear in the input size.
+ * @returns {Object} { x, y, u, v }: the snake runs from (x, y) to (u, v), relative to aLo and bLo
+ */
+function middleSnake(a, aLo, aHi, b, bLo, bHi) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  const offset = n + m + 1;
+  const forward = new Int32Array(2 * offset + 1);
+  const backward = new Int32Array(2 * offset + 1);
+
+  for (let d = 0; d <= Math.ceil((n + m) / 2); d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      // Forward diagonal k is backward diagonal delta - k
+      if (odd && k >= delta - (d - 1) && k <= delta + (d - 1) && x + backward[offset + delta - k] >= n) {
+        return { x: startX, y: startY, u: x, v: y };
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      if (!odd && k >= delta - d && k <= delta + d && x + forward[offset + delta - k] >= n) {
+        return { x: n - x, y: m - y, u: n - startX, v: m - startY };
+      }
+    }
+  }
+  // Unreachable: the searches always meet by d = ceil((n + m) / 2)
+  throw new Error('diff search did not converge');
+}
+
+/**
+ * Compute a diff between two texts with Myers' linear-space algorithm
+ * Time grows with the size of the inputs times the size of the change, so
+ * texts over MAX_DIFF_TOKENS tokens are rejected with a 413.
+ * @param {string} oldText - Original text
+ * @param {string} newText - Updated text
+ * @param {Object} options - Diff options
+ * @param {string} options.granularity - 'line' (default) or 'word'
+ * @returns {Array<Object>} Hunks of { type: 'equal'|'insert'|'delete', value }
+ */
+export function diffText(oldText, newText, { granularity = 'line' } = {}) {
+  const a = tokenize(oldText, granularity);
+  const b = tokenize(newText, granularity);
+  if (a.length > MAX_DIFF_TOKENS || b.length > MAX_DIFF_TOKENS) {
+    throw createHttpError(413, `texts are too large to diff by ${granularity} (limit ${MAX_DIFF_TOKENS} ${granularity}s)`);
+  }
+
+  const hunks = [];
+  const push = (type, tokens, from, to) => {
+    if (from >= to) return;
+    const value = tokens.slice(from, to).join('');
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      hunks.push({ type, value });
+    }
+  };
+
+  const diffRange = (aLo, aHi, bLo, bHi) => {
+    let prefix = 0;
+    while (aLo + prefix < aHi && bLo + prefix < bHi && a[aLo + prefix] === b[bLo + prefix]) prefix++;
+    let suffix = 0;
+    while (aHi - suffix > aLo + prefix && bHi - suffix > bLo + prefix && a[aHi - 1 - suffix] === b[bHi - 1 - suffix]) suffix++;
+
+    push('equal', a, aLo, aLo + prefix);
+    const aStart = aLo + prefix;
+    const aEnd = aHi - suffix;
+    const bStart = bLo + prefix;
+    const bEnd = bHi - suffix;
+    if (aStart === aEnd || bStart === bEnd) {
+      push('delete', a, aStart, aEnd);
+      push('insert', b, bStart, bEnd);
+    } else {
+      const snake = middleSnake(a, aStart, aEnd, b, bStart, bEnd);
+      diffRange(aStart, aStart + snake.x, bStart, bStart + snake.y);
+      push('equal', a, aStart + snake.x, aStart + snake.u);
+      diffRange(aStart + snake.u, aEnd, bStart + snake.v, bEnd);
+    }
+    push('equal', a, aHi - suffix, aHi);
+  };
+
+  diffRange(0, a.length, 0, b.length);
+  return hunks;
+}
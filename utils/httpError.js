@@ -0,0 +1,158 @@
+import logger from './logger.js';
+
+/**
+ * Base class for errors that map to an HTTP response
+ * code is a stable machine-readable identifier; message is client-facing
+ * when expose is true (the default for 4xx statuses)
+ */
+export class AppError extends Error {
+  constructor(message, { status = 500, code = codeForStatus(status), details, expose, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.expose = expose ?? status < 500;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message = 'Request validation failed', options = {}) {
+    super(message, { code: 'validation_error', ...options, status: 400 });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'authentication required', options = {}) {
+    super(message, { code: 'unauthorized', ...options, status: 401 });
+  }
+}
+
+export class BudgetExceededError extends AppError {
+  constructor(message = 'budget exceeded', options = {}) {
+    super(message, { code: 'budget_exceeded', ...options, status: 402 });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'forbidden', options = {}) {
+    super(message, { code: 'forbidden', ...options, status: 403 });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'not found', options = {}) {
+    super(message, { code: 'not_found', ...options, status: 404 });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'conflict', options = {}) {
+    super(message, { code: 'conflict', ...options, status: 409 });
+  }
+}
+
+export class ServiceUnavailableError extends AppError {
+  constructor(message = 'service unavailable', options = {}) {
+    super(message, { code: 'service_unavailable', ...options, status: 503, expose: true });
+  }
+}
+
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  402: 'payment_required',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'rate_limited',
+  499: 'client_closed_request',
+  502: 'bad_gateway',
+  503: 'service_unavailable',
+  504: 'gateway_timeout',
+};
+
+const STATUS_ERRORS = {
+  400: ValidationError,
+  401: UnauthorizedError,
+  402: BudgetExceededError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  503: ServiceUnavailableError,
+};
+
+function codeForStatus(status) {
+  return STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'request_error');
+}
+
+/**
+ * Create a typed error for an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Client-facing error message
+ * @param {Object} details - Optional structured details for the client
+ * @returns {AppError} ValidationError, NotFoundError, ... or a plain AppError
+ */
+export function createHttpError(status, message, details) {
+  const ErrorClass = STATUS_ERRORS[status];
+  return ErrorClass ? new ErrorClass(message, { details }) : new AppError(message, { status, details });
+}
+
+/**
+ * Build the standard error body
+ * Errors that aren't client-facing are reported as an internal error
+ * @param {Error} error - Caught error
+ * @param {string} requestId - Id of the failing request
+ * @returns {Object} { error: { code, message, details, requestId } }
+ */
+export function toErrorBody(error, requestId) {
+  const status = error.status || error.statusCode || 500;
+
+  if (!(error.expose ?? status < 500)) {
+    return { error: { code: 'internal_error', message: 'internal server error', requestId } };
+  }
+
+  let code = error instanceof AppError ? error.code : codeForStatus(status);
+  // Errors raised by express.json() for malformed bodies
+  if (error.type === 'entity.parse.failed') {
+    code = 'invalid_json';
+  }
+
+  const body = { code, message: error.message, requestId };
+  if (error.details !== undefined) body.details = error.details;
+  return { error: body };
+}
+
+/**
+ * Send an error response from a route handler
+ * @param {Object} res - Express response
+ * @param {Error} error - Caught error
+ * @param {string} context - Route label used in the log line
+ */
+export function sendError(res, error, context) {
+  const status = error.status || error.statusCode || 500;
+  if (status >= 500) {
+    logger.error('Unhandled error', { context, err: error });
+  }
+
+  if (error.retryAfterMs) {
+    res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+  }
+  res.status(status).json(toErrorBody(error, res.req?.id));
+}
+
+/**
+ * Parse a numeric id from a route parameter
+ * @param {string} value - Raw parameter value
+ * @param {string} resource - Resource name used in the not-found message
+ * @returns {number} Parsed id
+ */
+export function parseId(value, resource = 'resource') {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new NotFoundError(`${resource} not found`);
+  }
+  return id;
+}
@@ -0,0 +1,88 @@
+/**
+ * JSON schema compiler shared by structured output, tools and eval assertions
+ * Schemas come from users, so compiled validators are memoized by content in a
+ * bounded LRU, and a schema's $id is never registered, so two users' schemas
+ * can't collide on it. An Ajv instance keeps the code of everything it ever
+ * compiled, so the compiler moves to a fresh instance every maxEntries compiles.
+ */
+
+import crypto from 'crypto';
+import Ajv from 'ajv';
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+// JSON with object keys sorted, so equal schemas get the same cache key
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Schema Compiler
+ * Validators are shared between callers: read validate.errors right after calling it
+ */
+export class SchemaCompiler {
+  /**
+   * @param {Object} options - Compiler options
+   * @param {number} options.maxEntries - Compiled validators kept (default 500)
+   */
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    this.validators = new Map();
+    this.resetAjv();
+  }
+
+  resetAjv() {
+    this.ajv = new Ajv({ allErrors: true, strict: false, addUsedSchema: false });
+    this.compilations = 0;
+  }
+
+  /**
+   * Compile a schema, reusing the validator of an equal schema
+   * @param {Object} schema - JSON schema
+   * @returns {Function} Ajv validate function
+   * @throws {Error} When Ajv can't compile the schema
+   */
+  compile(schema) {
+    const key = crypto.createHash('sha256').update(canonicalJson(schema)).digest('hex');
+    const cached = this.validators.get(key);
+    if (cached) {
+      // Map order is insertion order: move the hit to the newest end
+      this.validators.delete(key);
+      this.validators.set(key, cached);
+      return cached;
+    }
+
+    // Validators from the previous instance keep working; it is freed once they are evicted
+    if (this.compilations >= this.maxEntries) {
+      this.resetAjv();
+    }
+    this.compilations += 1;
+    const validate = this.ajv.compile(schema);
+
+    this.validators.set(key, validate);
+    if (this.validators.size > this.maxEntries) {
+      this.validators.delete(this.validators.keys().next().value);
+    }
+    return validate;
+  }
+
+  /**
+   * Describe validation errors as one line of text
+   * @param {Array<Object>} errors - validate.errors
+   * @returns {string} Error text
+   */
+  errorsText(errors) {
+    return this.ajv.errorsText(errors);
+  }
+}
+
+export const defaultSchemaCompiler = new SchemaCompiler();
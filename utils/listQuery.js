@@ -0,0 +1,187 @@
+/**
+ * List endpoint query helper
+ * Turns list query parameters into getPage() options, checking every field and
+ * operator against an allow-list, and builds next/prev links for the response.
+ *
+ * Query syntax:
+ *   ?limit=20                        page size (1..maxLimit)
+ *   ?cursor=...                      nextCursor or prevCursor of a previous page
+ *   ?sort=-updatedAt,title           sortable fields, "-" for descending
+ *   ?filter[deckId]=3                equality; "null" matches missing values
+ *   ?filter[title][ilike]=%intro%    operator: eq, ne, gt, gte, lt, lte, like, ilike, in
+ *   ?filter[id][in]=1,2,3            comma-separated list
+ *   ?total=true                      include the total number of matching rows
+ *
+ * List spec:
+ *   {
+ *     fields: { updatedAt: { column: 'updated_at', type: 'date', sort: true, filter: ['gte', 'lt'] } },
+ *     defaultSort: '-updatedAt',
+ *     defaultLimit: 20,
+ *     maxLimit: 100,
+ *   }
+ * Field types are 'integer', 'number', 'string', 'boolean' and 'date'.
+ */
+
+import { ValidationError } from './httpError.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'in'];
+const TEXT_OPERATORS = ['like', 'ilike'];
+const FILTER_KEY = /^filter\[([A-Za-z0-9_]+)\](?:\[([A-Za-z]+)\])?$/;
+
+function coerce(raw, type) {
+  if (raw === 'null') return null;
+  switch (type) {
+    case 'integer': {
+      const value = Number(raw);
+      return Number.isInteger(value) ? value : undefined;
+    }
+    case 'number': {
+      const value = Number(raw);
+      return raw.trim() !== '' && Number.isFinite(value) ? value : undefined;
+    }
+    case 'boolean':
+      return raw === 'true' ? true : raw === 'false' ? false : undefined;
+    case 'date':
+      return Number.isNaN(Date.parse(raw)) ? undefined : new Date(raw).toISOString();
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Collect filters from bracket keys ("filter[deckId][in]") or an already nested filter object
+ */
+function readFilters(query) {
+  const filters = [];
+  for (const [key, value] of Object.entries(query)) {
+    const match = key.match(FILTER_KEY);
+    if (match) {
+      filters.push({ field: match[1], operator: match[2] || 'eq', raw: value });
+    }
+  }
+
+  if (query.filter && typeof query.filter === 'object') {
+    for (const [field, value] of Object.entries(query.filter)) {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const [operator, raw] of Object.entries(value)) {
+          filters.push({ field, operator, raw });
+        }
+      } else {
+        filters.push({ field, operator: 'eq', raw: value });
+      }
+    }
+  }
+  return filters;
+}
+
+function parseFilters(query, fields, errors) {
+  const where = {};
+
+  for (const { field, operator, raw } of readFilters(query)) {
+    const path = `/filter[${field}]${operator === 'eq' ? '' : `[${operator}]`}`;
+    const spec = fields[field];
+    if (!spec?.filter?.length) {
+      errors.push({ location: 'query', path, message: 'is not a filterable field' });
+      continue;
+    }
+    if (!OPERATORS.includes(operator) || !spec.filter.includes(operator)) {
+      errors.push({ location: 'query', path, message: `operator must be one of ${spec.filter.join(', ')}` });
+      continue;
+    }
+    if (typeof raw !== 'string') {
+      errors.push({ location: 'query', path, message: 'must be given once' });
+      continue;
+    }
+
+    const rawValues = operator === 'in' ? raw.split(',').map((item) => item.trim()) : [raw];
+    const values = rawValues.map((item) => coerce(item, spec.type));
+    const nullable = operator === 'eq' || operator === 'ne';
+    if (values.some((value) => value === undefined || (value === null && !nullable))) {
+      errors.push({ location: 'query', path, message: `must be ${operator === 'in' ? 'a list of values' : 'a value'} of type ${spec.type}` });
+      continue;
+    }
+    if (TEXT_OPERATORS.includes(operator) && spec.type !== 'string') {
+      errors.push({ location: 'query', path, message: `${operator} only applies to text fields` });
+      continue;
+    }
+
+    const conditions = where[spec.column] ??= {};
+    conditions[operator] = operator === 'in' ? values : values[0];
+  }
+  return where;
+}
+
+function parseSort(sort, fields, errors) {
+  return sort.split(',').map((item) => item.trim()).filter(Boolean).flatMap((item) => {
+    const descending = item.startsWith('-');
+    const field = descending ? item.slice(1) : item;
+    if (!fields[field]?.sort) {
+      errors.push({ location: 'query', path: '/sort', message: `"${field}" is not a sortable field` });
+      return [];
+    }
+    return [{ column: fields[field].column, direction: descending ? 'DESC' : 'ASC' }];
+  });
+}
+
+/**
+ * Parse list query parameters into getPage() options
+ * @param {Object} query - req.query
+ * @param {Object} spec - List spec (see above)
+ * @returns {Object} { where, orderBy, limit, cursor, withTotal }; merge ownership
+ *   conditions into where before calling the DAO
+ * @throws {ValidationError} Listing every invalid parameter
+ */
+export function parseListQuery(query = {}, spec) {
+  const { fields, defaultSort, defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = spec;
+  const errors = [];
+
+  let limit = defaultLimit;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+      errors.push({ location: 'query', path: '/limit', message: `must be an integer between 1 and ${maxLimit}` });
+    }
+  }
+
+  const cursor = query.cursor === undefined ? undefined : String(query.cursor);
+  if (cursor === '') {
+    errors.push({ location: 'query', path: '/cursor', message: 'must not be empty' });
+  }
+
+  const orderBy = parseSort(query.sort === undefined ? defaultSort : String(query.sort), fields, errors);
+  const where = parseFilters(query, fields, errors);
+  const withTotal = query.total === true || query.total === 'true';
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid list query', { details: errors });
+  }
+  return { where, orderBy, limit, cursor, withTotal };
+}
+
+/**
+ * Build the response for a list endpoint
+ * Links are relative and keep every query parameter except the cursor
+ * @param {Object} req - Express request
+ * @param {string} name - Collection key, e.g. 'prompts'
+ * @param {Object} page - { items, nextCursor, prevCursor, total }
+ * @returns {Object} { [name], page: { nextCursor, prevCursor, total }, links: { next, prev } }
+ */
+export function toListResponse(req, name, page) {
+  const link = (cursor) => {
+    if (!cursor) return null;
+    const params = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+    params.set('cursor', cursor);
+    return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${params}`;
+  };
+
+  const meta = { nextCursor: page.nextCursor, prevCursor: page.prevCursor };
+  if (page.total !== undefined) meta.total = page.total;
+
+  return {
+    [name]: page.items,
+    page: meta,
+    links: { next: link(page.nextCursor), prev: link(page.prevCursor) },
+  };
+}
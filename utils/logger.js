@@ -0,0 +1,156 @@
+import config from '../config/index.js';
+import { getRequestContext } from './requestContext.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = '[REDACTED]';
+
+/**
+ * Serialize an error for a log line
+ * @param {Error} error - Error to serialize
+ * @returns {Object} { name, message, code, status, stack, cause }
+ */
+export function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  const serialized = { name: error.name, message: error.message };
+  if (error.code !== undefined) serialized.code = error.code;
+  if (error.status !== undefined) serialized.status = error.status;
+  if (error.stack) serialized.stack = error.stack;
+  if (error.cause) serialized.cause = serializeError(error.cause);
+  return serialized;
+}
+
+/**
+ * Redact SQL query parameters according to a mode
+ * @param {Array} params - Query parameters
+ * @param {string} mode - 'strings' (hide strings, JSON and buffers), 'all' or 'none'
+ * @returns {Array} Parameters safe to log
+ */
+export function redactParams(params, mode = config.logging.redactParams) {
+  if (!Array.isArray(params) || mode === 'none') {
+    return params;
+  }
+  return params.map((param) => {
+    if (mode === 'all') return REDACTED;
+    if (param === null || typeof param === 'number' || typeof param === 'boolean' || param instanceof Date) {
+      return param;
+    }
+    if (typeof param === 'string') return `[REDACTED string(${param.length})]`;
+    if (Buffer.isBuffer(param)) return `[REDACTED buffer(${param.length})]`;
+    return `[REDACTED ${Array.isArray(param) ? 'array' : typeof param}]`;
+  });
+}
+
+function redactFields(value, keys, depth = 0) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date || depth > 5) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactFields(item, keys, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    keys.has(key.toLowerCase()) ? REDACTED : redactFields(field, keys, depth + 1),
+  ]));
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, requestId, ...fields } = entry;
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)}${requestId ? ` [${requestId}]` : ''} ${msg}${extra}`;
+}
+
+/**
+ * Structured Logger
+ * Writes one JSON object per line with the level, message, the current request
+ * id (from the async request context), bound fields and call fields. Field names
+ * listed in config.logging.redactKeys are replaced with [REDACTED] at any depth.
+ */
+export class Logger {
+  /**
+   * @param {Object} bindings - Fields added to every line, e.g. { component: 'dao' }
+   * @param {Object} options - { level, format, redactKeys }
+   */
+  constructor(bindings = {}, options = {}) {
+    this.bindings = bindings;
+    this.level = options.level || config.logging.level;
+    this.format = options.format || config.logging.format;
+    this.redactKeys = new Set((options.redactKeys || config.logging.redactKeys).map((key) => key.toLowerCase()));
+  }
+
+  /**
+   * Create a logger that adds more fields to every line
+   * @param {Object} bindings - Extra fields
+   * @returns {Logger} Child logger
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings }, {
+      level: this.level,
+      format: this.format,
+      redactKeys: [...this.redactKeys],
+    });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= (LEVELS[this.level] ?? LEVELS.info);
+  }
+
+  _write(level, msg, fields) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const context = getRequestContext();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...(context?.requestId ? { requestId: context.requestId } : {}),
+      ...(context?.userId ? { userId: context.userId } : {}),
+      ...redactFields({ ...this.bindings, ...fields }, this.redactKeys),
+    };
+
+    const line = this.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  }
+
+  debug(msg, fields) {
+    this._write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this._write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this._write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this._write('error', msg, fields);
+  }
+
+  /**
+   * Log a completed operation, as a warning when it took longer than a threshold
+   * @param {string} msg - Message
+   * @param {number} durationMs - Duration of the operation
+   * @param {number} thresholdMs - Slow threshold
+   * @param {Object} fields - Extra fields
+   * @param {string} level - Level used when the operation was fast (default debug)
+   */
+  timing(msg, durationMs, thresholdMs, fields = {}, level = 'debug') {
+    if (durationMs >= thresholdMs) {
+      this.warn(`Slow ${msg.charAt(0).toLowerCase()}${msg.slice(1)}`, { ...fields, durationMs, thresholdMs });
+    } else {
+      this._write(level, msg, { ...fields, durationMs });
+    }
+  }
+}
+
+const logger = new Logger();
+
+export default logger;
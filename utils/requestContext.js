@@ -0,0 +1,22 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context that follows its async work
+ * Services, the DAO and AI clients pick the context up without it being passed down
+ * @param {Object} context - Mutable context, e.g. { requestId }
+ * @param {Function} fn - Function to run
+ * @returns {any} Result of fn
+ */
+export function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Get the context of the request being handled
+ * @returns {Object|null} Context, or null outside a request
+ */
+export function getRequestContext() {
+  return storage.getStore() || null;
+}
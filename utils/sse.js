@@ -0,0 +1,49 @@
+/**
+ * Check whether the client asked for a Server-Sent Events response
+ * @param {Object} req - Express request
+ * @returns {boolean} True if text/event-stream is acceptable
+ */
+export function wantsEventStream(req) {
+  return (req.get('accept') || '').includes('text/event-stream');
+}
+
+/**
+ * Create an AbortSignal that fires if the client disconnects before the response ends
+ * @param {Object} res - Express response
+ * @returns {AbortSignal} Signal to pass to upstream requests
+ */
+export function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+/**
+ * Switch a response into Server-Sent Events mode
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event, data), end() }
+ */
+export function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  return {
+    send(event, data) {
+      if (res.writableEnded || res.destroyed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
@@ -0,0 +1,309 @@
+/**
+ * Prompt template engine
+ *
+ * Syntax:
+ *   {{name}}                      required variable
+ *   {{name = "World"}}            variable with a default (JSON literal or bare text)
+ *   {{count: number}}             typed variable (string, number, boolean, list, object, any)
+ *   {{nickname?}}                 optional variable, renders as empty when missing
+ *   {{#if name}}...{{else}}...{{/if}}
+ *   {{#each items}}{{@index}}: {{this}} / {{this.field}}{{/each}}
+ */
+import { createHttpError } from './httpError.js';
+
+const TYPES = ['string', 'number', 'boolean', 'list', 'object', 'any'];
+const TAG_PATTERN = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+const NAME = '[A-Za-z_][A-Za-z0-9_]*';
+const VARIABLE_TAG = new RegExp(`^(${NAME})(\\?)?\\s*(?::\\s*(\\w+))?\\s*(?:=\\s*([\\s\\S]+))?$`);
+const LOCAL_TAG = /^(this(?:\.[A-Za-z_][A-Za-z0-9_]*)*|@index)$/;
+const BLOCK_TAG = new RegExp(`^#(if|each)\\s+(${NAME}(\\?)?|this(?:\\.${NAME})*)$`);
+
+function templateError(message) {
+  return createHttpError(400, `Invalid template: ${message}`);
+}
+
+function parseDefault(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw.trim();
+  }
+}
+
+/**
+ * Parse template text into an AST
+ * @param {string} text - Template source
+ * @returns {Array<Object>} AST nodes
+ */
+export function parseTemplate(text) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  const current = () => stack[stack.length - 1];
+  const append = (node) => {
+    const parent = current();
+    (parent.inElse ? parent.otherwise : parent.children).push(node);
+  };
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    if (match.index > lastIndex) {
+      append({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+
+    const tag = match[1];
+    let parts;
+
+    if ((parts = tag.match(BLOCK_TAG))) {
+      const [, block, target, optional] = parts;
+      const node = {
+        type: block,
+        path: target.replace(/\?$/, ''),
+        optional: Boolean(optional),
+        children: [],
+        otherwise: [],
+      };
+      append(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      if (current().type !== 'if' || current().inElse) {
+        throw templateError('{{else}} without a matching {{#if}}');
+      }
+      current().inElse = true;
+    } else if (tag === '/if' || tag === '/each') {
+      const node = stack.pop();
+      if (!node || node.type !== tag.slice(1)) {
+        throw templateError(`unexpected {{${tag}}}`);
+      }
+      delete node.inElse;
+    } else if (LOCAL_TAG.test(tag)) {
+      append({ type: 'local', path: tag });
+    } else if ((parts = tag.match(VARIABLE_TAG))) {
+      const [, name, optional, type, rawDefault] = parts;
+      if (type && !TYPES.includes(type)) {
+        throw templateError(`unknown type '${type}' for '${name}'`);
+      }
+      const node = { type: 'variable', name, required: !optional && rawDefault === undefined };
+      if (type) node.valueType = type;
+      if (rawDefault !== undefined) node.default = parseDefault(rawDefault);
+      append(node);
+    } else {
+      throw templateError(`unrecognized tag {{${tag}}}`);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw templateError(`unclosed {{#${current().type}}}`);
+  }
+  if (lastIndex < text.length) {
+    append({ type: 'text', value: text.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+// Only own properties count, so {{constructor}} doesn't read Object.prototype
+function ownValue(object, key) {
+  return object !== null && object !== undefined && Object.hasOwn(Object(object), key) ? object[key] : undefined;
+}
+
+function isLocalPath(path) {
+  return path === 'this' || path.startsWith('this.') || path === '@index';
+}
+
+/**
+ * Collect the variables declared by a template
+ * @param {string} text - Template source
+ * @returns {Array<Object>} Declarations: { name, type, required, default }
+ */
+export function extractVariables(text) {
+  const declarations = new Map();
+
+  const declare = (name, { valueType, required, hasDefault, defaultValue, inline }) => {
+    const existing = declarations.get(name) || { name, type: null, required: true, hasDefault: false, inline: false };
+    existing.inline = existing.inline || inline;
+
+    if (valueType) {
+      if (existing.type && existing.type !== valueType) {
+        throw templateError(`'${name}' is declared as both ${existing.type} and ${valueType}`);
+      }
+      existing.type = valueType;
+    }
+    if (hasDefault && !existing.hasDefault) {
+      existing.hasDefault = true;
+      existing.default = defaultValue;
+    }
+    existing.required = existing.required && required && !existing.hasDefault;
+    declarations.set(name, existing);
+  };
+
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === 'variable') {
+        declare(node.name, {
+          valueType: node.valueType,
+          required: node.required,
+          hasDefault: 'default' in node,
+          defaultValue: node.default,
+          inline: true,
+        });
+      } else if (node.type === 'if' || node.type === 'each') {
+        if (!isLocalPath(node.path)) {
+          declare(node.path, {
+            valueType: node.type === 'each' ? 'list' : null,
+            required: node.type === 'each' && !node.optional,
+            hasDefault: false,
+          });
+        }
+        walk(node.children);
+        walk(node.otherwise);
+      }
+    }
+  };
+
+  walk(parseTemplate(text));
+
+  // Untyped variables printed inline are strings; ones only used as
+  // {{#if}} conditions accept any value so booleans keep their truthiness
+  return [...declarations.values()].map(({ name, type, required, hasDefault, default: defaultValue, inline }) => {
+    const declaration = { name, type: type || (inline ? 'string' : 'any'), required };
+    if (hasDefault) declaration.default = defaultValue;
+    return declaration;
+  });
+}
+
+function coerce(value, type) {
+  switch (type) {
+    case 'string':
+      return ['string', 'number', 'boolean'].includes(typeof value) ? String(value) : undefined;
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      return undefined;
+    case 'list':
+      return Array.isArray(value) ? value : undefined;
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check supplied values against a template's declarations
+ * @param {string} text - Template source
+ * @param {Object} values - Supplied variable values
+ * @returns {Object} { values, missing, extra, invalid } with defaults applied and values coerced
+ */
+export function validateVariables(text, values = {}) {
+  const declarations = extractVariables(text);
+  const resolved = {};
+  const missing = [];
+  const invalid = [];
+
+  for (const declaration of declarations) {
+    const supplied = ownValue(values, declaration.name);
+
+    if (supplied === undefined || supplied === null) {
+      if ('default' in declaration) {
+        resolved[declaration.name] = declaration.default;
+      } else if (declaration.required) {
+        missing.push(declaration.name);
+      }
+      continue;
+    }
+
+    const coerced = coerce(supplied, declaration.type);
+    if (coerced === undefined) {
+      invalid.push({ name: declaration.name, expected: declaration.type });
+    } else {
+      resolved[declaration.name] = coerced;
+    }
+  }
+
+  const declared = new Set(declarations.map((declaration) => declaration.name));
+  const extra = Object.keys(values).filter((name) => !declared.has(name));
+
+  return { values: resolved, missing, extra, invalid };
+}
+
+function stringify(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+function resolvePath(path, values, scope) {
+  if (path === '@index') return scope?.index;
+  if (!isLocalPath(path)) return ownValue(values, path);
+  if (!scope) {
+    throw templateError(`'${path}' used outside of {{#each}}`);
+  }
+  return path.split('.').slice(1).reduce((value, key) => ownValue(value, key), scope.item);
+}
+
+function renderNodes(nodes, values, scope) {
+  let output = '';
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'variable':
+        output += stringify(ownValue(values, node.name));
+        break;
+      case 'local':
+        output += stringify(resolvePath(node.path, values, scope));
+        break;
+      case 'if':
+        output += renderNodes(isTruthy(resolvePath(node.path, values, scope)) ? node.children : node.otherwise, values, scope);
+        break;
+      case 'each': {
+        const items = resolvePath(node.path, values, scope);
+        if (Array.isArray(items)) {
+          items.forEach((item, index) => {
+            output += renderNodes(node.children, values, { item, index });
+          });
+        }
+        break;
+      }
+    }
+  }
+  return output;
+}
+
+/**
+ * Validate values and render a template
+ * @param {string} text - Template source
+ * @param {Object} values - Supplied variable values
+ * @param {Object} options - Render options
+ * @param {boolean} options.allowExtra - Accept values that the template doesn't declare
+ * @returns {Object} { text, variables, extra }
+ */
+export function renderTemplate(text, values = {}, { allowExtra = true } = {}) {
+  const result = validateVariables(text, values);
+
+  if (result.missing.length > 0 || result.invalid.length > 0 || (!allowExtra && result.extra.length > 0)) {
+    throw createHttpError(400, 'Template variables are missing or invalid', {
+      missing: result.missing,
+      invalid: result.invalid,
+      extra: result.extra,
+    });
+  }
+
+  return {
+    text: renderNodes(parseTemplate(text), result.values),
+    variables: result.values,
+    extra: result.extra,
+  };
+}